@@ -1,72 +1,100 @@
 #!/usr/bin/env node
 
-// Redis cleanup script - clears all session data
+// Redis maintenance script - scoped cleanup, same operations as the /admin/redis API
+// Uses REDIS_URL (or REDISHOST/REDISPORT/REDISPASSWORD) and DATABASE_URL for the audit log
 require('dotenv').config();
-const redis = require('redis');
+const os = require('os');
+const redisService = require('./src/services/redisService');
+const databaseService = require('./src/services/databaseService');
+const adminService = require('./src/services/adminService');
+
+const USAGE = `Usage: npm run clear-redis -- <option>
+
+Options:
+  --stats                 Count keys by prefix
+  --user <persistentId>   Purge one user's conversation, session, handoff, timer and activeSessions data
+  --waiting [--stuck]     List users waiting for a specialist (--stuck: only waits past the handoff timeout)
+  --expired-timers        Clear timers and activeSessions entries that have expired
+  --all --yes             Delete ALL Redis data (flushAll)
+`;
+
+function getArgValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+async function run(args) {
+    const actor = { name: `cli:${os.userInfo().username}` };
+
+    if (args.includes('--stats')) {
+        const stats = await adminService.getKeyStats(actor);
+        console.log(`📋 Found ${stats.total} keys in Redis:`);
+        Object.entries(stats.counts).forEach(([prefix, count]) => {
+            console.log(`  ${prefix}: ${count} keys`);
+        });
+        return;
+    }
+
+    if (args.includes('--user')) {
+        const persistentUserId = getArgValue(args, '--user');
+        if (!persistentUserId) {
+            throw new Error('--user requires a persistentUserId');
+        }
+
+        const result = await adminService.purgeUser(actor, persistentUserId);
+        console.log(`🗑️  Purged ${result.keysDeleted} keys for ${persistentUserId}` +
+            (result.activeSessionRemoved ? ' (active session removed)' : ''));
+        return;
+    }
+
+    if (args.includes('--waiting')) {
+        const sessions = await adminService.listWaitingSessions(actor, args.includes('--stuck'));
+        console.log(`⏳ ${sessions.length} waiting sessions:`);
+        sessions.forEach(session => {
+            console.log(`  ${session.persistentUserId} (session ${session.sessionId}) - waiting ${session.waitingSeconds}s, ttl ${session.ttlSeconds}s${session.stuck ? ' ⚠️ stuck' : ''}`);
+        });
+        return;
+    }
+
+    if (args.includes('--expired-timers')) {
+        const result = await adminService.clearExpiredTimers(actor);
+        console.log(`🧹 Cleared ${result.timersCleared} timers and ${result.activeSessionsCleared} orphaned active sessions`);
+        return;
+    }
+
+    if (args.includes('--all')) {
+        if (!args.includes('--yes')) {
+            throw new Error('--all deletes every conversation and live handoff - add --yes to confirm');
+        }
+
+        const result = await adminService.flushAll(actor);
+        console.log(`✅ All Redis data cleared (${result.keysDeleted} keys)`);
+        return;
+    }
+
+    console.log(USAGE);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    let exitCode = 0;
 
-async function clearAllRedisData() {
-    console.log('🧹 Starting Redis cleanup...');
-    
-    let client;
     try {
-        // Since we need to connect from local machine, try the public Redis URL
-        // You'll need to replace the domain and port manually
-        const password = process.env.REDIS_PASSWORD || 'dptkByyVTizQOEzrJInZMAkHuMFRemGP';
-        
-        // You need to get the actual TCP proxy domain and port from Railway
-        console.log('❌ This script needs to be run from the Railway environment');
-        console.log('💡 Alternative: Go to Railway dashboard → Redis service → Connection tab');
-        console.log('💡 Look for the actual TCP proxy URL and replace it below:');
-        console.log('');
-        console.log('Example: redis://default:' + password + '@viaduct.proxy.rlwy.net:12345');
-        console.log('');
-        console.error('❌ Cannot connect to Railway Redis from local machine without TCP proxy details');
-        process.exit(1);
-        
-        client = redis.createClient({ url: finalRedisUrl });
-        client.on('error', (err) => console.error('Redis Client Error:', err));
-        
-        await client.connect();
-        console.log('✅ Connected to Redis');
-        
-        // Get all keys to see what we're deleting
-        const allKeys = await client.keys('*');
-        console.log(`📋 Found ${allKeys.length} keys in Redis:`);
-        
-        if (allKeys.length > 0) {
-            // Group keys by type for better visibility
-            const keysByType = {};
-            allKeys.forEach(key => {
-                const prefix = key.split(':')[0];
-                if (!keysByType[prefix]) keysByType[prefix] = [];
-                keysByType[prefix].push(key);
-            });
-            
-            Object.entries(keysByType).forEach(([prefix, keys]) => {
-                console.log(`  ${prefix}: ${keys.length} keys`);
-            });
-            
-            // Clear all keys
-            console.log('🗑️  Deleting all Redis data...');
-            await client.flushAll();
-            console.log('✅ All Redis data cleared successfully!');
-        } else {
-            console.log('ℹ️  Redis is already empty');
+        const connected = await redisService.connect();
+        if (!connected) {
+            throw new Error('Could not connect to Redis - check REDIS_URL');
         }
-        
+
+        await run(args);
     } catch (error) {
-        console.error('❌ Error clearing Redis:', error.message);
-        process.exit(1);
+        console.error('❌ Redis maintenance failed:', error.message);
+        exitCode = 1;
     } finally {
-        if (client) {
-            await client.disconnect();
-            console.log('🔌 Disconnected from Redis');
-        }
+        await redisService.disconnect();
+        await databaseService.sequelize.close();
     }
-    
-    console.log('🎉 Redis cleanup complete!');
-    process.exit(0);
+
+    process.exit(exitCode);
 }
 
-// Run the cleanup
-clearAllRedisData();
\ No newline at end of file
+main();
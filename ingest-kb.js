@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+// Knowledge base ingestion - chunk, embed and upsert manifest documents into the vector store
+// Uses OPENAI_API_KEY, PINECONE_API_KEY and PINECONE_INDEX_NAME (manifest indexName/namespace override the index)
+// VECTOR_STORE=local writes to the LOCAL_VECTOR_STORE_PATH snapshot instead of Pinecone
+require('dotenv').config();
+const knowledgeIngestionService = require('./src/services/knowledgeIngestionService');
+const pineconeService = require('./src/services/pineconeServiceV2');
+
+const USAGE = `Usage: npm run ingest-kb -- <command> <manifest.json> [options]
+
+Commands:
+  upsert <manifest>       Ingest new and changed documents (unchanged documents are skipped)
+  reindex <manifest>      Re-embed and upsert every document, changed or not
+  delete <manifest>       Delete a document's chunks (requires --doc)
+  search <manifest> <q>   Run a knowledge base search the way the bot does and print the context
+
+Options:
+  --doc <id>              Only process this document id
+  --index <name>          Override the manifest/env index name
+  --namespace <name>      Override the manifest namespace
+  --force                 Re-embed even if the document is unchanged (upsert)
+  --dry-run               Show what would change without writing to the vector store
+`;
+
+function getArgValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+async function run(args) {
+    const [command, manifestPath] = args;
+
+    if (!['upsert', 'reindex', 'delete', 'search'].includes(command) || !manifestPath) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const manifest = knowledgeIngestionService.loadManifest(manifestPath);
+    const docId = getArgValue(args, '--doc');
+    const dryRun = args.includes('--dry-run');
+
+    if (command === 'delete' && !docId) {
+        throw new Error('delete requires --doc <id>');
+    }
+
+    const documents = docId ? manifest.documents.filter(doc => doc.id === docId) : manifest.documents;
+    if (docId && documents.length === 0 && command !== 'delete') {
+        throw new Error(`Document ${docId} is not in the manifest`);
+    }
+
+    const { index, indexName, namespace } = await knowledgeIngestionService.getIndex(manifest, {
+        indexName: getArgValue(args, '--index'),
+        namespace: getArgValue(args, '--namespace')
+    });
+    console.log(`📚 ${command} → ${indexName}${namespace ? ` (namespace: ${namespace})` : ''}${dryRun ? ' [dry run]' : ''}`);
+
+    if (command === 'search') {
+        const query = args[2];
+        if (!query || query.startsWith('--')) {
+            throw new Error('search requires a query');
+        }
+
+        const result = await pineconeService.searchKnowledge(query, { indexName, namespace });
+        console.log(`🔍 ${result.totalMatches || 0} matches (best score ${(result.bestScore || 0).toFixed(3)})`);
+        console.log(`🔗 URLs: ${result.urls.join(', ') || 'none'}`);
+        console.log(result.context || '(no context)');
+        return 0;
+    }
+
+    if (command === 'delete') {
+        // Deleting by id also works for documents already removed from the manifest
+        const result = await knowledgeIngestionService.deleteDocument(index, docId, { dryRun });
+        console.log(result.status === 'not_found'
+            ? `⚠️ ${docId}: no chunks found`
+            : `🗑️  ${docId}: ${result.status === 'dry_run' ? 'would delete' : 'deleted'} ${result.chunks} chunks`);
+        return 0;
+    }
+
+    const force = command === 'reindex' || args.includes('--force');
+    const totals = { upserted: 0, unchanged: 0, dry_run: 0, failed: 0 };
+
+    // One document at a time - a failure is reported and the rest still run
+    for (const doc of documents) {
+        try {
+            const result = await knowledgeIngestionService.upsertDocument(index, doc, { force, dryRun });
+            totals[result.status]++;
+
+            const stale = result.staleChunksDeleted > 0 ? `, ${result.staleChunksDeleted} stale chunks removed` : '';
+            if (result.status === 'unchanged') {
+                console.log(`⏭️  ${doc.id}: unchanged (${result.chunks} chunks)`);
+            } else if (result.status === 'dry_run') {
+                console.log(`📝 ${doc.id}: would upsert ${result.chunks} chunks${stale}`);
+            } else {
+                console.log(`✅ ${doc.id}: upserted ${result.chunks} chunks${stale}`);
+            }
+        } catch (error) {
+            totals.failed++;
+            console.error(`❌ ${doc.id}: ${error.message}`);
+        }
+    }
+
+    console.log(`📊 Done: ${totals.upserted} upserted, ${totals.unchanged} unchanged` +
+        (dryRun ? `, ${totals.dry_run} would change` : '') +
+        (totals.failed ? `, ${totals.failed} failed` : ''));
+
+    return totals.failed > 0 ? 1 : 0;
+}
+
+async function main() {
+    try {
+        process.exit(await run(process.argv.slice(2)));
+    } catch (error) {
+        console.error('❌ Knowledge base ingestion failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -5,7 +5,12 @@ const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const chatRoutes = require('./routes/chat');
+const adminRoutes = require('./routes/admin');
 const databaseService = require('./services/databaseService');
+const slackService = require('./services/slackService');
+const clusterService = require('./services/clusterService');
+const schedulerService = require('./services/schedulerService');
+const SlackSignature = require('./utils/slackSignature');
 
 const app = express();
 
@@ -48,7 +53,15 @@ const slackLimiter = rateLimit({
         message: 'Too many webhook requests'
     },
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    skip: (req) => {
+        // Events from bots (e.g. this app's own ✅ delivery reactions) aren't agent traffic - only trusted once signed by Slack
+        const event = req.body?.event;
+        const botUserId = req.body?.authorizations?.find(authorization => authorization.is_bot)?.user_id;
+        const fromBot = !!event && (!!event.bot_id || (!!botUserId && event.user === botUserId));
+        return fromBot && SlackSignature.isValid(req.rawBody, req.headers['x-slack-request-timestamp'],
+            req.headers['x-slack-signature'], process.env.SLACK_SIGNING_SECRET);
+    }
 });
 
 const generalLimiter = rateLimit({
@@ -66,11 +79,12 @@ const generalLimiter = rateLimit({
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : "*",
     credentials: true,
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"]
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Admin-User", "X-File-Name"]
 }));
-app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body of Slack requests so their signatures can be verified
+app.use(express.json({ limit: '10mb', verify: SlackSignature.captureRawBody })); // Limit JSON payload size
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: SlackSignature.captureRawBody }));
 
 // Apply general rate limiting to all routes
 app.use(generalLimiter);
@@ -81,6 +95,7 @@ global.io = io;
 // Routes with specific rate limiting
 app.use('/chat', chatLimiter); // Apply chat-specific rate limiting
 app.use('/slack', slackLimiter); // Apply Slack-specific rate limiting
+app.use('/admin', adminRoutes); // Authenticated admin API (ADMIN_API_KEY)
 app.use('/', chatRoutes);
 
 // WebSocket connection handling
@@ -94,13 +109,20 @@ io.on('connection', (socket) => {
         console.log(`User ${socket.id} joined session ${sessionId}`);
     });
 
+    // Typing status for the agent during a live chat - throttled in slackService to stay inside Slack rate limits
+    socket.on('user_typing', (data) => {
+        if (!userSessionId) return;
+
+        slackService.handleUserTyping(userSessionId, !!data?.typing).catch(err => {
+            console.error('Error handling user typing:', err);
+        });
+    });
+
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
 
         // If this user was in a session, handle the disconnection
         if (userSessionId) {
-            const slackService = require('./services/slackService');
-
             // Check if it's an active session (agent already connected) - now async
             slackService.isSessionActive(userSessionId).then(isActive => {
                 if (isActive) {
@@ -138,12 +160,18 @@ async function startServer() {
         console.log('Continuing without database features...');
     }
 
+    // Share Socket.IO rooms with other instances and run durable timers (needs Redis)
+    await slackService.redisReady;
+    await clusterService.initialize(io);
+    schedulerService.start();
+
     // Start server
     server.listen(PORT, () => {
         console.log(`Achora Chatbot running on port ${PORT}`);
         console.log(`Webhook endpoint: http://localhost:${PORT}/chat`);
         console.log(`Health check: http://localhost:${PORT}/health`);
         console.log(`Slack webhook: http://localhost:${PORT}/slack/webhook`);
+        console.log(`Slack commands: http://localhost:${PORT}/slack/commands`);
         console.log(`WebSocket server running`);
 
         if (dbConnected) {
@@ -0,0 +1,228 @@
+const adminService = require('../services/adminService');
+const databaseService = require('../services/databaseService');
+const slackService = require('../services/slackService');
+const csatService = require('../services/csatService');
+const agentAnalyticsService = require('../services/agentAnalyticsService');
+const funnelService = require('../services/funnelService');
+const linkAttributionService = require('../services/linkAttributionService');
+const CsvUtils = require('../utils/csvUtils');
+
+const FUNNEL_CSV_COLUMNS = [
+    { key: 'segment', header: 'Segment' },
+    { key: 'value', header: 'Segment Value' },
+    { key: 'stage', header: 'Stage' },
+    { key: 'step', header: 'Step' },
+    { key: 'label', header: 'Label' },
+    { key: 'sessions', header: 'Sessions' },
+    { key: 'conversionRate', header: 'Conversion %' },
+    { key: 'dropOffRate', header: 'Drop-off %' },
+    { key: 'medianSeconds', header: 'Median Seconds' },
+    { key: 'p90Seconds', header: 'P90 Seconds' }
+];
+
+class AdminController {
+    async getRedisStats(req, res) {
+        try {
+            const stats = await adminService.getKeyStats(req.adminActor);
+            res.json({ success: true, ...stats });
+        } catch (error) {
+            console.error('Admin Redis stats error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async purgeUser(req, res) {
+        try {
+            const { persistentUserId } = req.params;
+
+            // Cancel the user's scheduled timeouts and Slack updaters before the Redis keys disappear
+            await slackService.cleanupSessionData(persistentUserId, null);
+
+            const result = await adminService.purgeUser(req.adminActor, persistentUserId);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Admin purge user error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async listWaitingSessions(req, res) {
+        try {
+            const stuckOnly = req.query.stuck === 'true';
+            const sessions = await adminService.listWaitingSessions(req.adminActor, stuckOnly);
+            res.json({ success: true, count: sessions.length, sessions });
+        } catch (error) {
+            console.error('Admin waiting sessions error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async clearExpiredTimers(req, res) {
+        try {
+            const result = await adminService.clearExpiredTimers(req.adminActor);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Admin clear timers error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Full flush - requires { "confirm": "FLUSH_ALL" } in the body
+     */
+    async flushAll(req, res) {
+        if (req.body?.confirm !== 'FLUSH_ALL') {
+            return res.status(400).json({
+                success: false,
+                error: 'Send { "confirm": "FLUSH_ALL" } to delete all Redis data'
+            });
+        }
+
+        try {
+            const result = await adminService.flushAll(req.adminActor);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Admin flush error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Full ChatLog transcript for a session - user, bot, agent and system messages with their metadata (audited)
+     */
+    async getTranscript(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const messages = await databaseService.getChatTranscript(sessionId);
+
+            await adminService.audit(req.adminActor, 'view_transcript', sessionId, { count: messages.length });
+            res.json({ success: true, sessionId, count: messages.length, messages });
+        } catch (error) {
+            console.error('Admin transcript error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * CSAT per agent and per week - ?clientId=&weeks= (default 12, max 52)
+     */
+    async getCsatStats(req, res) {
+        try {
+            const stats = await csatService.getStats({ clientId: req.query.clientId, weeks: req.query.weeks });
+            res.json({ success: true, ...stats });
+        } catch (error) {
+            console.error('Admin CSAT stats error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Live chat performance per agent - ?clientId=&days= (default 30, max 365)
+     */
+    async getAgentAnalytics(req, res) {
+        try {
+            const report = await agentAnalyticsService.getReport({ clientId: req.query.clientId, days: req.query.days });
+            res.json({ success: true, ...report });
+        } catch (error) {
+            console.error('Admin agent analytics error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Post the agent analytics summary to Slack - body: { clientId, days, channelId } (audited)
+     */
+    async postAgentAnalyticsSummary(req, res) {
+        const { clientId, days, channelId } = req.body || {};
+
+        try {
+            const report = await agentAnalyticsService.postSlackSummary({ clientId, days, channelId });
+            await adminService.audit(req.adminActor, 'post_agent_analytics', report.clientId, { days: report.days, channelId: channelId || null });
+            res.json({ success: true, posted: true, ...report });
+        } catch (error) {
+            console.error('Admin agent analytics summary error:', error);
+            await adminService.audit(req.adminActor, 'post_agent_analytics', clientId || null, { error: error.message }, false);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * clientId/from/to filters from the query string - null plus an error message if a date is invalid
+     */
+    getDateRangeFilters(query) {
+        for (const field of ['from', 'to']) {
+            if (query[field] && isNaN(new Date(query[field]).getTime())) {
+                return { filters: null, error: `${field} must be a date (YYYY-MM-DD or ISO 8601)` };
+            }
+        }
+        return { filters: { clientId: query.clientId, from: query.from, to: query.to }, error: null };
+    }
+
+    /**
+     * Conversion funnel from UserEvents - ?clientId=&from=&to=
+     */
+    async getFunnel(req, res) {
+        const { filters, error } = this.getDateRangeFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            const report = await funnelService.getReport(filters);
+            res.json({ success: true, ...report });
+        } catch (error) {
+            console.error('Admin funnel error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async exportFunnel(req, res) {
+        const { filters, error } = this.getDateRangeFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            const report = await funnelService.getReport(filters);
+            const filename = `funnel-${report.from}${report.to ? `-to-${report.to}` : ''}.csv`.replace(/[^\w.-]/g, '_');
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(CsvUtils.toCsv(funnelService.toCsvRows(report), FUNNEL_CSV_COLUMNS));
+        } catch (error) {
+            console.error('Admin funnel export error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Link clicks attributed to knowledge base documents - ?clientId=&from=&to=
+     */
+    async getLinkAttribution(req, res) {
+        const { filters, error } = this.getDateRangeFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            const report = await linkAttributionService.getReport(filters);
+            res.json({ success: true, ...report });
+        } catch (error) {
+            console.error('Admin link attribution error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getAuditLog(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            const entries = await adminService.getAuditLog(limit, req.query.action || null);
+            res.json({ success: true, count: entries.length, entries });
+        } catch (error) {
+            console.error('Admin audit log error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+module.exports = new AdminController();
@@ -1,8 +1,22 @@
+const { Readable } = require('stream');
 const aiService = require('../services/aiService');
 const slackService = require('../services/slackService');
 const databaseService = require('../services/databaseService');
 const redisService = require('../services/redisService');
 const memoryService = require('../services/memoryService');
+const tenantService = require('../services/tenantService');
+const transcriptService = require('../services/transcriptService');
+const transcriptEmailService = require('../services/transcriptEmailService');
+const csatService = require('../services/csatService');
+const slackCommandService = require('../services/slackCommandService');
+const appHomeService = require('../services/appHomeService');
+const BusinessHours = require('../utils/businessHours');
+const AttachmentUtils = require('../utils/attachmentUtils');
+
+const IGNORED_MESSAGE_SUBTYPES = ['message_changed', 'message_deleted'];
+
+// Full Slack payload logging (headers, bodies, message text) - enable with SLACK_DEBUG=true
+const SLACK_DEBUG = process.env.SLACK_DEBUG === 'true';
 
 class ChatController {
     async handleChatMessage(req, res) {
@@ -13,7 +27,19 @@ class ChatController {
 
         try {
             // Extract the data from the request
-            const { message, sessionId, persistentUserId, type, isHumanConnected, eventType } = req.body;
+            const { message, sessionId, persistentUserId, type, isHumanConnected, eventType, stream, embedKey } = req.body;
+
+            // Resolve which provider this widget belongs to and bind it to the session
+            const tenant = tenantService.resolveTenant(embedKey);
+            if (!tenant) {
+                console.log(`🚫 Unknown embed key for session ${sessionId}`);
+                return res.status(403).json({
+                    output: 'This chat widget is not configured correctly.',
+                    sessionId: sessionId,
+                    type: 'error_response'
+                });
+            }
+            await tenantService.bindSession(sessionId, tenant.clientId);
             
             // Handle session reconnection for persistent users
             if (persistentUserId && sessionId) {
@@ -75,7 +101,8 @@ class ChatController {
                 
                 switch (eventType) {
                     case 'WIDGET_OPENED':
-                        await databaseService.trackWidgetOpened(sessionId);
+                        // Landing page and page load time come from the embed script
+                        await databaseService.trackWidgetOpened(sessionId, req.body.metadata || {});
                         break;
                     case 'CONTINUE_PRESSED':
                         await databaseService.trackContinuePressed(sessionId);
@@ -91,7 +118,7 @@ class ChatController {
                 console.log(`Link clicked: ${clickedUrl} for session ${sessionId}`);
                 
                 if (clickedUrl && sessionId) {
-                    await databaseService.recordLinkClick(sessionId, clickedUrl);
+                    await databaseService.recordLinkClick(sessionId, clickedUrl, { messageId: req.body.metadata?.messageId });
                 } else {
                     console.log(`Missing sessionId (${sessionId}) or clickedUrl (${clickedUrl}) for link click tracking`);
                 }
@@ -99,20 +126,91 @@ class ChatController {
                 return res.json({ status: 'ok' });
             }
 
+            // Transcript email - what can be offered (masked lead email), and the send itself
+            if (type === 'transcript_offer' || type === 'email_transcript') {
+                // sessionId comes from the widget - only its owner gets the lead email or a send, after the chat
+                const access = await transcriptEmailService.checkAccess(sessionId, persistentUserId);
+                if (!access.allowed) {
+                    return res.status(403).json({
+                        output: access.message,
+                        sessionId: sessionId,
+                        type: type === 'transcript_offer' ? 'transcript_offer' : 'transcript_email',
+                        status: access.status,
+                        available: false
+                    });
+                }
+            }
+
+            if (type === 'transcript_offer') {
+                const offer = await transcriptEmailService.getOffer(sessionId);
+                return res.json({ ...offer, sessionId: sessionId, type: 'transcript_offer' });
+            }
+
+            if (type === 'email_transcript') {
+                const result = await transcriptEmailService.sendTranscript(sessionId, req.body.email || null, persistentUserId);
+                return res.json({
+                    output: result.message,
+                    sessionId: sessionId,
+                    type: 'transcript_email',
+                    status: result.status
+                });
+            }
+
+            // Answer to the post-chat satisfaction survey (offered over Socket.IO as 'csat_request')
+            if (type === 'csat_response') {
+                const result = await csatService.submitResponse(sessionId, req.body.surveyId, req.body.rating, req.body.comment, persistentUserId);
+                return res.json({
+                    output: result.message,
+                    sessionId: sessionId,
+                    type: 'csat_response',
+                    status: result.status
+                });
+            }
+
             // Route 0: Human handoff request (from button or Accept response)
             if (message === 'REQUEST_HUMAN_HANDOFF' || type === 'human_handoff_request' || type === 'accept_human_handoff') {
                 console.log('Route 0: Human handoff request');
                 
-                // Track human request event
+                // Track human request event (and the Accept button on the live chat offer)
                 await databaseService.trackHumanRequested(sessionId);
+                if (type === 'accept_human_handoff') {
+                    await databaseService.trackAcceptPressed(sessionId);
+                }
+                await transcriptService.logSystemMessage(sessionId, 'User requested live chat', { persistentUserId, route: 'handoff_request' });
+
+                // No one to page after hours, on public holidays or during closures - offer a callback instead
+                const businessHoursStatus = aiService.getBusinessHoursStatus(tenant.businessHours);
+                if (!businessHoursStatus.open) {
+                    console.log(`🌙 Live chat requested while closed (${businessHoursStatus.reason}) - offering callback`);
+                    const afterHoursMessage = this.getAfterHoursMessage(tenant, businessHoursStatus);
+                    const botLog = await transcriptService.logBotMessage(sessionId, afterHoursMessage, {
+                        persistentUserId,
+                        route: 'handoff_request',
+                        handoffDecision: { action: 'after_hours', reason: businessHoursStatus.reason }
+                    });
+
+                    return res.json({
+                        output: afterHoursMessage,
+                        sessionId: sessionId,
+                        type: 'after_hours',
+                        businessHoursStatus: businessHoursStatus,
+                        ...this.botMessageFields(botLog)
+                    });
+                }
                 
                 const conversationHistory = req.body.conversationHistory || [];
                 const result = await slackService.requestHumanAgent(sessionId, message, conversationHistory, persistentUserId);
+                const botLog = await transcriptService.logBotMessage(sessionId, result.message, {
+                    persistentUserId,
+                    route: 'handoff_request',
+                    handoffDecision: { action: result.status, reason: 'User requested live chat' }
+                });
 
                 return res.json({
                     output: result.message,
                     sessionId: sessionId,
-                    type: result.status
+                    type: result.status,
+                    ...this.botMessageFields(botLog)
                 });
             }
 
@@ -142,18 +240,28 @@ class ChatController {
                 await aiService.markHumanHandoffDeclined(sessionId, persistentUserId);
                 
                 // Log the interaction
-                await databaseService.logMessage(sessionId, 'system', 'User declined human handoff - entering LEAD_CAPTURE state');
+                const declineDecision = { action: 'declined', reason: 'User declined human handoff' };
+                await transcriptService.logSystemMessage(sessionId, 'User declined human handoff - entering LEAD_CAPTURE state', {
+                    persistentUserId,
+                    route: 'decline_handoff',
+                    handoffDecision: declineDecision
+                });
                 
                 // Acknowledge and continue - AI will handle lead capture naturally
                 const acknowledgmentMessage = "No problem at all! I'm here to help with any NDIS questions you have. What would you like to know more about?";
                 
-                await databaseService.logMessage(sessionId, 'bot', acknowledgmentMessage);
+                const botLog = await transcriptService.logBotMessage(sessionId, acknowledgmentMessage, {
+                    persistentUserId,
+                    route: 'decline_handoff',
+                    handoffDecision: declineDecision
+                });
                 
                 return res.json({
                     output: acknowledgmentMessage,
                     sessionId: sessionId,
                     type: 'bot_response',
-                    leadCaptureMode: true  // Indicate to frontend that we're in lead capture mode
+                    leadCaptureMode: true,  // Indicate to frontend that we're in lead capture mode
+                    ...this.botMessageFields(botLog)
                 });
             }
 
@@ -173,6 +281,15 @@ class ChatController {
                     console.log('Thread was deleted, routing message to AI instead');
                     // Fall through to AI processing below
                 } else {
+                    await transcriptService.logUserMessage(sessionId, message, {
+                        persistentUserId,
+                        route: 'to_human',
+                        delivered: result.status === 'sent_to_human'
+                    });
+                    if (result.message) {
+                        await transcriptService.logSystemMessage(sessionId, result.message, { persistentUserId, route: 'to_human' });
+                    }
+
                     return res.json({
                         output: result.message,
                         sessionId: sessionId,
@@ -195,7 +312,7 @@ class ChatController {
                 console.log(`Current state for callback request: ${currentState}`);
                 
                 // Log the interaction
-                await databaseService.logMessage(sessionId, 'user', message);
+                await transcriptService.logUserMessage(sessionId, message, { persistentUserId, route: 'callback_request' });
                 
                 // Always transition to CALLBACK_REQUEST state when callback is requested (unless already captured)
                 if (currentState !== aiService.SessionState.NORMAL_CHAT) {
@@ -208,13 +325,14 @@ class ChatController {
                     const aiResponse = await aiService.getChatResponse(message, sessionId, persistentUserId);
                     const responseText = typeof aiResponse === 'string' ? aiResponse : aiResponse.message;
                     
-                    await databaseService.logMessage(sessionId, 'bot', responseText);
+                    const botLog = await transcriptService.logBotMessage(sessionId, responseText, { persistentUserId, route: 'callback_request' });
                     
                     return res.json({
                         output: responseText,
                         sessionId: sessionId,
                         type: 'bot_response',
-                        leadCaptureMode: true
+                        leadCaptureMode: true,
+                        ...this.botMessageFields(botLog)
                     });
                 }
                 
@@ -223,22 +341,17 @@ class ChatController {
                 
                 // Handle response
                 const responseText = typeof aiResponse === 'string' ? aiResponse : aiResponse.message;
-                await databaseService.logMessage(sessionId, 'bot', responseText);
-                
-                // Clean LEAD_CAPTURED marker from response
-                let cleanResponse = responseText;
-                if (responseText.includes('LEAD_CAPTURED:')) {
-                    cleanResponse = responseText.replace(/LEAD_CAPTURED:.*?(?=\n|$)/g, '').trim();
-                }
+                const botLog = await transcriptService.logBotMessage(sessionId, responseText, { persistentUserId, route: 'callback_request' });
                 
                 // Get session state once for response building
                 const responseState = await aiService.getSessionState(sessionId, persistentUserId);
                 
                 return res.json({
-                    output: cleanResponse,
+                    output: responseText,
                     sessionId: sessionId,
                     type: 'bot_response',
-                    leadCaptureMode: responseState === aiService.SessionState.LEAD_CAPTURE
+                    leadCaptureMode: responseState === aiService.SessionState.LEAD_CAPTURE,
+                    ...this.botMessageFields(botLog)
                 });
             }
 
@@ -260,18 +373,27 @@ class ChatController {
                 // Explicit human request - bypass AI and offer handoff immediately
                 console.log('Explicit human request detected - offering handoff');
                 
-                // Log the message to database
-                await databaseService.logMessage(sessionId, 'user', message);
-                await databaseService.logMessage(sessionId, 'bot', 'Human connection requested');
-
+                // The widget shows live chat or callback buttons from businessHoursStatus
+                const businessHoursStatus = aiService.getBusinessHoursStatus(tenant.businessHours);
                 const response = {
-                    output: "I understand you'd like to speak with a Support Specialist directly. Let me connect you right away.",
+                    output: businessHoursStatus.open ?
+                        "I understand you'd like to speak with a Support Specialist directly. Let me connect you right away." :
+                        this.getAfterHoursMessage(tenant, businessHoursStatus),
                     sessionId: sessionId,
                     type: 'human_handoff_suggestion',
-                    suggestion: "It seems like you might benefit from speaking with someone from our team. Would you like me to connect you with a Support Specialist?"
+                    suggestion: "It seems like you might benefit from speaking with someone from our team. Would you like me to connect you with a Support Specialist?",
+                    businessHoursStatus: businessHoursStatus
                 };
 
-                return res.json(response);
+                // Log the message to database
+                await transcriptService.logUserMessage(sessionId, message, { persistentUserId, route: 'explicit_human' });
+                const botLog = await transcriptService.logBotMessage(sessionId, response.output, {
+                    persistentUserId,
+                    route: 'explicit_human',
+                    handoffDecision: { action: 'human_handoff', reason: 'Explicit request for a human' }
+                });
+
+                return res.json({ ...response, ...this.botMessageFields(botLog) });
             }
 
             // Default: Regular AI processing
@@ -284,97 +406,88 @@ class ChatController {
                 // First message - no previous context
             }
             
-            const aiResponse = await aiService.getChatResponse(message, sessionId, persistentUserId);
+            // Streaming clients get tokens over their Socket.IO room - the HTTP response below still carries the full reply
+            const replyStream = stream && global.io ? this.createReplyStream(sessionId) : null;
+
+            // Search results and the handoff decision go into the transcript with the reply
+            const turn = { searchResult: null, handoffDecision: null };
+            const aiResponse = await aiService.getChatResponse(message, sessionId, persistentUserId, {
+                ...(replyStream || {}),
+                onSearchResult: (searchResult) => {
+                    turn.searchResult = searchResult;
+                    if (replyStream) replyStream.onSearchResult(searchResult);
+                },
+                onHandoffDecision: (handoffDecision) => {
+                    turn.handoffDecision = handoffDecision;
+                }
+            });
+
+            const responseText = typeof aiResponse === 'string' ? aiResponse : aiResponse.message;
+
+            // Log the message to database
+            await transcriptService.logUserMessage(sessionId, message, { persistentUserId, route: 'ai' });
+            const botLog = await transcriptService.logBotMessage(sessionId, responseText, {
+                persistentUserId,
+                route: 'ai',
+                searchResult: turn.searchResult,
+                handoffDecision: turn.handoffDecision,
+                ...(aiResponse?.lead ? { leadCaptured: true } : {})
+            });
+
+            // Offer the satisfaction survey if the user goes quiet after this reply
+            await csatService.scheduleIdleSurvey(sessionId, persistentUserId);
 
             // Handle structured AI responses (handoff suggestions or lead capture)
             if (typeof aiResponse === 'object' && aiResponse.type) {
-                // Log the message to database
-                await databaseService.logMessage(sessionId, 'user', message);
-                await databaseService.logMessage(sessionId, 'bot', aiResponse.message);
-
                 console.log(`🤖 AI routing decision: ${aiResponse.type} - ${aiResponse.reason}`);
 
-                // Process lead capture only if response contains marker
-                if (aiResponse.message && aiResponse.message.includes('LEAD_CAPTURED:')) {
-                    const lead = await this.handleLeadCapture(sessionId, aiResponse.message, persistentUserId);
+                // Lead from the capture_lead tool - already validated by conversationService
+                if (aiResponse.lead) {
+                    const lead = await this.handleLeadCapture(sessionId, aiResponse.lead, persistentUserId);
                     if (lead) {
-                        console.log(`🎯 New lead captured: ${lead.name} (${lead.email})`);
+                        console.log(`🎯 New lead captured: ${lead.firstName} ${lead.lastName} (${lead.email})`);
                     }
                 }
 
                 // Handle callback escape - user refuses to provide details
-                if (aiResponse.message && aiResponse.message.includes('CALLBACK_ESCAPE')) {
+                if (aiResponse.callbackEscape) {
                     console.log(`🚪 User escaped from callback mode - transitioning to NORMAL_CHAT`);
                     await aiService.markLeadCaptured(sessionId, persistentUserId);
                 }
 
-                // Remove LEAD_CAPTURED marker from response before sending to client
-                let cleanResponse = aiResponse.message;
-                if (aiResponse.message && aiResponse.message.includes('LEAD_CAPTURED:')) {
-                    cleanResponse = aiResponse.message.replace(/LEAD_CAPTURED:.*?(?=\n|$)/g, '').trim();
-                }
-
-                // Remove CALLBACK_ESCAPE marker from response before sending to client
-                if (cleanResponse.includes('CALLBACK_ESCAPE')) {
-                    cleanResponse = cleanResponse.replace(/CALLBACK_ESCAPE/g, '').trim();
-                }
-
                 if (aiResponse.type === 'human_handoff_suggestion') {
                     // Mark handoff as offered now that we're presenting it to user
                     await aiService.markHandoffOffered(sessionId, persistentUserId);
                     
-                    return res.json({
-                        output: cleanResponse,
+                    const response = {
+                        output: responseText,
                         sessionId: sessionId,
                         type: 'human_handoff_suggestion',
-                        suggestion: aiResponse.suggestion || "Would you like me to connect you with a Support Specialist?"
-                    });
+                        suggestion: aiResponse.suggestion || "Would you like me to connect you with a Support Specialist?",
+                        businessHoursStatus: aiService.getBusinessHoursStatus(tenant.businessHours),
+                        streamed: !!replyStream,
+                        ...this.botMessageFields(botLog)
+                    };
+
+                    this.completeReplyStream(replyStream, response);
+                    return res.json(response);
                 }
             }
 
-            // Normal AI response (string)
-            const responseText = typeof aiResponse === 'string' ? aiResponse : aiResponse.message;
-
-            // Log the message to database
-            await databaseService.logMessage(sessionId, 'user', message);
-            await databaseService.logMessage(sessionId, 'bot', responseText);
-
-            // Process lead capture only if response contains marker
-            if (responseText && responseText.includes('LEAD_CAPTURED:')) {
-                const lead = await this.handleLeadCapture(sessionId, responseText, persistentUserId);
-                if (lead) {
-                    console.log(`🎯 New lead captured: ${lead.name} (${lead.email})`);
-                }
-            }
-
-            // Handle callback escape - user refuses to provide details
-            if (responseText && responseText.includes('CALLBACK_ESCAPE')) {
-                console.log(`🚪 User escaped from callback mode - transitioning to NORMAL_CHAT`);
-                await aiService.markLeadCaptured(sessionId, persistentUserId);
-            }
-
-            // Remove LEAD_CAPTURED marker from response before sending to client
-            let cleanResponse = responseText;
-            if (responseText.includes('LEAD_CAPTURED:')) {
-                cleanResponse = responseText.replace(/LEAD_CAPTURED:.*?(?=\n|$)/g, '').trim();
-            }
-
-            // Remove CALLBACK_ESCAPE marker from response before sending to client
-            if (cleanResponse.includes('CALLBACK_ESCAPE')) {
-                cleanResponse = cleanResponse.replace(/CALLBACK_ESCAPE/g, '').trim();
-            }
-
             // Get session state once for response building - avoid hanging on async call
             const currentSessionState = await aiService.getSessionState(sessionId, persistentUserId);
             
             const response = {
-                output: cleanResponse,
+                output: responseText,
                 sessionId: sessionId,
                 type: 'bot_response',
                 // Include lead capture mode flag if in LEAD_CAPTURE state
-                leadCaptureMode: currentSessionState === aiService.SessionState.LEAD_CAPTURE
+                leadCaptureMode: currentSessionState === aiService.SessionState.LEAD_CAPTURE,
+                streamed: !!replyStream,
+                ...this.botMessageFields(botLog)
             };
 
+            this.completeReplyStream(replyStream, response);
             res.json(response);
 
         } catch (error) {
@@ -387,19 +500,33 @@ class ChatController {
         }
     }
 
+    /**
+     * /achora slash command - the reply is ephemeral Block Kit
+     */
+    async handleSlackCommand(req, res) {
+        try {
+            res.status(200).json(await slackCommandService.handle(req.body || {}));
+        } catch (error) {
+            console.error('Error handling Slack command:', error);
+            res.status(200).json({ response_type: 'ephemeral', text: 'Sorry, something went wrong running that command.' });
+        }
+    }
+
     async handleSlackWebhook(req, res) {
-        console.log('=== SLACK WEBHOOK ===');
-        console.log('Headers:', req.headers);
-        console.log('Body:', req.body);
-        console.log('Body type:', typeof req.body);
-        console.log('Challenge present:', !!req.body?.challenge);
-        console.log('Payload present:', !!req.body?.payload);
-        console.log('Event type:', req.body?.event?.type);
-        console.log('Content-Type header:', req.headers['content-type']);
-        console.log('Event present:', !!req.body?.event);
-        console.log('Raw body keys:', Object.keys(req.body || {}));
-        console.log('Body has string payload?', typeof req.body?.payload === 'string');
-        console.log('=====================');
+        if (SLACK_DEBUG) {
+            console.log('=== SLACK WEBHOOK ===');
+            console.log('Headers:', req.headers);
+            console.log('Body:', req.body);
+            console.log('Body type:', typeof req.body);
+            console.log('Challenge present:', !!req.body?.challenge);
+            console.log('Payload present:', !!req.body?.payload);
+            console.log('Event type:', req.body?.event?.type);
+            console.log('Content-Type header:', req.headers['content-type']);
+            console.log('Event present:', !!req.body?.event);
+            console.log('Raw body keys:', Object.keys(req.body || {}));
+            console.log('Body has string payload?', typeof req.body?.payload === 'string');
+            console.log('=====================');
+        }
 
         try {
             // Handle Slack URL verification challenge
@@ -414,10 +541,13 @@ class ChatController {
                 console.log('Slack event received:', event.type);
                 
                 // Handle message events
-                if (event.type === 'message' && event.thread_ts && !event.bot_id) {
-                    console.log('Agent message in thread:', event.text);
-                    console.log('Thread TS:', event.thread_ts);
-                    console.log('User:', event.user);
+                // Edits and deletions aren't new agent messages
+                if (event.type === 'message' && event.thread_ts && !event.bot_id && !IGNORED_MESSAGE_SUBTYPES.includes(event.subtype)) {
+                    console.log('Agent message in thread:', event.thread_ts);
+                    if (SLACK_DEBUG) {
+                        console.log('Message text:', event.text);
+                        console.log('User:', event.user);
+                    }
                     
                     // Get user info if available
                     let userName = 'Agent';
@@ -433,9 +563,21 @@ class ChatController {
                         event.thread_ts,
                         event.text,
                         event.user,
-                        userName
+                        userName,
+                        event.files || [],
+                        event.ts
                     );
                 }
+
+                // An agent reacting in a chat's thread shows as typing in the widget
+                if (event.type === 'reaction_added') {
+                    await slackService.handleAgentReaction(event);
+                }
+
+                // The App Home tab shows the live queue dashboard
+                if (event.type === 'app_home_opened') {
+                    await appHomeService.handleHomeOpened(event);
+                }
                 
                 return res.status(200).json({ status: 'ok' });
             }
@@ -447,7 +589,9 @@ class ChatController {
             }
 
             // Parse the payload
-            console.log('Raw payload:', req.body.payload);
+            if (SLACK_DEBUG) {
+                console.log('Raw payload:', req.body.payload);
+            }
             const payload = JSON.parse(req.body.payload);
             console.log('Parsed payload type:', payload.type);
 
@@ -459,6 +603,13 @@ class ChatController {
                 console.log('Session ID:', action.value);
                 console.log('User:', payload.user?.username);
 
+                // Refresh button on the App Home dashboard
+                if (action.action_id === 'refresh_home') {
+                    res.status(200).json({ status: 'ok' });
+                    await appHomeService.handleHomeOpened({ user: payload.user.id });
+                    return;
+                }
+
                 if (action.action_id === 'accept_chat') {
                     console.log('🎯 ACCEPT CHAT BUTTON CLICKED!');
                     const sessionId = action.value;
@@ -471,7 +622,8 @@ class ChatController {
                         sessionId,
                         user.id,
                         user.username,
-                        messageTs
+                        messageTs,
+                        payload.channel?.id
                     );
 
                     console.log('Accept button result:', result.status);
@@ -495,6 +647,57 @@ class ChatController {
                     console.log('End chat result:', result.status);
                     return res.status(200).json({ status: 'ok' });
                 }
+
+                if (action.action_id === 'transfer_chat') {
+                    // The trigger id expires after 3 seconds - open the modal before answering
+                    await slackService.openTransferModal(payload.trigger_id, action.value, payload.channel?.id);
+                    return res.status(200).json({ status: 'ok' });
+                }
+
+                if (action.action_id === 'accept_transfer') {
+                    const user = payload.user;
+
+                    console.log(`Agent ${user.username} accepting transfer of ${action.value}`);
+
+                    const result = await slackService.handleAcceptTransferButton(
+                        action.value,
+                        user.id,
+                        user.username,
+                        payload.message.ts,
+                        payload.channel?.id
+                    );
+
+                    console.log('Accept transfer result:', result.status);
+                    return res.status(200).json({ status: 'ok' });
+                }
+            }
+
+            // Send snippet message shortcut - the trigger id expires after 3 seconds, so open the modal before answering
+            if (payload.type === 'message_action' && payload.callback_id === 'send_snippet') {
+                await slackService.openSnippetModal(payload);
+                return res.status(200).json({ status: 'ok' });
+            }
+
+            // Snippet modal submitted - close it now, the snippet is posted in the chat's thread
+            if (payload.type === 'view_submission' && payload.view?.callback_id === 'send_snippet') {
+                res.status(200).send();
+                const result = await slackService.handleSnippetForm(payload.view, payload.user);
+                console.log('Snippet result:', result.status);
+                return;
+            }
+
+            // Transfer modal submitted
+            if (payload.type === 'view_submission' && payload.view?.callback_id === 'transfer_chat') {
+                const errors = slackService.validateTransferForm(payload.view);
+                if (errors) {
+                    return res.status(200).json({ response_action: 'errors', errors });
+                }
+
+                // Close the modal now - the outcome is posted in the chat's thread
+                res.status(200).send();
+                const result = await slackService.handleTransferForm(payload.view, payload.user);
+                console.log('Transfer result:', result.status);
+                return;
             }
 
             // Default response
@@ -507,37 +710,169 @@ class ChatController {
         }
     }
 
+    /**
+     * Build streaming options for aiService.getChatResponse
+     * Partial tokens are emitted to the session's Socket.IO room as 'bot_token'
+     */
+    createReplyStream(sessionId) {
+        const replyStream = {
+            sessionId: sessionId,
+            urls: [],
+            onToken: (token) => {
+                global.io.to(sessionId).emit('bot_token', {
+                    sessionId: sessionId,
+                    token: token
+                });
+            },
+            onSearchResult: (searchResult) => {
+                replyStream.urls = searchResult?.urls || [];
+            }
+        };
+
+        return replyStream;
+    }
+
+    /**
+     * Bot message id and links for the widget - it sends the id back with link clicks
+     */
+    botMessageFields(botLog) {
+        return {
+            messageId: botLog?.id || null,
+            links: botLog?.metadata?.links || []
+        };
+    }
+
+    /**
+     * Emit the final 'bot_message_complete' event with the cleaned message, handoff suggestion and URLs
+     */
+    completeReplyStream(replyStream, response) {
+        if (!replyStream) return;
+
+        global.io.to(replyStream.sessionId).emit('bot_message_complete', {
+            ...response,
+            urls: replyStream.urls,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     async healthCheck(req, res) {
         res.json({ status: 'ok', service: 'achora-chatbot' });
     }
 
     /**
-     * Handle lead capture directly - simplified architecture
-     * Parse LEAD_CAPTURED marker and save to database
+     * Public tenant config for the widget (name, branding, business hours)
+     */
+    async getTenantConfig(req, res) {
+        const tenant = tenantService.resolveTenant(req.query.embedKey);
+        if (!tenant) {
+            return res.status(404).json({ error: 'Unknown embed key' });
+        }
+
+        const businessHoursStatus = aiService.getBusinessHoursStatus(tenant.businessHours);
+        res.json({
+            ...tenantService.getPublicConfig(tenant),
+            isWithinBusinessHours: businessHoursStatus.open,
+            businessHoursStatus: businessHoursStatus
+        });
+    }
+
+    /**
+     * A file from the widget during a live chat - the raw file is the body, its name in the X-File-Name header
      */
-    async handleLeadCapture(sessionId, botResponse, persistentUserId = null) {
+    async uploadAttachment(req, res) {
+        const { sessionId, persistentUserId } = req.query;
+        if (!sessionId || !persistentUserId) {
+            return res.status(400).json({ success: false, error: 'sessionId and persistentUserId are required' });
+        }
+
         try {
-            // Check if AI response contains LEAD_CAPTURED marker
-            if (!botResponse || !botResponse.includes('LEAD_CAPTURED:')) {
-                return null;
+            const mimetype = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const validationError = AttachmentUtils.validate(req.body, mimetype);
+            if (validationError) {
+                console.log(`🚫 Rejected attachment for session ${sessionId}: ${validationError}`);
+                return res.status(Buffer.isBuffer(req.body) ? 400 : 415).json({ success: false, error: validationError });
             }
 
-            const dataString = botResponse.split('LEAD_CAPTURED:')[1];
-            if (!dataString) {
-                console.error('No data after LEAD_CAPTURED marker');
-                return null;
+            const file = {
+                buffer: req.body,
+                name: AttachmentUtils.cleanFileName(req.headers['x-file-name'], mimetype),
+                mimetype
+            };
+            const result = await slackService.sendAttachmentToHuman(sessionId, persistentUserId, file);
+            if (result.status !== 'sent_to_human') {
+                return res.status(result.status === 'not_connected' ? 409 : 502).json({ success: false, error: result.message });
             }
 
-            // Extract only the first line after LEAD_CAPTURED: to avoid capturing extra text
-            const firstLine = dataString.split('\n')[0].trim();
-            const parts = firstLine.split(',').map(part => part.trim());
+            await transcriptService.logUserMessage(sessionId, `📎 ${result.attachment.name}`, {
+                persistentUserId,
+                route: 'to_human',
+                delivered: true,
+                attachment: result.attachment
+            });
+
+            res.json({ success: true, attachment: { name: result.attachment.name, size: result.attachment.size } });
+        } catch (error) {
+            console.error('Error handling attachment upload:', error);
+            res.status(500).json({ success: false, error: 'Your file could not be sent - please try again.' });
+        }
+    }
+
+    /**
+     * A file an agent shared, through the signed link sent to the widget
+     */
+    async downloadAttachment(req, res) {
+        const { fileId } = req.params;
+        const { sessionId, expires, signature } = req.query;
+
+        if (!AttachmentUtils.isValidDownloadLink(fileId, sessionId, expires, signature)) {
+            return res.status(403).json({ success: false, error: 'This link is invalid or has expired' });
+        }
+
+        try {
+            const file = await slackService.getSharedFile(fileId);
+            if (!file) {
+                return res.status(404).json({ success: false, error: 'File not found' });
+            }
 
-            if (parts.length < 4) {
-                console.error('LEAD_CAPTURED: Insufficient data parts:', parts);
-                return null;
+            res.setHeader('Content-Type', file.mimetype);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(file.name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)}`);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            if (file.size) res.setHeader('Content-Length', file.size);
+
+            Readable.fromWeb(file.body)
+                .on('error', (error) => {
+                    console.error(`Error streaming attachment ${fileId}:`, error);
+                    res.destroy(error);
+                })
+                .pipe(res);
+        } catch (error) {
+            console.error(`Error downloading attachment ${fileId}:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, error: 'File could not be downloaded' });
             }
+        }
+    }
+
+    /**
+     * Reply when live chat is unavailable - names the holiday/closure and when the team is back
+     */
+    getAfterHoursMessage(tenant, businessHoursStatus) {
+        const reason = businessHoursStatus.reason === 'outside_hours' ?
+            'Our team is offline right now' :
+            `Our team is away for ${businessHoursStatus.closureName}`;
+        const nextOpening = BusinessHours.describeNextOpening(tenant.businessHours, businessHoursStatus);
+
+        return `${reason}${nextOpening ? ` and will be back ${nextOpening}` : ''}. ` +
+            "I can arrange for a Support Specialist to call you back - just choose Request Callback below.";
+    }
 
-            const [firstName, lastName, email, phone] = parts;
+    /**
+     * Save a lead returned by the capture_lead tool
+     * The lead ({ firstName, lastName, email, phone }) has already been validated by conversationService
+     */
+    async handleLeadCapture(sessionId, capturedLead, persistentUserId = null) {
+        try {
+            const { firstName, lastName, email, phone } = capturedLead;
             const fullName = `${firstName} ${lastName}`.trim();
 
             // Create lead object
@@ -548,7 +883,7 @@ class ChatController {
                 email: email,
                 phone: phone,
                 source: 'chatbot',
-                clientId: 'achora',
+                clientId: await tenantService.getClientIdForSession(sessionId),
                 sessionId: sessionId
             };
 
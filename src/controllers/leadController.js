@@ -0,0 +1,201 @@
+const databaseService = require('../services/databaseService');
+const adminService = require('../services/adminService');
+const CsvUtils = require('../utils/csvUtils');
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CSV_COLUMNS = [
+    { key: 'id', header: 'Lead ID' },
+    { key: 'capturedAt', header: 'Captured At' },
+    { key: 'clientId', header: 'Client' },
+    { key: 'firstName', header: 'First Name' },
+    { key: 'lastName', header: 'Last Name' },
+    { key: 'email', header: 'Email' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'source', header: 'Source' },
+    { key: 'status', header: 'Status' },
+    { key: 'notes', header: 'Notes' },
+    { key: 'sessionId', header: 'Session ID' },
+    { key: 'messageCount', header: 'Messages' },
+    { key: 'transcriptUrl', header: 'Transcript' }
+];
+
+class LeadController {
+    /**
+     * Pick lead filters from the query string
+     */
+    getFilters(query) {
+        return {
+            clientId: query.clientId,
+            status: query.status,
+            source: query.source,
+            from: query.from,
+            to: query.to,
+            search: query.search
+        };
+    }
+
+    validateFilters(filters) {
+        if (filters.status && !databaseService.LEAD_STATUSES.includes(filters.status)) {
+            return `status must be one of: ${databaseService.LEAD_STATUSES.join(', ')}`;
+        }
+        for (const field of ['from', 'to']) {
+            if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+                return `${field} must be a date (YYYY-MM-DD or ISO 8601)`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Look up a lead by route id - malformed ids are treated as not found instead of a Postgres error
+     */
+    async findLead(id) {
+        return UUID_PATTERN.test(id) ? await databaseService.getLeadById(id) : null;
+    }
+
+    /**
+     * Lead JSON plus a link to its ChatLog transcript
+     */
+    async withTranscriptLinks(req, leads) {
+        const messageCounts = await databaseService.countMessagesBySession(leads.map(lead => lead.sessionId));
+        const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/leads`;
+
+        return leads.map(lead => ({
+            ...lead.toJSON(),
+            messageCount: messageCounts[lead.sessionId] || 0,
+            transcriptUrl: `${baseUrl}/${lead.id}/transcript`
+        }));
+    }
+
+    async listLeads(req, res) {
+        try {
+            const filters = this.getFilters(req.query);
+            const validationError = this.validateFilters(filters);
+            if (validationError) {
+                return res.status(400).json({ success: false, error: validationError });
+            }
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), MAX_PAGE_SIZE);
+
+            const { count, rows } = await databaseService.findLeads(filters, pageSize, (page - 1) * pageSize);
+
+            res.json({
+                success: true,
+                page,
+                pageSize,
+                total: count,
+                totalPages: Math.ceil(count / pageSize),
+                leads: await this.withTranscriptLinks(req, rows)
+            });
+        } catch (error) {
+            console.error('Error listing leads:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async exportLeads(req, res) {
+        try {
+            const filters = this.getFilters(req.query);
+            const validationError = this.validateFilters(filters);
+            if (validationError) {
+                return res.status(400).json({ success: false, error: validationError });
+            }
+
+            const { count, rows } = await databaseService.findLeads(filters, MAX_EXPORT_ROWS, 0);
+            const leads = await this.withTranscriptLinks(req, rows);
+
+            // Lead exports contain personal details - record who pulled them
+            await adminService.audit(req.adminActor, 'export_leads', null, {
+                filters,
+                rows: leads.length,
+                truncated: count > MAX_EXPORT_ROWS
+            });
+
+            const filename = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(CsvUtils.toCsv(leads, CSV_COLUMNS));
+        } catch (error) {
+            console.error('Error exporting leads:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getLead(req, res) {
+        try {
+            const lead = await this.findLead(req.params.id);
+            if (!lead) {
+                return res.status(404).json({ success: false, error: 'Lead not found' });
+            }
+
+            const [leadWithLinks] = await this.withTranscriptLinks(req, [lead]);
+            res.json({ success: true, lead: leadWithLinks });
+        } catch (error) {
+            console.error('Error getting lead:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async getTranscript(req, res) {
+        try {
+            const lead = await this.findLead(req.params.id);
+            if (!lead) {
+                return res.status(404).json({ success: false, error: 'Lead not found' });
+            }
+
+            const messages = await databaseService.getChatTranscript(lead.sessionId);
+            res.json({
+                success: true,
+                leadId: lead.id,
+                sessionId: lead.sessionId,
+                count: messages.length,
+                messages
+            });
+        } catch (error) {
+            console.error('Error getting lead transcript:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async updateLead(req, res) {
+        try {
+            const { status, notes } = req.body || {};
+
+            if (status === undefined && notes === undefined) {
+                return res.status(400).json({ success: false, error: 'Nothing to update - send status and/or notes' });
+            }
+            if (status !== undefined && !databaseService.LEAD_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `status must be one of: ${databaseService.LEAD_STATUSES.join(', ')}`
+                });
+            }
+
+            const lead = await this.findLead(req.params.id);
+            if (!lead) {
+                return res.status(404).json({ success: false, error: 'Lead not found' });
+            }
+
+            const previousStatus = lead.status;
+            await databaseService.updateLead(lead, { status, notes });
+
+            await adminService.audit(req.adminActor, 'update_lead', lead.id, {
+                previousStatus,
+                status: lead.status,
+                notesUpdated: notes !== undefined
+            });
+
+            const [leadWithLinks] = await this.withTranscriptLinks(req, [lead]);
+            res.json({ success: true, lead: leadWithLinks });
+        } catch (error) {
+            console.error('Error updating lead:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+module.exports = new LeadController();
@@ -0,0 +1,122 @@
+const { UniqueConstraintError } = require('sequelize');
+const databaseService = require('../services/databaseService');
+const adminService = require('../services/adminService');
+const snippetService = require('../services/snippetService');
+const tenantService = require('../services/tenantService');
+const SnippetTemplate = require('../utils/snippetTemplate');
+
+class SnippetController {
+    /**
+     * Tenant from ?clientId= or the body - the default tenant when not given
+     */
+    getClientId(value) {
+        const clientId = value || tenantService.defaultClientId;
+        return tenantService.getAllTenants().some(tenant => tenant.clientId === clientId) ? clientId : null;
+    }
+
+    async listSnippets(req, res) {
+        try {
+            const clientId = this.getClientId(req.query.clientId);
+            if (!clientId) {
+                return res.status(400).json({ success: false, error: 'Unknown clientId' });
+            }
+
+            const snippets = await snippetService.list(clientId);
+            res.json({
+                success: true,
+                clientId,
+                count: snippets.length,
+                snippets,
+                variables: SnippetTemplate.getVariables()
+            });
+        } catch (error) {
+            console.error('Error listing snippets:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async createSnippet(req, res) {
+        try {
+            const body = req.body || {};
+            const clientId = this.getClientId(body.clientId);
+            if (!clientId) {
+                return res.status(400).json({ success: false, error: 'Unknown clientId' });
+            }
+
+            const validationError = snippetService.validate(body);
+            if (validationError) {
+                return res.status(400).json({ success: false, error: validationError });
+            }
+
+            const snippet = await databaseService.createSnippet({
+                ...snippetService.normalise(body),
+                clientId,
+                createdBy: req.adminActor.name,
+                updatedBy: req.adminActor.name
+            });
+
+            await adminService.audit(req.adminActor, 'create_snippet', snippet.id, { clientId, name: snippet.name });
+            res.status(201).json({ success: true, snippet });
+        } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                return res.status(409).json({ success: false, error: 'A snippet with that name already exists' });
+            }
+            console.error('Error creating snippet:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async updateSnippet(req, res) {
+        try {
+            const body = req.body || {};
+            if (body.name === undefined && body.title === undefined && body.text === undefined) {
+                return res.status(400).json({ success: false, error: 'Nothing to update - send name, title and/or text' });
+            }
+
+            const validationError = snippetService.validate(body, true);
+            if (validationError) {
+                return res.status(400).json({ success: false, error: validationError });
+            }
+
+            const snippet = await databaseService.getSnippetById(req.params.id);
+            if (!snippet) {
+                return res.status(404).json({ success: false, error: 'Snippet not found' });
+            }
+
+            const previousName = snippet.name;
+            await databaseService.updateSnippet(snippet, snippetService.normalise(body), req.adminActor.name);
+
+            await adminService.audit(req.adminActor, 'update_snippet', snippet.id, {
+                clientId: snippet.clientId,
+                previousName,
+                name: snippet.name,
+                textUpdated: body.text !== undefined
+            });
+            res.json({ success: true, snippet });
+        } catch (error) {
+            if (error instanceof UniqueConstraintError) {
+                return res.status(409).json({ success: false, error: 'A snippet with that name already exists' });
+            }
+            console.error('Error updating snippet:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async deleteSnippet(req, res) {
+        try {
+            const snippet = await databaseService.getSnippetById(req.params.id);
+            if (!snippet) {
+                return res.status(404).json({ success: false, error: 'Snippet not found' });
+            }
+
+            await databaseService.deleteSnippet(snippet);
+            await adminService.audit(req.adminActor, 'delete_snippet', snippet.id, { clientId: snippet.clientId, name: snippet.name });
+            res.json({ success: true, deleted: snippet.id });
+        } catch (error) {
+            console.error('Error deleting snippet:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+module.exports = new SnippetController();
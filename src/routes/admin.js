@@ -0,0 +1,52 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const leadController = require('../controllers/leadController');
+const snippetController = require('../controllers/snippetController');
+const AdminAuth = require('../utils/adminAuth');
+
+const router = express.Router();
+
+// Every admin endpoint requires the admin API key
+router.use(AdminAuth.requireApiKey);
+
+// Redis maintenance
+router.get('/redis/stats', (req, res) => adminController.getRedisStats(req, res));
+router.get('/redis/waiting-sessions', (req, res) => adminController.listWaitingSessions(req, res));
+router.delete('/redis/users/:persistentUserId', (req, res) => adminController.purgeUser(req, res));
+router.post('/redis/clear-expired-timers', (req, res) => adminController.clearExpiredTimers(req, res));
+router.post('/redis/flush', (req, res) => adminController.flushAll(req, res));
+
+// Leads - list/filter/page, CSV export, update and transcript
+router.get('/leads', (req, res) => leadController.listLeads(req, res));
+router.get('/leads/export.csv', (req, res) => leadController.exportLeads(req, res));
+router.get('/leads/:id', (req, res) => leadController.getLead(req, res));
+router.get('/leads/:id/transcript', (req, res) => leadController.getTranscript(req, res));
+router.patch('/leads/:id', (req, res) => leadController.updateLead(req, res));
+
+// Canned replies agents send from Slack (/achora snippet and the Send snippet shortcut)
+router.get('/snippets', (req, res) => snippetController.listSnippets(req, res));
+router.post('/snippets', (req, res) => snippetController.createSnippet(req, res));
+router.patch('/snippets/:id', (req, res) => snippetController.updateSnippet(req, res));
+router.delete('/snippets/:id', (req, res) => snippetController.deleteSnippet(req, res));
+
+// Full conversation transcripts for complaints handling and quality review
+router.get('/transcripts/:sessionId', (req, res) => adminController.getTranscript(req, res));
+
+// Post-chat satisfaction (CSAT) per agent and per week
+router.get('/csat', (req, res) => adminController.getCsatStats(req, res));
+
+// Live chat performance per agent (roster planning) and its Slack summary
+router.get('/analytics/agents', (req, res) => adminController.getAgentAnalytics(req, res));
+router.post('/analytics/agents/slack-summary', (req, res) => adminController.postAgentAnalyticsSummary(req, res));
+
+// Conversion funnel from UserEvents - JSON and CSV
+router.get('/analytics/funnel', (req, res) => adminController.getFunnel(req, res));
+router.get('/analytics/funnel.csv', (req, res) => adminController.exportFunnel(req, res));
+
+// Link clicks by the knowledge base documents that supplied them, and links never clicked
+router.get('/analytics/links', (req, res) => adminController.getLinkAttribution(req, res));
+
+// Audit log of admin actions
+router.get('/audit-log', (req, res) => adminController.getAuditLog(req, res));
+
+module.exports = router;
@@ -1,36 +1,27 @@
 const express = require('express');
 const chatController = require('../controllers/chatController');
+const SlackSignature = require('../utils/slackSignature');
+const AttachmentUtils = require('../utils/attachmentUtils');
 
 const router = express.Router();
 
 // Chat webhook endpoint
 router.post('/chat', (req, res) => chatController.handleChatMessage(req, res));
 
-// Slack webhook endpoint (for button clicks)
-router.post('/slack/webhook', (req, res) => chatController.handleSlackWebhook(req, res));
+// Files during a live chat - uploads from the widget go to the Slack thread, agents' files come back through signed links
+router.post('/chat/attachments', AttachmentUtils.parseUpload, (req, res) => chatController.uploadAttachment(req, res));
+router.get('/chat/attachments/:fileId', (req, res) => chatController.downloadAttachment(req, res));
+
+// Slack webhook endpoint (for button clicks) - only accepts requests signed by Slack
+router.post('/slack/webhook', SlackSignature.verifyRequest, (req, res) => chatController.handleSlackWebhook(req, res));
+
+// Slack /achora slash command - also signed by Slack
+router.post('/slack/commands', SlackSignature.verifyRequest, (req, res) => chatController.handleSlackCommand(req, res));
+
+// Tenant config for the widget (branding, business hours)
+router.get('/tenant', (req, res) => chatController.getTenantConfig(req, res));
 
 // Health check endpoint
 router.get('/health', (req, res) => chatController.healthCheck(req, res));
 
-// EMERGENCY: Clear Redis - visit /clear-redis in browser
-router.get('/clear-redis', async (req, res) => {
-    try {
-        const redisService = require('../services/redisService');
-        
-        if (!redisService.isConnected) {
-            await redisService.connect();
-        }
-        
-        if (redisService.isConnected && redisService.client) {
-            await redisService.client.flushAll();
-            res.json({ success: true, message: 'All Redis data cleared successfully!' });
-        } else {
-            res.json({ success: false, error: 'Could not connect to Redis' });
-        }
-    } catch (error) {
-        console.error('Redis clear error:', error);
-        res.json({ success: false, error: error.message });
-    }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,232 @@
+const redisService = require('./redisService');
+const databaseService = require('./databaseService');
+
+/**
+ * AdminService - Scoped Redis maintenance shared by the admin API and clear-redis.js
+ *
+ * Every action is written to the AdminAuditLog table (and the console) with the actor that ran it.
+ * Actors are { name, ipAddress } - e.g. { name: 'ops@achora', ipAddress: '1.2.3.4' } or { name: 'cli:siraj' }.
+ */
+class AdminService {
+    constructor() {
+        this.handoffTimeoutMs = 10 * 60 * 1000; // Matches slackService handoff timeout
+    }
+
+    /**
+     * Record an admin action in the audit log
+     */
+    async audit(actor, action, target = null, details = {}, success = true) {
+        console.log(`🛡️ Admin ${action} by ${actor.name}${target ? ` on ${target}` : ''} - ${success ? 'ok' : 'failed'}`);
+        await databaseService.logAdminAction(actor.name, action, target, details, success, actor.ipAddress || null);
+    }
+
+    ensureRedis() {
+        if (!redisService.isConnected) {
+            throw new Error('Redis is not connected');
+        }
+    }
+
+    /**
+     * Count keys by prefix (conversation, session, handoff, timer, ...)
+     */
+    async getKeyStats(actor) {
+        this.ensureRedis();
+
+        const keys = await redisService.scanKeys('*');
+        const counts = {};
+        keys.forEach(key => {
+            const prefix = key.split(':')[0];
+            counts[prefix] = (counts[prefix] || 0) + 1;
+        });
+
+        await this.audit(actor, 'redis_stats', null, { total: keys.length });
+        return { total: keys.length, counts };
+    }
+
+    /**
+     * Remove everything Redis holds for one persistentUserId
+     * (conversation history by user and by session, session state, handoff, timer, user state,
+     * typing status, activeSessions entry and session mappings)
+     */
+    async purgeUser(actor, persistentUserId) {
+        this.ensureRedis();
+
+        try {
+            // Collect the sessionIds this user is known by so their mappings go too
+            const [userState, activeSession, handoffState, mappedSessionIds] = await Promise.all([
+                redisService.getUserState(persistentUserId),
+                redisService.getActiveSession(persistentUserId),
+                redisService.getHandoffState(persistentUserId),
+                this.findMappedSessionIds(persistentUserId)
+            ]);
+            const sessionIds = [...new Set([
+                userState?.currentSessionId,
+                activeSession?.currentSessionId,
+                activeSession?.sessionId,
+                handoffState?.sessionId,
+                ...mappedSessionIds
+            ].filter(Boolean))];
+
+            const keys = [
+                `conversation:${persistentUserId}`,
+                `session_state:${persistentUserId}`,
+                `handoff:${persistentUserId}`,
+                `timer:${persistentUserId}`,
+                `user:${persistentUserId}`,
+                `session:${persistentUserId}:ttl`,
+                `typing:${persistentUserId}`,
+                `typing:${persistentUserId}:throttle`,
+                // memoryService keeps history under the sessionId when it has no persistentUserId
+                ...sessionIds.flatMap(sessionId => [`session:${sessionId}`, `tenant:${sessionId}`, `conversation:${sessionId}`])
+            ];
+
+            const pipeline = redisService.client.multi();
+            pipeline.del(keys);
+            pipeline.hDel('activeSessions', persistentUserId);
+            const results = await pipeline.exec();
+
+            const result = {
+                persistentUserId,
+                sessionIds,
+                keysDeleted: Number(results[0]) || 0,
+                activeSessionRemoved: Number(results[1]) > 0
+            };
+
+            await this.audit(actor, 'purge_user', persistentUserId, result);
+            return result;
+        } catch (error) {
+            await this.audit(actor, 'purge_user', persistentUserId, { error: error.message }, false);
+            throw error;
+        }
+    }
+
+    /**
+     * sessionIds whose session:<sessionId> mapping points at this user
+     */
+    async findMappedSessionIds(persistentUserId) {
+        const keys = (await redisService.scanKeys('session:*')).filter(key => !key.endsWith(':ttl'));
+        if (keys.length === 0) return [];
+
+        const values = await redisService.client.mGet(keys);
+        return keys
+            .filter((key, index) => values[index] === persistentUserId)
+            .map(key => key.replace('session:', ''));
+    }
+
+    /**
+     * List users waiting for a specialist (handoff:* keys)
+     * A session is "stuck" once it has waited longer than the handoff timeout or its key has no TTL
+     */
+    async listWaitingSessions(actor, stuckOnly = false) {
+        this.ensureRedis();
+
+        const keys = await redisService.scanKeys('handoff:*');
+        const now = Date.now();
+        const sessions = [];
+
+        for (const key of keys) {
+            const persistentUserId = key.replace('handoff:', '');
+            const [data, ttl] = await Promise.all([
+                redisService.client.get(key),
+                redisService.client.ttl(key)
+            ]);
+            if (!data) continue;
+
+            const handoffState = JSON.parse(data);
+            const waitingMs = handoffState.requestTime ? now - handoffState.requestTime : null;
+            const stuck = ttl === -1 || (waitingMs !== null && waitingMs > this.handoffTimeoutMs);
+
+            if (stuckOnly && !stuck) continue;
+
+            sessions.push({
+                persistentUserId,
+                sessionId: handoffState.sessionId,
+                clientId: handoffState.clientId,
+                requestTime: handoffState.requestTime,
+                waitingSeconds: waitingMs !== null ? Math.floor(waitingMs / 1000) : null,
+                ttlSeconds: ttl,
+                stuck
+            });
+        }
+
+        sessions.sort((a, b) => (b.waitingSeconds || 0) - (a.waitingSeconds || 0));
+
+        await this.audit(actor, 'list_waiting_sessions', null, { count: sessions.length, stuckOnly });
+        return sessions;
+    }
+
+    /**
+     * Clear waiting timers that outlived their handoff and activeSessions entries whose TTL key expired
+     */
+    async clearExpiredTimers(actor) {
+        this.ensureRedis();
+
+        try {
+            const now = Date.now();
+            const timerKeys = await redisService.scanKeys('timer:*');
+            const expiredTimers = [];
+
+            for (const key of timerKeys) {
+                const persistentUserId = key.replace('timer:', '');
+                const [startTime, hasHandoff] = await Promise.all([
+                    redisService.client.get(key),
+                    redisService.client.exists(`handoff:${persistentUserId}`)
+                ]);
+
+                const isExpired = !startTime || now - parseInt(startTime) > this.handoffTimeoutMs;
+                if (isExpired || !hasHandoff) {
+                    expiredTimers.push(key);
+                }
+            }
+
+            if (expiredTimers.length > 0) {
+                await redisService.client.del(expiredTimers);
+            }
+
+            // Entries in the activeSessions hash outlive their session:<id>:ttl key - find and drop them
+            const activeSessions = await redisService.client.hGetAll('activeSessions');
+            const orphanedSessions = [];
+            for (const persistentUserId of Object.keys(activeSessions)) {
+                if (!await redisService.client.exists(`session:${persistentUserId}:ttl`)) {
+                    orphanedSessions.push(persistentUserId);
+                }
+            }
+
+            if (orphanedSessions.length > 0) {
+                await redisService.client.hDel('activeSessions', orphanedSessions);
+            }
+
+            const result = {
+                timersCleared: expiredTimers.length,
+                activeSessionsCleared: orphanedSessions.length,
+                timerUsers: expiredTimers.map(key => key.replace('timer:', '')),
+                activeSessionUsers: orphanedSessions
+            };
+
+            await this.audit(actor, 'clear_expired_timers', null, result);
+            return result;
+        } catch (error) {
+            await this.audit(actor, 'clear_expired_timers', null, { error: error.message }, false);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete ALL Redis data - every conversation, session and live handoff
+     */
+    async flushAll(actor) {
+        this.ensureRedis();
+
+        const keyCount = await redisService.client.dbSize();
+        await redisService.client.flushAll();
+
+        await this.audit(actor, 'flush_all', null, { keysDeleted: keyCount });
+        return { keysDeleted: keyCount };
+    }
+
+    async getAuditLog(limit = 100, action = null) {
+        return await databaseService.getAdminAuditLog(limit, action);
+    }
+}
+
+module.exports = new AdminService();
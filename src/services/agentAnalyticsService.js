@@ -0,0 +1,208 @@
+const databaseService = require('./databaseService');
+const tenantService = require('./tenantService');
+const StatsUtils = require('../utils/statsUtils');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+/**
+ * AgentAnalyticsService - Live chat performance from AgentConnection rows, for roster planning
+ *
+ * Covers wait time (median and p90 of waitingDuration), chats handled and average handle time per agent,
+ * the user-inactivity rate, and demand by hour of day (AEST, from when the chat was requested).
+ * Only requests an agent accepted have an AgentConnection row, so the timeout rate and requests per hour
+ * come from HandoffRequest rows, which record every request whether or not it was accepted.
+ * A transferred chat has a row per agent - each agent is credited with their leg, but the overall
+ * figures and demand count the chat once.
+ */
+class AgentAnalyticsService {
+    /**
+     * Build the report
+     * @param {Object} options - clientId, days (default 30, max 365)
+     * @returns {Promise<Object>} - { clientId, days, since, overall, agents, hourOfDay }
+     */
+    async getReport({ clientId, days = DEFAULT_DAYS } = {}) {
+        const dayCount = Math.min(Math.max(parseInt(days) || DEFAULT_DAYS, 1), MAX_DAYS);
+        const client = clientId || tenantService.defaultClientId;
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - dayCount);
+
+        const [connections, requests] = await Promise.all([
+            databaseService.getAgentConnections(client, startDate),
+            databaseService.getHandoffRequests(client, startDate)
+        ]);
+        const chats = connections.filter(connection => !connection.transferredFromId);
+
+        // Group by Slack user id - names can change
+        const byAgent = new Map();
+        for (const connection of connections) {
+            const key = connection.agentId || connection.agentName;
+            if (!byAgent.has(key)) byAgent.set(key, []);
+            byAgent.get(key).push(connection);
+        }
+
+        const agents = [...byAgent.values()]
+            .map(agentConnections => ({
+                agentId: agentConnections[0].agentId,
+                agentName: agentConnections[agentConnections.length - 1].agentName, // Most recent name
+                ...AgentAnalyticsService.summarise(agentConnections)
+            }))
+            .sort((a, b) => b.chats - a.chats);
+
+        return {
+            clientId: client,
+            days: dayCount,
+            since: startDate.toISOString(),
+            overall: { ...AgentAnalyticsService.summarise(chats), ...AgentAnalyticsService.requestOutcomes(requests) },
+            agents,
+            hourOfDay: AgentAnalyticsService.hourOfDay(chats, requests)
+        };
+    }
+
+    /**
+     * Slack message for a report - Block Kit blocks plus fallback text
+     */
+    formatSlackSummary(report, tenantName = 'Achora') {
+        const { overall } = report;
+        const duration = AgentAnalyticsService.formatSeconds;
+        const percent = (rate) => rate === null ? '-' : `${rate}%`;
+
+        const busiest = [...report.hourOfDay]
+            .filter(hour => hour.requests > 0)
+            .sort((a, b) => b.requests - a.requests)
+            .slice(0, 3)
+            .map(hour => `${AgentAnalyticsService.formatHour(hour.hour)} (${hour.requests})`);
+
+        const agentLines = report.agents.slice(0, 10).map(agent =>
+            `• *${agent.agentName}* - ${agent.chats} chats, avg handle ${duration(agent.averageHandleSeconds)}, median wait ${duration(agent.medianWaitSeconds)}`);
+
+        const text = `📊 ${tenantName} live chat summary - last ${report.days} days: ${overall.chats} chats, median wait ${duration(overall.medianWaitSeconds)}`;
+
+        return {
+            text,
+            blocks: [
+                {
+                    type: 'header',
+                    text: { type: 'plain_text', text: `📊 ${tenantName} live chat - last ${report.days} days` }
+                },
+                {
+                    type: 'section',
+                    fields: [
+                        { type: 'mrkdwn', text: `*Chats handled*\n${overall.chats} of ${overall.requests} requested` },
+                        { type: 'mrkdwn', text: `*Avg handle time*\n${duration(overall.averageHandleSeconds)}` },
+                        { type: 'mrkdwn', text: `*Median wait*\n${duration(overall.medianWaitSeconds)}` },
+                        { type: 'mrkdwn', text: `*p90 wait*\n${duration(overall.p90WaitSeconds)}` },
+                        { type: 'mrkdwn', text: `*Timeout rate*\n${percent(overall.timeoutRate)}` },
+                        { type: 'mrkdwn', text: `*User inactivity rate*\n${percent(overall.userInactivityRate)}` }
+                    ]
+                },
+                {
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: `*Busiest hours (AEST)*\n${busiest.length > 0 ? busiest.join(', ') : 'No requests yet'}` }
+                },
+                {
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: `*By agent*\n${agentLines.length > 0 ? agentLines.join('\n') : 'No chats yet'}` }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Post the summary to the tenant's Slack channel
+     * @returns {Promise<Object>} - The report that was posted
+     */
+    async postSlackSummary({ clientId, days = DEFAULT_DAYS, channelId = null } = {}) {
+        // Required here to keep this service usable without starting Slack
+        const slackService = require('./slackService');
+
+        const report = await this.getReport({ clientId, days });
+        const tenant = tenantService.getTenant(report.clientId) || tenantService.getDefaultTenant();
+        const summary = this.formatSlackSummary(report, tenant.name);
+
+        await slackService.slack.chat.postMessage({
+            channel: channelId || tenant.slackChannelId || slackService.channelId,
+            text: summary.text,
+            blocks: summary.blocks
+        });
+        console.log(`📊 Agent analytics summary posted for ${report.clientId} (${report.days} days)`);
+
+        return report;
+    }
+
+    /**
+     * Wait, handle time and outcome figures for a set of AgentConnection rows
+     */
+    static summarise(connections) {
+        const waits = connections.map(connection => connection.waitingDuration).filter(Number.isFinite);
+        const handleTimes = connections.map(AgentAnalyticsService.handleSeconds).filter(Number.isFinite);
+        const chats = connections.length;
+
+        return {
+            chats,
+            medianWaitSeconds: StatsUtils.median(waits),
+            p90WaitSeconds: StatsUtils.percentile(waits, 90),
+            averageHandleSeconds: handleTimes.length > 0 ?
+                Math.round(handleTimes.reduce((sum, seconds) => sum + seconds, 0) / handleTimes.length) : null,
+            userInactivityRate: StatsUtils.rate(connections.filter(connection => connection.disconnectionReason === 'user_inactivity_10min').length, chats)
+        };
+    }
+
+    /**
+     * Requests, timeouts and the timeout rate (% of requests nobody accepted) from HandoffRequest rows
+     */
+    static requestOutcomes(requests) {
+        const timeouts = requests.filter(request => request.outcome === 'timeout').length;
+        return {
+            requests: requests.length,
+            timeouts,
+            timeoutRate: StatsUtils.rate(timeouts, requests.length)
+        };
+    }
+
+    /**
+     * Requests, chats and median wait for each hour of the day (0-23, AEST)
+     */
+    static hourOfDay(connections, requests = []) {
+        const hours = Array.from({ length: 24 }, () => []);
+        const requestCounts = new Array(24).fill(0);
+
+        // requestedAt is stored in AEST like connectedAt
+        requests.forEach(request => requestCounts[new Date(request.requestedAt).getHours()]++);
+
+        for (const connection of connections) {
+            // connectedAt is stored in AEST; step back by the wait to get when the chat was requested
+            const requestedAt = new Date(new Date(connection.connectedAt).getTime() - (connection.waitingDuration || 0) * 1000);
+            hours[requestedAt.getHours()].push(connection);
+        }
+
+        return hours.map((hourConnections, hour) => ({
+            hour,
+            requests: requestCounts[hour],
+            chats: hourConnections.length,
+            medianWaitSeconds: StatsUtils.median(hourConnections.map(connection => connection.waitingDuration).filter(Number.isFinite))
+        }));
+    }
+
+    /**
+     * Seconds of chat time - sessionDuration, or connected to disconnected for chats that ended another way
+     */
+    static handleSeconds(connection) {
+        if (Number.isFinite(connection.sessionDuration)) return connection.sessionDuration;
+        if (!connection.disconnectedAt) return null;
+        return Math.floor((new Date(connection.disconnectedAt) - new Date(connection.connectedAt)) / 1000);
+    }
+
+    static formatSeconds(seconds) {
+        if (seconds === null || seconds === undefined) return '-';
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+    }
+
+    static formatHour(hour) {
+        const suffix = hour < 12 ? 'am' : 'pm';
+        return `${hour % 12 || 12}${suffix}`;
+    }
+}
+
+module.exports = new AgentAnalyticsService();
@@ -13,9 +13,11 @@ class AIService {
     
     /**
      * Main chat response method - orchestrates the conversation flow
+     * options.onToken streams the reply as it is generated, options.onSearchResult receives the knowledge search result,
+     * options.onHandoffDecision receives the handoff analysis ({ action, reason })
      */
 
-    async getChatResponse(message, sessionId, persistentUserId = null) {
+    async getChatResponse(message, sessionId, persistentUserId = null, options = {}) {
         try {
             await this.updateSessionActivity(sessionId, persistentUserId);
             
@@ -66,13 +68,18 @@ class AIService {
             const sessionState = await sessionService.getSessionState(sessionId, persistentUserId);
             
             // Generate conversation response
-            const { response: botResponse, searchResult } = await conversationService.generateResponse(
+            const { response: botResponse, searchResult, lead, callbackEscape } = await conversationService.generateResponse(
                 message, 
                 sessionId, 
                 sessionState,
-                persistentUserId
+                persistentUserId,
+                options
             );
 
+            if (options.onSearchResult) {
+                options.onSearchResult(searchResult);
+            }
+
             // Analyze for handoff only in SEEKING_HANDOFF state
             let handoffAnalysis = { action: 'continue_ai', reason: 'Not in SEEKING_HANDOFF state' };
             
@@ -89,6 +96,10 @@ class AIService {
             
             console.log(`Handoff analysis for session ${sessionId}: ${handoffAnalysis.action} - ${handoffAnalysis.reason}`);
 
+            if (options.onHandoffDecision) {
+                options.onHandoffDecision({ action: handoffAnalysis.action, reason: handoffAnalysis.reason });
+            }
+
             // Return handoff suggestion if triggered
             if (handoffAnalysis.action === 'human_handoff') {
                 await this.markHandoffOffered(sessionId, persistentUserId);
@@ -100,6 +111,17 @@ class AIService {
                 };
             }
 
+            // Structured lead capture signals from the CALLBACK_REQUEST tools
+            if (lead || callbackEscape) {
+                return {
+                    type: 'callback_response',
+                    message: botResponse,
+                    lead: lead || null,
+                    callbackEscape: !!callbackEscape,
+                    reason: lead ? 'Lead captured via capture_lead' : 'User declined to give details'
+                };
+            }
+
             // Return normal AI response
             return botResponse;
             
@@ -134,8 +156,12 @@ class AIService {
         return await sessionService.canRequestHandoffAgain(sessionId, persistentUserId);
     }
     
-    isWithinBusinessHours() {
-        return sessionService.isWithinBusinessHours();
+    isWithinBusinessHours(businessHours = null, team = null) {
+        return sessionService.isWithinBusinessHours(businessHours, team);
+    }
+
+    getBusinessHoursStatus(businessHours = null, team = null) {
+        return sessionService.getBusinessHoursStatus(businessHours, team);
     }
     
     async markHumanHandoffDeclined(sessionId, persistentUserId = null) {
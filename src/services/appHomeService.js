@@ -0,0 +1,281 @@
+const { formatInTimeZone } = require('date-fns-tz');
+const slackService = require('./slackService');
+const queueService = require('./queueService');
+const tenantService = require('./tenantService');
+const databaseService = require('./databaseService');
+const redisService = require('./redisService');
+const schedulerService = require('./schedulerService');
+const BusinessHours = require('../utils/businessHours');
+const TimezoneUtils = require('../utils/timezoneUtils');
+
+const REFRESH_DELAY_MS = 10000; // Queue changes within this window share one refresh - views.publish is rate limited
+const VIEWER_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Agents who haven't opened the tab for a week stop getting refreshes
+const MAX_LISTED = 10; // Sessions shown per section, per tenant
+const MAX_LEADS = 10;
+const MAX_SUMMARY_LENGTH = 150;
+const MAX_BLOCKS = 100; // Slack's limit for a Home tab view
+
+/**
+ * AppHomeService - The live queue dashboard on the Slack App Home tab
+ *
+ * Waiting requests, active chats, today's leads and business hours status for the tenants whose handoff channels
+ * the agent is in, built from the handoff:* states and the activeSessions hash (queueService). The view is published
+ * when an agent opens the tab or clicks Refresh, and for every agent who has opened it whenever a request or chat
+ * changes (needs Redis).
+ */
+class AppHomeService {
+    constructor() {
+        schedulerService.register('app_home_refresh', () => this.refreshAll());
+        redisService.onQueueChange(() => {
+            this.scheduleRefresh().catch(error => console.error('Error scheduling App Home refresh:', error));
+        });
+    }
+
+    /**
+     * app_home_opened event - publish the dashboard for the agent and keep it up to date from now on
+     * Only members of a tenant's handoff channels see that tenant - anyone else gets an empty view
+     */
+    async handleHomeOpened(event) {
+        if (event.tab && event.tab !== 'home') return { status: 'ignored' };
+
+        return await this.publish([event.user]);
+    }
+
+    /**
+     * Refresh every viewer shortly after a queue change - the first change in a window schedules it, the rest share it
+     */
+    async scheduleRefresh() {
+        if (await redisService.claimAppHomeRefresh(REFRESH_DELAY_MS)) {
+            await schedulerService.schedule('app_home_refresh', 'app_home_refresh', REFRESH_DELAY_MS);
+        }
+    }
+
+    async refreshAll() {
+        const viewers = await redisService.getAppHomeViewers(Date.now() - VIEWER_TTL_MS);
+        if (viewers.length === 0) return { status: 'no_viewers' };
+
+        return await this.publish(viewers);
+    }
+
+    /**
+     * Publish the dashboard to Slack users' Home tabs - each user sees the tenants whose handoff channels they are in
+     * Users with tenants are kept as viewers for automatic refreshes, everyone else is dropped
+     * @param {Array<string>} userIds - Slack user ids
+     * @returns {Promise<{status: string, published: number}>}
+     */
+    async publish(userIds) {
+        const now = new Date();
+        const tenantsByUser = await this.getTenantsByUser(userIds);
+        const sections = new Map(); // clientId -> blocks, built once per publish
+        const views = new Map(); // tenant set -> view, shared by users who see the same tenants
+
+        let published = 0;
+        for (const userId of userIds) {
+            const tenants = tenantsByUser.get(userId);
+            if (tenants.length > 0) {
+                await redisService.addAppHomeViewer(userId);
+            } else {
+                await redisService.removeAppHomeViewer(userId);
+            }
+
+            try {
+                const key = tenants.map(tenant => tenant.clientId).join(',');
+                if (!views.has(key)) {
+                    views.set(key, tenants.length > 0 ? await this.buildView(tenants, sections, now) : AppHomeService.buildNoAccessView());
+                }
+                await slackService.slack.views.publish({ user_id: userId, view: views.get(key) });
+                published++;
+            } catch (error) {
+                console.error(`Error publishing App Home for ${userId}:`, error.data?.error || error.message);
+            }
+        }
+
+        console.log(`🏠 Published App Home dashboard to ${published}/${userIds.length} user(s)`);
+        return { status: 'published', published };
+    }
+
+    /**
+     * The tenants each user can see - those with a handoff channel the user is a member of
+     * @returns {Promise<Map<string, Array<Object>>>} - Slack user id -> tenants
+     */
+    async getTenantsByUser(userIds) {
+        const members = new Map(); // channelId -> Set of user ids
+        const tenantsByUser = new Map(userIds.map(userId => [userId, []]));
+
+        for (const tenant of tenantService.getAllTenants()) {
+            const channels = tenantService.getHandoffChannels(tenant);
+            for (const channelId of channels) {
+                if (!members.has(channelId)) {
+                    members.set(channelId, await this.getChannelMembers(channelId));
+                }
+            }
+
+            for (const userId of userIds) {
+                if (channels.some(channelId => members.get(channelId).has(userId))) {
+                    tenantsByUser.get(userId).push(tenant);
+                }
+            }
+        }
+        return tenantsByUser;
+    }
+
+    /**
+     * Members of a Slack channel - empty when it can't be read, so nobody sees the tenant by mistake
+     */
+    async getChannelMembers(channelId) {
+        const members = new Set();
+        try {
+            let cursor;
+            do {
+                const response = await slackService.slack.conversations.members({ channel: channelId, limit: 1000, cursor });
+                (response.members || []).forEach(userId => members.add(userId));
+                cursor = response.response_metadata?.next_cursor;
+            } while (cursor);
+        } catch (error) {
+            console.error(`Error loading members of ${channelId}:`, error.data?.error || error.message);
+        }
+        return members;
+    }
+
+    /**
+     * The Home tab view - a section per tenant
+     * @param {Array<Object>} tenants - Tenants the user can see
+     * @param {Map<string, Array<Object>>} sections - Tenant blocks already built for this publish
+     */
+    async buildView(tenants, sections = new Map(), now = new Date()) {
+        for (const tenant of tenants) {
+            if (!sections.has(tenant.clientId)) {
+                sections.set(tenant.clientId, await this.buildTenantBlocks(tenant, now));
+            }
+        }
+        const timezone = tenantService.getDefaultTenant().businessHours.timezone;
+
+        const blocks = [
+            ...tenants.flatMap((tenant, index) => {
+                const tenantBlocks = sections.get(tenant.clientId);
+                return index > 0 ? [{ type: 'divider' }, ...tenantBlocks] : tenantBlocks;
+            }),
+            {
+                type: 'actions',
+                elements: [{
+                    type: 'button',
+                    action_id: 'refresh_home',
+                    text: { type: 'plain_text', text: '🔄 Refresh' }
+                }]
+            },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Updated ${formatInTimeZone(now, timezone, 'h:mm a')} - refreshes when a chat is requested, accepted, transferred or ends` }]
+            }
+        ];
+
+        // Keep the footer when there are too many tenants to show in full
+        return {
+            type: 'home',
+            blocks: blocks.length > MAX_BLOCKS ? [...blocks.slice(0, MAX_BLOCKS - 2), ...blocks.slice(-2)] : blocks
+        };
+    }
+
+    /**
+     * The view for users who aren't in any handoff channel
+     */
+    static buildNoAccessView() {
+        return {
+            type: 'home',
+            blocks: [{
+                type: 'section',
+                text: { type: 'mrkdwn', text: 'The live chat dashboard is only shown to members of a live chat handoff channel.' }
+            }]
+        };
+    }
+
+    async buildTenantBlocks(tenant, now) {
+        const [{ waiting, active }, leads] = await Promise.all([
+            queueService.getQueue(tenant.clientId),
+            this.getTodaysLeads(tenant, now)
+        ]);
+        const duration = (seconds) => seconds === null ? '-' : slackService.formatDuration(seconds);
+
+        const waitingBlocks = waiting.slice(0, MAX_LISTED).map(session => ({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `⏳ *${duration(session.waitingSeconds)}* - \`${session.sessionId}\`` +
+                    `${session.topic ? ` - 🧭 ${session.topic}` : ''}` +
+                    `${session.summary ? `\n_${AppHomeService.truncate(session.summary, MAX_SUMMARY_LENGTH)}_` : ''}`
+            }
+        }));
+
+        const activeLines = active.slice(0, MAX_LISTED).map(session =>
+            `🟢 <@${session.agentId}> - \`${session.sessionId}\` - ${duration(session.durationSeconds)}`);
+
+        const leadLines = leads.rows.map(lead => {
+            const name = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || 'No name';
+            // capturedAt is stored as AEST wall time - back to the real instant before showing it in the tenant's timezone
+            const capturedAt = formatInTimeZone(TimezoneUtils.fromAEST(new Date(lead.capturedAt)), tenant.businessHours.timezone, 'h:mm a');
+            return `👤 *${name}* - ${capturedAt} (${lead.source}, ${lead.status})`;
+        });
+
+        return [
+            {
+                type: 'header',
+                text: { type: 'plain_text', text: `📋 ${tenant.name} live chat` }
+            },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: slackService.describeBusinessHours(tenant, BusinessHours.getStatus(tenant.businessHours, now)) }]
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*Waiting (${waiting.length})*${waiting.length === 0 ? '\nNo one is waiting' : ''}` }
+            },
+            ...waitingBlocks,
+            ...AppHomeService.moreBlock(waiting.length, MAX_LISTED),
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `*Active (${active.length})*\n${activeLines.length > 0 ? activeLines.join('\n') : 'No chats in progress'}`
+                }
+            },
+            ...AppHomeService.moreBlock(active.length, MAX_LISTED),
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `*Today's leads (${leads.count})*\n${leadLines.length > 0 ? leadLines.join('\n') : 'No leads yet today'}`
+                }
+            },
+            ...AppHomeService.moreBlock(leads.count, MAX_LEADS)
+        ];
+    }
+
+    /**
+     * Leads captured since midnight in the tenant's timezone, newest first
+     * The bound is shifted to AEST wall time to compare with the stored capturedAt values
+     * @returns {Promise<{count: number, rows: Array<Object>}>}
+     */
+    async getTodaysLeads(tenant, now) {
+        try {
+            return await databaseService.findLeads({
+                clientId: tenant.clientId,
+                from: TimezoneUtils.toAEST(BusinessHours.startOfDay(tenant.businessHours, now))
+            }, MAX_LEADS);
+        } catch (error) {
+            console.error(`Error loading today's leads for ${tenant.clientId}:`, error);
+            return { count: 0, rows: [] };
+        }
+    }
+
+    static moreBlock(total, shown) {
+        return total > shown ?
+            [{ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${total - shown} more` }] }] :
+            [];
+    }
+
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
+
+module.exports = new AppHomeService();
@@ -0,0 +1,88 @@
+const os = require('os');
+const crypto = require('crypto');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const redisService = require('./redisService');
+
+const AGENT_MESSAGE_CHANNEL = 'achora:agent_messages';
+
+/**
+ * ClusterService - Lets several app instances share Socket.IO rooms and agent messages
+ *
+ * - Socket.IO uses the Redis adapter, so global.io.to(sessionId).emit() reaches the user's socket
+ *   whichever instance it is connected to
+ * - Agent messages are routed over redisService.publish/subscribe (emitToSession): the instance that
+ *   handled the Slack event publishes, and every instance emits to the sockets connected to it
+ * - Timed work that must run once across instances goes through schedulerService
+ *
+ * Without Redis both fall back to this instance only, the same as a single-instance deployment.
+ */
+class ClusterService {
+    constructor() {
+        this.instanceId = `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.adapterAttached = false;
+        this.subscribed = false;
+        this.io = null;
+    }
+
+    /**
+     * Attach the Redis adapter to Socket.IO and start receiving routed agent messages
+     * Called once Redis is connected - safe to call again after a reconnect
+     * @param {Server} io - Socket.IO server
+     * @returns {Promise<boolean>} - True when running in cluster mode
+     */
+    async initialize(io) {
+        if (!redisService.isConnected) {
+            console.log('⚠️ Redis unavailable - Socket.IO and agent messages are local to this instance');
+            return false;
+        }
+
+        try {
+            if (io && !this.adapterAttached) {
+                // The adapter needs its own subscriber connection - it can't share ours
+                const adapterSubscriber = redisService.subscriber.duplicate();
+                adapterSubscriber.on('error', (err) => console.error('Redis Adapter Subscriber Error:', err));
+                await adapterSubscriber.connect();
+
+                io.adapter(createAdapter(redisService.publisher, adapterSubscriber));
+                this.adapterAttached = true;
+            }
+
+            if (io && !this.subscribed) {
+                this.io = io;
+                this.subscribed = await redisService.subscribe(AGENT_MESSAGE_CHANNEL, (routed) => this.emitLocally(routed));
+            }
+
+            console.log(`🌐 Cluster mode enabled (instance ${this.instanceId})`);
+            return true;
+        } catch (error) {
+            console.error('Error initializing cluster mode:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Emit an event to a chat session's sockets on every instance
+     * Falls back to a direct emit when Redis routing isn't available (or publishing fails)
+     * @param {string} sessionId - Socket.IO room
+     * @param {string} event - Event name, e.g. 'agent_message'
+     * @param {Object} payload - JSON-serialisable payload
+     */
+    async emitToSession(sessionId, event, payload) {
+        if (this.subscribed && await redisService.publish(AGENT_MESSAGE_CHANNEL, { sessionId, event, payload })) {
+            return;
+        }
+        if (global.io) {
+            global.io.to(sessionId).emit(event, payload);
+        }
+    }
+
+    /**
+     * A routed message - only this instance's sockets, every instance receives the same message
+     */
+    emitLocally(routed) {
+        if (!routed?.sessionId || !routed.event || !this.io) return;
+        this.io.local.to(routed.sessionId).emit(routed.event, routed.payload);
+    }
+}
+
+module.exports = new ClusterService();
@@ -3,6 +3,8 @@ const memoryService = require('./memoryService');
 const pineconeService = require('./pineconeServiceV2');
 const PromptFactory = require('./prompts/PromptFactory');
 const openaiRetryService = require('./openaiRetryService');
+const tenantService = require('./tenantService');
+const LeadValidator = require('../utils/leadValidator');
 const { SessionState } = require('./states');
 
 class ConversationService {
@@ -15,27 +17,31 @@ class ConversationService {
     /**
      * Generate AI conversation response with RAG integration
      */
-    async generateResponse(message, sessionId, currentState, persistentUserId = null) {
+    async generateResponse(message, sessionId, currentState, persistentUserId = null, options = {}) {
         try {
+            // Persona, knowledge base and branding all come from the session's tenant
+            options = { ...options, tenant: await tenantService.getTenantForSession(sessionId) };
+
             // State-aware optimization: different processing based on session state
             switch (currentState) {
                 case SessionState.CALLBACK_REQUEST:
-                    return await this.generateCallbackRequestResponse(message, sessionId, persistentUserId);
+                    // Never streamed - the model may call capture_lead/end_callback_request before replying
+                    return await this.generateCallbackRequestResponse(message, sessionId, persistentUserId, { tenant: options.tenant });
                 
                 case SessionState.LEAD_CAPTURE:
-                    return await this.generateLeadCaptureResponse(message, sessionId, persistentUserId);
+                    return await this.generateLeadCaptureResponse(message, sessionId, persistentUserId, options);
                     
                 case SessionState.HUMAN_CONNECTED:
                     // This shouldn't happen as humans handle these, but fallback
-                    return await this.generateSimpleResponse(message, sessionId, persistentUserId);
+                    return await this.generateSimpleResponse(message, sessionId, persistentUserId, options);
                     
                 case SessionState.NORMAL_CHAT:
-                    return await this.generateNormalChatResponse(message, sessionId, persistentUserId);
+                    return await this.generateNormalChatResponse(message, sessionId, persistentUserId, options);
                     
                 case SessionState.SEEKING_HANDOFF:
                 default:
                     // Full processing with handoff analysis
-                    return await this.generateFullResponse(message, sessionId, currentState, persistentUserId);
+                    return await this.generateFullResponse(message, sessionId, currentState, persistentUserId, options);
             }
         } catch (error) {
             console.error('OpenAI API error in conversation service:', error);
@@ -46,7 +52,7 @@ class ConversationService {
     /**
      * Full response generation with all features (for SEEKING_HANDOFF state)
      */
-    async generateFullResponse(message, sessionId, currentState, persistentUserId = null) {
+    async generateFullResponse(message, sessionId, currentState, persistentUserId = null, options = {}) {
         // Run classification, Pinecone search, and memory retrieval in parallel
         const [shouldSearch, messages] = await Promise.all([
             // GPT classification to determine if we need knowledge search
@@ -58,7 +64,7 @@ class ConversationService {
         
         // Now run Pinecone search if needed (can't be fully parallel since it depends on shouldSearch result)
         const searchResult = shouldSearch ? 
-            await pineconeService.searchKnowledge(message) : 
+            await pineconeService.searchKnowledge(message, this.getSearchOptions(options.tenant)) : 
             { context: null, urls: [], bestScore: 0, totalMatches: 0 };
 
         if (shouldSearch) {
@@ -68,7 +74,7 @@ class ConversationService {
         }
 
         // Build system prompt using new PromptFactory
-        const systemPrompt = PromptFactory.buildPrompt(currentState, searchResult, sessionId);
+        const systemPrompt = PromptFactory.buildPrompt(currentState, searchResult, sessionId, options.tenant);
         
         // Prepend system message instead of overwriting first message
         messages.unshift({
@@ -79,17 +85,12 @@ class ConversationService {
         console.log(`Search Results: ${searchResult.totalMatches || 0} total matches, ${searchResult.rankedResults || 0} ranked, ${searchResult.highPriorityCount || 0} high priority, ${searchResult.categoryMatches || 0} category matches. Best score: ${(searchResult.bestScore || 0).toFixed(3)}. Sending ${messages.length} messages to OpenAI for session ${sessionId}`);
 
         // Generate AI response using GPT-4o for better quality with retry logic
-        const apiCall = async () => {
-            return await this.openai.chat.completions.create({
-                model: "gpt-4o",
-                messages: messages,
-                max_completion_tokens: 500,
-                temperature: 0.7
-            });
-        };
-
-        const completion = await openaiRetryService.retryWithBackoff(apiCall);
-        const botResponse = completion.choices[0].message.content;
+        const botResponse = await this.createCompletion({
+            model: "gpt-4o",
+            messages: messages,
+            max_completion_tokens: 500,
+            temperature: 0.7
+        }, options.onToken);
         
         await memoryService.addMessage(sessionId, message, botResponse, persistentUserId);
 
@@ -101,41 +102,123 @@ class ConversationService {
 
     /**
      * CALLBACK_REQUEST state - progressive lead collection using new prompt system
+     * The model calls capture_lead / end_callback_request instead of writing markers;
+     * returns { response, searchResult, lead, callbackEscape } with lead already validated
      */
-    async generateCallbackRequestResponse(message, sessionId, persistentUserId = null) {
+    async generateCallbackRequestResponse(message, sessionId, persistentUserId = null, options = {}) {
         // Skip knowledge search for lead collection, get conversation history
         const messages = await memoryService.getMessagesForOpenAI(sessionId, message, persistentUserId);
         
         // Use simple PromptFactory for CALLBACK_REQUEST state
         const searchResult = { context: null, urls: [], bestScore: 0, totalMatches: 0 };
-        const systemPrompt = PromptFactory.buildPrompt(SessionState.CALLBACK_REQUEST, searchResult, sessionId);
+        const systemPrompt = PromptFactory.buildPrompt(SessionState.CALLBACK_REQUEST, searchResult, sessionId, options.tenant);
 
         messages.unshift({ role: 'system', content: systemPrompt });
 
         console.log(`CALLBACK_REQUEST state - simple progressive collection for session ${sessionId}`);
 
-        const completion = await openaiRetryService.retryWithBackoff(async () => {
-            return await this.openai.chat.completions.create({
-                model: "gpt-4o",
-                messages: messages,
-                max_completion_tokens: 400,
-                temperature: 0.7
+        const params = {
+            model: "gpt-4o",
+            messages: messages,
+            max_completion_tokens: 400,
+            temperature: 0.7,
+            tools: PromptFactory.getTools(SessionState.CALLBACK_REQUEST),
+            tool_choice: 'auto'
+        };
+
+        const reply = await this.createToolCompletion(params);
+        let botResponse = reply.content || '';
+        let lead = null;
+        let callbackEscape = false;
+
+        if (reply.tool_calls?.length) {
+            const toolMessages = reply.tool_calls.map(toolCall => {
+                const result = this.handleCallbackToolCall(toolCall, sessionId);
+                if (result.lead) lead = result.lead;
+                if (result.callbackEscape) callbackEscape = true;
+
+                return {
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: JSON.stringify(result.output)
+                };
             });
-        });
 
-        const botResponse = completion.choices[0].message.content;
+            // Second pass turns the tool results into the reply the user sees (confirmation or a re-ask)
+            const followUp = await this.createToolCompletion({
+                ...params,
+                messages: [
+                    ...messages,
+                    { role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls },
+                    ...toolMessages
+                ],
+                tool_choice: 'none'
+            });
+
+            botResponse = followUp.content || this.getCallbackFallbackResponse(lead, callbackEscape);
+        }
+
         await memoryService.addMessage(sessionId, message, botResponse, persistentUserId);
 
         return {
             response: botResponse,
-            searchResult: { context: null, urls: [], bestScore: 0, totalMatches: 0 }
+            searchResult: searchResult,
+            lead: lead,
+            callbackEscape: callbackEscape
         };
     }
 
+    /**
+     * Run one CALLBACK_REQUEST tool call - capture_lead arguments are validated before they're accepted
+     */
+    handleCallbackToolCall(toolCall, sessionId) {
+        let args;
+        try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (error) {
+            console.error(`Invalid ${toolCall.function.name} arguments for session ${sessionId}:`, error.message);
+            return { output: { status: 'error', errors: ['Arguments were not valid JSON'] } };
+        }
+
+        switch (toolCall.function.name) {
+            case 'capture_lead': {
+                const validation = LeadValidator.validate(args);
+                if (!validation.valid) {
+                    console.log(`📋 capture_lead rejected for session ${sessionId}:`, validation.errors);
+                    return { output: { status: 'invalid', errors: validation.errors } };
+                }
+
+                console.log(`📋 capture_lead accepted for session ${sessionId}`);
+                return { lead: validation.lead, output: { status: 'captured' } };
+            }
+
+            case 'end_callback_request':
+                console.log(`🚪 end_callback_request for session ${sessionId}: ${args.reason || 'no reason given'}`);
+                return { callbackEscape: true, output: { status: 'ended' } };
+
+            default:
+                console.warn(`Unknown tool call ${toolCall.function.name} for session ${sessionId}`);
+                return { output: { status: 'error', errors: [`Unknown tool ${toolCall.function.name}`] } };
+        }
+    }
+
+    /**
+     * Reply used if the model calls a tool but returns no text on the follow-up
+     */
+    getCallbackFallbackResponse(lead, callbackEscape) {
+        if (lead) {
+            return `Thanks ${lead.firstName}! I've passed your details on to our team and they'll be in touch soon. Is there anything else I can help you with today?`;
+        }
+        if (callbackEscape) {
+            return "No problem at all! Is there anything else I can help you with today?";
+        }
+        return "Sorry, I didn't quite get that. Could you please check your details and send them again?";
+    }
+
     /**
      * LEAD_CAPTURE state - build rapport and suggest callback (NO contact collection)
      */
-    async generateLeadCaptureResponse(message, sessionId, persistentUserId = null) {
+    async generateLeadCaptureResponse(message, sessionId, persistentUserId = null, options = {}) {
         // Use knowledge search for LEAD_CAPTURE since we're answering questions
         const [shouldSearch, messages] = await Promise.all([
             this.shouldSearchKnowledgeBase(message, SessionState.LEAD_CAPTURE),
@@ -143,26 +226,23 @@ class ConversationService {
         ]);
         
         const searchResult = shouldSearch ? 
-            await pineconeService.searchKnowledge(message) : 
+            await pineconeService.searchKnowledge(message, this.getSearchOptions(options.tenant)) : 
             { context: null, urls: [], bestScore: 0, totalMatches: 0 };
 
         // Use proper PromptFactory for LEAD_CAPTURE state (rapport building, not collection)
-        const systemPrompt = PromptFactory.buildPrompt(SessionState.LEAD_CAPTURE, searchResult, sessionId);
+        const systemPrompt = PromptFactory.buildPrompt(SessionState.LEAD_CAPTURE, searchResult, sessionId, options.tenant);
 
         messages.unshift({ role: 'system', content: systemPrompt });
 
         console.log(`LEAD_CAPTURE state - building rapport and suggesting callback for session ${sessionId}`);
 
-        const completion = await openaiRetryService.retryWithBackoff(async () => {
-            return await this.openai.chat.completions.create({
-                model: "gpt-4o",
-                messages: messages,
-                max_completion_tokens: 400,
-                temperature: 0.7
-            });
-        });
+        const botResponse = await this.createCompletion({
+            model: "gpt-4o",
+            messages: messages,
+            max_completion_tokens: 400,
+            temperature: 0.7
+        }, options.onToken);
 
-        const botResponse = completion.choices[0].message.content;
         await memoryService.addMessage(sessionId, message, botResponse, persistentUserId);
 
         return {
@@ -174,7 +254,7 @@ class ConversationService {
     /**
      * Optimized response for NORMAL_CHAT state (regular chat, no handoff)
      */
-    async generateNormalChatResponse(message, sessionId, persistentUserId = null) {
+    async generateNormalChatResponse(message, sessionId, persistentUserId = null, options = {}) {
         // Fast classification and processing for normal chat
         const [shouldSearch, messages] = await Promise.all([
             this.shouldSearchKnowledgeBase(message, SessionState.NORMAL_CHAT),
@@ -182,26 +262,23 @@ class ConversationService {
         ]);
         
         const searchResult = shouldSearch ? 
-            await pineconeService.searchKnowledge(message) : 
+            await pineconeService.searchKnowledge(message, this.getSearchOptions(options.tenant)) : 
             { context: null, urls: [], bestScore: 0, totalMatches: 0 };
 
         // Simplified prompt for normal chat (no handoff analysis needed)
-        const systemPrompt = PromptFactory.buildPrompt(SessionState.NORMAL_CHAT, searchResult, sessionId);
+        const systemPrompt = PromptFactory.buildPrompt(SessionState.NORMAL_CHAT, searchResult, sessionId, options.tenant);
         
         messages.unshift({ role: 'system', content: systemPrompt });
 
         console.log(`NORMAL_CHAT state - no handoff analysis needed for session ${sessionId}`);
 
-        const completion = await openaiRetryService.retryWithBackoff(async () => {
-            return await this.openai.chat.completions.create({
-                model: "gpt-4o",
-                messages: messages,
-                max_completion_tokens: 500,
-                temperature: 0.7
-            });
-        });
+        const botResponse = await this.createCompletion({
+            model: "gpt-4o",
+            messages: messages,
+            max_completion_tokens: 500,
+            temperature: 0.7
+        }, options.onToken);
 
-        const botResponse = completion.choices[0].message.content;
         await memoryService.addMessage(sessionId, message, botResponse, persistentUserId);
 
         return {
@@ -213,24 +290,21 @@ class ConversationService {
     /**
      * Simple response for fallback cases
      */
-    async generateSimpleResponse(message, sessionId, persistentUserId = null) {
+    async generateSimpleResponse(message, sessionId, persistentUserId = null, options = {}) {
         const messages = await memoryService.getMessagesForOpenAI(sessionId, message, persistentUserId);
         
         messages.unshift({
             role: 'system',
-            content: 'You are a helpful assistant for Achora. Provide brief, helpful responses. Use Australian spelling.'
+            content: `You are a helpful assistant for ${options.tenant?.name || 'Achora'}. Provide brief, helpful responses. Use Australian spelling.`
         });
 
-        const completion = await openaiRetryService.retryWithBackoff(async () => {
-            return await this.openai.chat.completions.create({
-                model: "gpt-4o-mini", // Use faster model for simple cases
-                messages: messages,
-                max_completion_tokens: 200,
-                temperature: 0.7
-            });
-        });
+        const botResponse = await this.createCompletion({
+            model: "gpt-4o-mini", // Use faster model for simple cases
+            messages: messages,
+            max_completion_tokens: 200,
+            temperature: 0.7
+        }, options.onToken);
 
-        const botResponse = completion.choices[0].message.content;
         await memoryService.addMessage(sessionId, message, botResponse, persistentUserId);
 
         return {
@@ -239,6 +313,56 @@ class ConversationService {
         };
     }
 
+    /**
+     * Pinecone index/namespace for the tenant's knowledge base
+     */
+    getSearchOptions(tenant) {
+        if (!tenant) return {};
+
+        return {
+            indexName: tenant.pinecone.indexName,
+            namespace: tenant.pinecone.namespace
+        };
+    }
+
+    /**
+     * Run a chat completion with retry logic, streaming tokens to onToken when provided
+     */
+    async createCompletion(params, onToken = null) {
+        if (!onToken) {
+            const completion = await openaiRetryService.retryWithBackoff(async () => {
+                return await this.openai.chat.completions.create(params);
+            });
+            return completion.choices[0].message.content;
+        }
+
+        // Only opening the stream is retried - retrying after tokens went out would duplicate them
+        const stream = await openaiRetryService.retryWithBackoff(async () => {
+            return await this.openai.chat.completions.create({ ...params, stream: true });
+        });
+
+        let content = '';
+        for await (const chunk of stream) {
+            const token = chunk.choices[0]?.delta?.content;
+            if (token) {
+                content += token;
+                onToken(token);
+            }
+        }
+
+        return content;
+    }
+
+    /**
+     * Run a chat completion that may return tool calls - returns the assistant message ({ content, tool_calls })
+     */
+    async createToolCompletion(params) {
+        const completion = await openaiRetryService.retryWithBackoff(async () => {
+            return await this.openai.chat.completions.create(params);
+        });
+        return completion.choices[0].message;
+    }
+
     /**
      * Determine if we should search the knowledge base for this message using optimized GPT classification
      */
@@ -0,0 +1,169 @@
+const databaseService = require('./databaseService');
+const redisService = require('./redisService');
+const sessionService = require('./sessionService');
+const schedulerService = require('./schedulerService');
+const transcriptService = require('./transcriptService');
+const { SessionState } = require('./states');
+const StatsUtils = require('../utils/statsUtils');
+
+const IDLE_SURVEY_MS = parseInt(process.env.CSAT_IDLE_MINUTES || '5') * 60000;
+const MAX_COMMENT_LENGTH = 1000;
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 52;
+
+/**
+ * CsatService - Post-chat satisfaction survey (1-5 rating plus an optional comment)
+ *
+ * The survey is offered over Socket.IO ('csat_request') when an agent ends a live chat, or when a
+ * bot conversation has been idle for CSAT_IDLE_MINUTES. The idle survey is offered once per session and the
+ * agent survey once per live chat (AgentConnection), so one doesn't block the other. Each survey
+ * is a CsatResponse row linked to the session and, for live chats, the AgentConnection being rated;
+ * live chat responses are also posted back into the Slack thread.
+ */
+class CsatService {
+    constructor() {
+        schedulerService.register('csat_idle_survey', (payload) => this.handleIdleSurvey(payload));
+    }
+
+    /**
+     * (Re)start the idle timer after a bot reply - the survey is offered if the user goes quiet
+     */
+    async scheduleIdleSurvey(sessionId, persistentUserId = null) {
+        await schedulerService.schedule(`csat_idle_survey:${sessionId}`, 'csat_idle_survey', IDLE_SURVEY_MS, { sessionId, persistentUserId });
+    }
+
+    async cancelIdleSurvey(sessionId) {
+        await schedulerService.cancel(`csat_idle_survey:${sessionId}`);
+    }
+
+    async handleIdleSurvey({ sessionId, persistentUserId }) {
+        try {
+            // A live chat (or one being requested) gets its survey when the agent ends it
+            const state = await sessionService.getSessionState(sessionId, persistentUserId);
+            if (state === SessionState.HUMAN_CONNECTED) return;
+            if (persistentUserId && await redisService.getHandoffState(persistentUserId)) return;
+
+            // Only ask users who still have the widget open
+            const sockets = global.io ? await global.io.in(sessionId).fetchSockets() : [];
+            if (sockets.length === 0) return;
+
+            await this.offerSurvey(sessionId, 'bot_idle', { persistentUserId });
+        } catch (error) {
+            console.error(`Error offering idle CSAT survey for session ${sessionId}:`, error);
+        }
+    }
+
+    /**
+     * Offer the survey to the widget - skipped if it has already been offered for this trigger and live chat
+     * @param {string} sessionId - Chat session
+     * @param {string} trigger - 'agent_ended' or 'bot_idle'
+     * @param {Object} details - persistentUserId, agentConnection (AgentConnection row), slackChannelId, slackThreadTs
+     * @returns {Promise<Object|null>} - The CsatResponse row, or null if not offered
+     */
+    async offerSurvey(sessionId, trigger, details = {}) {
+        try {
+            if (!global.io || await databaseService.hasCsatSurvey(sessionId, trigger, details.agentConnection?.id || null)) return null;
+            await this.cancelIdleSurvey(sessionId);
+
+            const survey = await databaseService.createCsatSurvey(sessionId, trigger, details);
+            if (!survey) return null;
+
+            global.io.to(sessionId).emit('csat_request', {
+                sessionId: sessionId,
+                surveyId: survey.id,
+                trigger: trigger,
+                agentName: survey.agentName,
+                question: survey.agentName ?
+                    `How would you rate your chat with ${survey.agentName}?` :
+                    'How would you rate your chat with us today?'
+            });
+            console.log(`⭐ CSAT survey offered to session ${sessionId} (${trigger})`);
+            return survey;
+        } catch (error) {
+            console.error(`Error offering CSAT survey for session ${sessionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Record the user's answer
+     * @returns {Promise<{status: string, message: string}>} - status: recorded, invalid_rating, not_found or error
+     */
+    async submitResponse(sessionId, surveyId, rating, comment = null, persistentUserId = null) {
+        const score = Number(rating);
+        if (!Number.isInteger(score) || score < 1 || score > 5) {
+            return { status: 'invalid_rating', message: 'Please choose a rating from 1 to 5.' };
+        }
+        const text = comment ? String(comment).trim().slice(0, MAX_COMMENT_LENGTH) || null : null;
+
+        try {
+            const survey = surveyId ? await databaseService.getOpenCsatSurvey(sessionId, surveyId) : null;
+            if (!survey) {
+                return { status: 'not_found', message: 'This survey has already been answered or has expired.' };
+            }
+
+            await databaseService.recordCsatResponse(survey, score, text);
+            await transcriptService.logSystemMessage(sessionId, `Customer rated the chat ${score}/5`, {
+                persistentUserId: persistentUserId || survey.persistentUserId,
+                csat: { surveyId: survey.id, rating: score, comment: text, trigger: survey.trigger, agentName: survey.agentName }
+            });
+
+            if (survey.slackThreadTs) {
+                // Required here - slackService offers surveys when an agent ends a chat
+                const slackService = require('./slackService');
+                await slackService.postCsatResponse(survey);
+            }
+
+            return { status: 'recorded', message: 'Thanks for your feedback!' };
+        } catch (error) {
+            console.error(`Error recording CSAT response for session ${sessionId}:`, error);
+            return { status: 'error', message: "Sorry, we couldn't save your feedback. Please try again later." };
+        }
+    }
+
+    /**
+     * CSAT per agent and per week
+     * @param {Object} options - clientId, weeks (default 12, max 52)
+     */
+    async getStats({ clientId, weeks = DEFAULT_WEEKS } = {}) {
+        const weekCount = Math.min(Math.max(parseInt(weeks) || DEFAULT_WEEKS, 1), MAX_WEEKS);
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - weekCount * 7);
+
+        const { overall, byAgent, byWeek } = await databaseService.getCsatStats(clientId || undefined, startDate);
+
+        return {
+            weeks: weekCount,
+            since: startDate.toISOString(),
+            overall: CsatService.summarise(overall),
+            byAgent: byAgent.map(row => ({
+                agentId: row.agentId,
+                agentName: row.agentName || 'Assistant (bot only)',
+                ...CsatService.summarise(row)
+            })),
+            byWeek: byWeek.map(row => ({
+                week: new Date(row.week).toISOString().slice(0, 10),
+                ...CsatService.summarise(row)
+            }))
+        };
+    }
+
+    /**
+     * Counts from getCsatStats -> averageRating, csat (% of responses rated 4-5) and responseRate
+     */
+    static summarise(row = {}) {
+        const offered = parseInt(row?.offered) || 0;
+        const responses = parseInt(row?.responses) || 0;
+        const satisfied = parseInt(row?.satisfied) || 0;
+
+        return {
+            offered,
+            responses,
+            averageRating: responses > 0 ? Math.round(parseFloat(row.averageRating) * 100) / 100 : null,
+            csat: StatsUtils.rate(satisfied, responses),
+            responseRate: StatsUtils.rate(responses, offered)
+        };
+    }
+}
+
+module.exports = new CsatService();
@@ -1,6 +1,8 @@
 const { Sequelize, DataTypes } = require('sequelize');
 require('dotenv').config();
 const TimezoneUtils = require('../utils/timezoneUtils');
+const LinkUtils = require('../utils/linkUtils');
+const tenantService = require('./tenantService');
 
 // Initialize Sequelize with PostgreSQL
 const sequelize = new Sequelize(process.env.DATABASE_URL, {
@@ -22,6 +24,9 @@ const sequelize = new Sequelize(process.env.DATABASE_URL, {
     }
 });
 
+// Lead pipeline used by the intake team
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'converted', 'closed'];
+
 // Define Lead model
 const Lead = sequelize.define('Lead', {
     id: {
@@ -126,6 +131,11 @@ const UserEvents = sequelize.define('UserEvents', {
         type: DataTypes.DATE,
         allowNull: true
     },
+    // Path of the page the widget was first opened on
+    landingPage: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
     widgetOpened: {
         type: DataTypes.DATE,
         allowNull: true
@@ -181,6 +191,14 @@ const LinksClicked = sequelize.define('LinksClicked', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    messageId: {
+        type: DataTypes.UUID, // ChatLog id of the bot message the link was in
+        allowNull: true
+    },
+    docIds: {
+        type: DataTypes.JSONB, // Knowledge base documents that supplied the URL
+        defaultValue: []
+    },
     dateCreated: {
         type: DataTypes.DATE,
         defaultValue: () => TimezoneUtils.nowInAEST()
@@ -251,11 +269,207 @@ const AgentConnection = sequelize.define('AgentConnection', {
         defaultValue: 'connected'
     },
     disconnectionReason: {
-        type: DataTypes.ENUM('agent_ended', 'user_left', 'timeout', 'system_error', 'user_inactivity_10min'),
+        type: DataTypes.ENUM('agent_ended', 'user_left', 'timeout', 'system_error', 'user_inactivity_10min', 'transferred'),
+        allowNull: true
+    },
+    // Previous leg when the chat was transferred to this agent - the first leg has none
+    transferredFromId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    }
+});
+
+// Define HandoffRequest model - every live chat request and what happened to it, accepted or not
+const HandoffRequest = sequelize.define('HandoffRequest', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    sessionId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        index: true
+    },
+    persistentUserId: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    clientId: {
+        type: DataTypes.STRING,
+        defaultValue: 'achora'
+    },
+    topic: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    requestedAt: {
+        type: DataTypes.DATE,
+        defaultValue: () => TimezoneUtils.nowInAEST()
+    },
+    outcome: {
+        type: DataTypes.ENUM('pending', 'accepted', 'timeout'),
+        defaultValue: 'pending'
+    },
+    resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    waitingDuration: {
+        type: DataTypes.INTEGER // seconds until the request was accepted or timed out
+    }
+});
+
+// Define CsatResponse model - post-chat satisfaction survey, created when offered and completed when answered
+const CsatResponse = sequelize.define('CsatResponse', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    sessionId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        index: true
+    },
+    persistentUserId: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    clientId: {
+        type: DataTypes.STRING,
+        defaultValue: 'achora'
+    },
+    // Live chat being rated - null for bot-only conversations
+    agentConnectionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: AgentConnection,
+            key: 'id'
+        }
+    },
+    agentName: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    agentId: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    trigger: {
+        type: DataTypes.ENUM('agent_ended', 'bot_idle'),
+        allowNull: false
+    },
+    rating: {
+        type: DataTypes.INTEGER, // 1-5, null until answered
+        allowNull: true,
+        validate: {
+            min: 1,
+            max: 5
+        }
+    },
+    comment: {
+        type: DataTypes.TEXT,
         allowNull: true
+    },
+    // Slack thread the response is posted back to
+    slackChannelId: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    slackThreadTs: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    offeredAt: {
+        type: DataTypes.DATE,
+        defaultValue: () => TimezoneUtils.nowInAEST()
+    },
+    respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+});
+
+// Define AdminAuditLog model - every admin/maintenance action (API or CLI)
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    actor: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        index: true
+    },
+    target: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    success: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
+    details: {
+        type: DataTypes.JSONB,
+        defaultValue: {}
+    },
+    timestamp: {
+        type: DataTypes.DATE,
+        defaultValue: () => TimezoneUtils.nowInAEST()
     }
 });
 
+// Define Snippet model - canned replies agents send into live chats from Slack
+const Snippet = sequelize.define('Snippet', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    clientId: {
+        type: DataTypes.STRING,
+        defaultValue: 'achora'
+    },
+    // Short lowercase name agents type, e.g. sil-vacancies
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    // Reply text with {{variables}} - see utils/snippetTemplate.js
+    text: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    createdBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    updatedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+    }
+}, {
+    indexes: [{ unique: true, fields: ['clientId', 'name'] }]
+});
+
+// Ids sent back by the widget are checked before they reach a UUID column
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // Database service class
 class DatabaseService {
     constructor() {
@@ -265,6 +479,11 @@ class DatabaseService {
         this.UserEvents = UserEvents;
         this.LinksClicked = LinksClicked;
         this.AgentConnection = AgentConnection;
+        this.HandoffRequest = HandoffRequest;
+        this.AdminAuditLog = AdminAuditLog;
+        this.CsatResponse = CsatResponse;
+        this.Snippet = Snippet;
+        this.LEAD_STATUSES = LEAD_STATUSES;
     }
 
     async initialize() {
@@ -312,20 +531,84 @@ class DatabaseService {
         );
     }
 
+    /**
+     * Build a Lead where clause from API filters
+     * { clientId, status, source, from, to, search } - from/to are dates (to is inclusive of the whole day)
+     */
+    buildLeadFilter(filters = {}) {
+        const { Op } = Sequelize;
+        const where = {};
+
+        if (filters.clientId) where.clientId = filters.clientId;
+        if (filters.status) where.status = filters.status;
+        if (filters.source) where.source = filters.source;
+
+        const capturedAt = this.dateRange(filters);
+        if (capturedAt) where.capturedAt = capturedAt;
+
+        if (filters.search) {
+            const term = `%${filters.search}%`;
+            where[Op.or] = [
+                { firstName: { [Op.iLike]: term } },
+                { lastName: { [Op.iLike]: term } },
+                { email: { [Op.iLike]: term } },
+                { phone: { [Op.iLike]: term } }
+            ];
+        }
+
+        return where;
+    }
+
+    async findLeads(filters = {}, limit = 50, offset = 0) {
+        return await this.Lead.findAndCountAll({
+            where: this.buildLeadFilter(filters),
+            order: [['capturedAt', 'DESC']],
+            limit,
+            offset
+        });
+    }
+
+    /**
+     * Leads captured with an email address (case-insensitive), newest first
+     */
+    async findLeadsByEmail(email, clientId = null, limit = 5) {
+        const where = {
+            [Sequelize.Op.and]: sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), String(email).toLowerCase())
+        };
+        if (clientId) where.clientId = clientId;
+
+        return await this.Lead.findAll({
+            where,
+            order: [['capturedAt', 'DESC']],
+            limit
+        });
+    }
+
+    async getLeadById(leadId) {
+        return await this.Lead.findByPk(leadId);
+    }
+
+    /**
+     * Update a lead's status and/or notes
+     */
+    async updateLead(lead, changes) {
+        const updates = {};
+        if (changes.status !== undefined) updates.status = changes.status;
+        if (changes.notes !== undefined) updates.notes = changes.notes;
+
+        await lead.update(updates);
+        console.log(`✅ Lead ${lead.id} updated:`, Object.keys(updates).join(', '));
+        return lead;
+    }
+
     // Chat logging methods
     async logMessage(sessionId, messageType, message, metadata = {}) {
         try {
-            // Get the next convo_id for this session
-            const lastMessage = await this.ChatLog.findOne({
-                where: { sessionId },
-                order: [['convoId', 'DESC']],
-                attributes: ['convoId']
-            });
-            
-            const convoId = lastMessage ? lastMessage.convoId + 1 : 1;
+            const convoId = await this.nextConvoId(sessionId);
             
             const log = await this.ChatLog.create({
                 sessionId,
+                clientId: await tenantService.getClientIdForSession(sessionId),
                 convoId,
                 messageType,
                 message,
@@ -338,6 +621,62 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Next convoId for a session
+     * With Redis the counter is shared, so messages logged at the same moment (or on different instances)
+     * never get the same convoId - it is seeded from ChatLog the first time a session is seen
+     */
+    async nextConvoId(sessionId) {
+        const lastConvoId = async () => {
+            const lastMessage = await this.ChatLog.findOne({
+                where: { sessionId },
+                order: [['convoId', 'DESC']],
+                attributes: ['convoId']
+            });
+            return lastMessage ? lastMessage.convoId : 0;
+        };
+
+        const redisService = require('./redisService');
+        if (!redisService.isConnected) {
+            return await lastConvoId() + 1;
+        }
+
+        const key = `convo_id:${sessionId}`;
+        if (!await redisService.client.exists(key)) {
+            await redisService.client.set(key, String(await lastConvoId()), { NX: true });
+        }
+
+        const convoId = await redisService.client.incr(key);
+        await redisService.client.expire(key, 86400); // 24 hours after the last message
+        return convoId;
+    }
+
+    /**
+     * Full transcript for a session in conversation order
+     */
+    async getChatTranscript(sessionId) {
+        return await this.ChatLog.findAll({
+            where: { sessionId },
+            order: [['convoId', 'ASC']]
+        });
+    }
+
+    /**
+     * Number of ChatLog messages per session - { sessionId: count }
+     */
+    async countMessagesBySession(sessionIds) {
+        if (sessionIds.length === 0) return {};
+
+        const rows = await this.ChatLog.findAll({
+            where: { sessionId: sessionIds },
+            attributes: ['sessionId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['sessionId'],
+            raw: true
+        });
+
+        return Object.fromEntries(rows.map(row => [row.sessionId, parseInt(row.count)]));
+    }
+
     async getChatHistory(sessionId, limit = 50) {
         return await this.ChatLog.findAll({
             where: { sessionId },
@@ -347,11 +686,21 @@ class DatabaseService {
     }
 
     // Link click tracking methods
-    async recordLinkClick(sessionId, url) {
+    /**
+     * Record a click - with the bot message id, the source documents come from that message's links
+     * @param {Object} details - messageId (ChatLog id of the bot message, from the widget)
+     */
+    async recordLinkClick(sessionId, url, { messageId = null } = {}) {
         try {
+            const botMessage = await this.getBotMessage(sessionId, messageId);
+            const link = LinkUtils.findLink(botMessage?.metadata?.links, url);
+
             const linkClick = await this.LinksClicked.create({
                 sessionId,
-                url
+                clientId: await tenantService.getClientIdForSession(sessionId),
+                url,
+                messageId: botMessage ? botMessage.id : null,
+                docIds: link ? link.docIds : []
             });
             console.log(`✅ Link click recorded: ${url} for session ${sessionId}`);
             return linkClick;
@@ -361,6 +710,52 @@ class DatabaseService {
         }
     }
 
+    /**
+     * A bot message in this session - ids from the widget are not trusted beyond that
+     */
+    async getBotMessage(sessionId, messageId) {
+        if (!messageId || !UUID_PATTERN.test(messageId)) return null;
+
+        return await this.ChatLog.findOne({
+            where: { id: messageId, sessionId, messageType: 'bot' }
+        });
+    }
+
+    /**
+     * Bot messages that offered links, for link attribution
+     * @param {Object} filters - clientId, from, to
+     */
+    async getBotMessagesWithLinks(filters = {}) {
+        const where = {
+            clientId: filters.clientId || tenantService.defaultClientId,
+            messageType: 'bot',
+            [Sequelize.Op.and]: sequelize.literal(`jsonb_array_length(COALESCE("metadata"->'links', '[]'::jsonb)) > 0`)
+        };
+        const timestamp = this.dateRange(filters);
+        if (timestamp) where.timestamp = timestamp;
+
+        return await this.ChatLog.findAll({
+            where,
+            attributes: ['id', 'sessionId', 'metadata', 'timestamp'],
+            raw: true
+        });
+    }
+
+    /**
+     * @param {Object} filters - clientId, from, to
+     */
+    async getLinkClicksInRange(filters = {}) {
+        const where = { clientId: filters.clientId || tenantService.defaultClientId };
+        const dateCreated = this.dateRange(filters);
+        if (dateCreated) where.dateCreated = dateCreated;
+
+        return await this.LinksClicked.findAll({
+            where,
+            attributes: ['sessionId', 'url', 'messageId', 'docIds', 'dateCreated'],
+            raw: true
+        });
+    }
+
     async getLinkClicksBySession(sessionId) {
         return await this.LinksClicked.findAll({
             where: { sessionId },
@@ -368,7 +763,7 @@ class DatabaseService {
         });
     }
 
-    async getLinkClickStats(clientId = 'achora', days = 30) {
+    async getLinkClickStats(clientId = tenantService.defaultClientId, days = 30) {
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
 
@@ -394,6 +789,7 @@ class DatabaseService {
         try {
             const connection = await this.AgentConnection.create({
                 sessionId,
+                clientId: await tenantService.getClientIdForSession(sessionId),
                 agentName,
                 agentId,
                 persistentUserId: additionalData.persistentUserId,
@@ -401,7 +797,8 @@ class DatabaseService {
                 messageTs: additionalData.messageTs,
                 conversationSummary: additionalData.conversationSummary,
                 handoffRequestedAt: additionalData.handoffRequestedAt,
-                waitingDuration: additionalData.waitingDuration
+                waitingDuration: additionalData.waitingDuration,
+                transferredFromId: additionalData.transferredFromId
             });
             console.log(`✅ Agent connection logged: ${agentName} connected to session ${sessionId}`);
             return connection;
@@ -451,12 +848,86 @@ class DatabaseService {
             } else {
                 console.log(`⚠️ No active agent connection found for session ${sessionId}`);
             }
+            return connection;
         } catch (error) {
             console.error('Error logging agent disconnection:', error);
+            return null;
         }
     }
 
+    /**
+     * The agent currently connected to a session (the latest leg of a transferred chat)
+     */
+    async getConnectedAgentConnection(sessionId) {
+        return await this.AgentConnection.findOne({
+            where: {
+                sessionId,
+                status: 'connected'
+            },
+            order: [['connectedAt', 'DESC']]
+        });
+    }
+
+    // Handoff request methods
+    async logHandoffRequest(sessionId, details = {}) {
+        try {
+            return await this.HandoffRequest.create({
+                sessionId,
+                persistentUserId: details.persistentUserId || null,
+                clientId: details.clientId || await tenantService.getClientIdForSession(sessionId),
+                topic: details.topic || null
+            });
+        } catch (error) {
+            console.error('Error logging handoff request:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Close the user's pending handoff request with its outcome - 'accepted' or 'timeout'
+     */
+    async resolveHandoffRequest(persistentUserId, outcome) {
+        try {
+            const request = await this.HandoffRequest.findOne({
+                where: { persistentUserId, outcome: 'pending' },
+                order: [['requestedAt', 'DESC']]
+            });
+            if (!request) return null;
+
+            const resolvedAt = TimezoneUtils.nowInAEST();
+            await request.update({
+                outcome,
+                resolvedAt,
+                waitingDuration: Math.floor((resolvedAt - request.requestedAt) / 1000)
+            });
+            console.log(`✅ Handoff request ${outcome} for user ${persistentUserId}`);
+            return request;
+        } catch (error) {
+            console.error('Error resolving handoff request:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Handoff requests since startDate for agent analytics - accepted, timed out or still pending
+     */
+    async getHandoffRequests(clientId = tenantService.defaultClientId, startDate) {
+        return await this.HandoffRequest.findAll({
+            where: {
+                clientId,
+                requestedAt: {
+                    [Sequelize.Op.gte]: startDate
+                }
+            },
+            attributes: ['requestedAt', 'outcome', 'waitingDuration'],
+            order: [['requestedAt', 'ASC']],
+            raw: true
+        });
+    }
+
     async logHandoffTimeout(persistentUserId) {
+        await this.resolveHandoffRequest(persistentUserId, 'timeout');
+
         try {
             const connection = await this.AgentConnection.findOne({
                 where: { 
@@ -502,8 +973,113 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Live chats since startDate for agent analytics - timing and outcome fields only
+     */
+    async getAgentConnections(clientId = tenantService.defaultClientId, startDate) {
+        return await this.AgentConnection.findAll({
+            where: {
+                clientId,
+                connectedAt: {
+                    [Sequelize.Op.gte]: startDate
+                }
+            },
+            attributes: ['agentId', 'agentName', 'handoffRequestedAt', 'connectedAt', 'disconnectedAt',
+                'waitingDuration', 'sessionDuration', 'status', 'disconnectionReason', 'transferredFromId'],
+            order: [['connectedAt', 'ASC']],
+            raw: true
+        });
+    }
+
+    // CSAT survey methods
+    async createCsatSurvey(sessionId, trigger, details = {}) {
+        try {
+            const agentConnection = details.agentConnection || null;
+            return await this.CsatResponse.create({
+                sessionId,
+                clientId: await tenantService.getClientIdForSession(sessionId),
+                persistentUserId: details.persistentUserId || agentConnection?.persistentUserId || null,
+                agentConnectionId: agentConnection?.id || null,
+                agentName: agentConnection?.agentName || null,
+                agentId: agentConnection?.agentId || null,
+                trigger,
+                slackChannelId: details.slackChannelId || null,
+                slackThreadTs: details.slackThreadTs || agentConnection?.threadTs || null
+            });
+        } catch (error) {
+            console.error('Error creating CSAT survey:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether this survey has already been offered - once per session for the bot, once per live chat for agents
+     */
+    async hasCsatSurvey(sessionId, trigger, agentConnectionId = null) {
+        return await this.CsatResponse.count({ where: { sessionId, trigger, agentConnectionId } }) > 0;
+    }
+
+    /**
+     * A survey offered to this session that hasn't been answered yet
+     */
+    async getOpenCsatSurvey(sessionId, surveyId) {
+        return await this.CsatResponse.findOne({
+            where: { id: surveyId, sessionId, rating: null }
+        });
+    }
+
+    async recordCsatResponse(survey, rating, comment = null) {
+        await survey.update({
+            rating,
+            comment,
+            respondedAt: TimezoneUtils.nowInAEST()
+        });
+        console.log(`✅ CSAT response recorded: ${rating}/5 for session ${survey.sessionId}`);
+        return survey;
+    }
+
+    /**
+     * CSAT per agent and per week for surveys offered since startDate
+     * offered counts every survey, responses only answered ones; satisfied is ratings of 4 or 5
+     */
+    async getCsatStats(clientId = tenantService.defaultClientId, startDate) {
+        const where = {
+            clientId,
+            offeredAt: {
+                [Sequelize.Op.gte]: startDate
+            }
+        };
+        const measures = [
+            [sequelize.fn('COUNT', sequelize.col('id')), 'offered'],
+            [sequelize.fn('COUNT', sequelize.col('rating')), 'responses'],
+            [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
+            [sequelize.literal('COUNT(*) FILTER (WHERE "rating" >= 4)'), 'satisfied']
+        ];
+        const week = sequelize.fn('DATE_TRUNC', 'week', sequelize.col('offeredAt'));
+
+        const [overall, byAgent, byWeek] = await Promise.all([
+            this.CsatResponse.findOne({ where, attributes: measures, raw: true }),
+            this.CsatResponse.findAll({
+                where,
+                attributes: ['agentId', 'agentName', ...measures],
+                group: ['agentId', 'agentName'],
+                order: [[sequelize.fn('COUNT', sequelize.col('rating')), 'DESC']],
+                raw: true
+            }),
+            this.CsatResponse.findAll({
+                where,
+                attributes: [[week, 'week'], ...measures],
+                group: [week],
+                order: [[week, 'ASC']],
+                raw: true
+            })
+        ]);
+
+        return { overall, byAgent, byWeek };
+    }
+
     // Analytics methods
-    async getLeadStats(clientId = 'achora', days = 30) {
+    async getLeadStats(clientId = tenantService.defaultClientId, days = 30) {
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
 
@@ -532,6 +1108,7 @@ class DatabaseService {
                 where: { sessionId },
                 defaults: {
                     sessionId,
+                    clientId: await tenantService.getClientIdForSession(sessionId),
                     pageLoaded: TimezoneUtils.nowInAEST()
                 }
             });
@@ -547,15 +1124,33 @@ class DatabaseService {
         }
     }
 
-    async trackWidgetOpened(sessionId) {
+    /**
+     * @param {Object} details - landingPage and pageLoadedAt (ISO) from the embed script, recorded on first open
+     */
+    async trackWidgetOpened(sessionId, details = {}) {
         try {
             const [userEvent] = await this.UserEvents.findOrCreate({
                 where: { sessionId },
-                defaults: { sessionId }
+                defaults: {
+                    sessionId,
+                    clientId: await tenantService.getClientIdForSession(sessionId)
+                }
             });
 
             if (!userEvent.widgetOpened) {
-                await userEvent.update({ widgetOpened: TimezoneUtils.nowInAEST() });
+                const updates = { widgetOpened: TimezoneUtils.nowInAEST() };
+                if (details.landingPage) {
+                    updates.landingPage = String(details.landingPage).slice(0, 255);
+                }
+
+                // Sessions start when the widget opens, so the page load time comes from the embed script
+                const pageLoadedAt = details.pageLoadedAt ? new Date(details.pageLoadedAt) : null;
+                const sinceLoad = pageLoadedAt ? Date.now() - pageLoadedAt.getTime() : NaN;
+                if (!userEvent.pageLoaded && sinceLoad >= 0 && sinceLoad < 86400000) {
+                    updates.pageLoaded = TimezoneUtils.toAEST(pageLoadedAt);
+                }
+
+                await userEvent.update(updates);
             }
 
             return userEvent;
@@ -568,7 +1163,10 @@ class DatabaseService {
         try {
             const [userEvent] = await this.UserEvents.findOrCreate({
                 where: { sessionId },
-                defaults: { sessionId }
+                defaults: {
+                    sessionId,
+                    clientId: await tenantService.getClientIdForSession(sessionId)
+                }
             });
 
             if (!userEvent.requestedHuman) {
@@ -585,7 +1183,10 @@ class DatabaseService {
         try {
             const [userEvent] = await this.UserEvents.findOrCreate({
                 where: { sessionId },
-                defaults: { sessionId }
+                defaults: {
+                    sessionId,
+                    clientId: await tenantService.getClientIdForSession(sessionId)
+                }
             });
 
             if (!userEvent.pressedAccept) {
@@ -602,7 +1203,10 @@ class DatabaseService {
         try {
             const [userEvent] = await this.UserEvents.findOrCreate({
                 where: { sessionId },
-                defaults: { sessionId }
+                defaults: {
+                    sessionId,
+                    clientId: await tenantService.getClientIdForSession(sessionId)
+                }
             });
 
             if (!userEvent.pressedCallback) {
@@ -619,7 +1223,10 @@ class DatabaseService {
         try {
             const [userEvent] = await this.UserEvents.findOrCreate({
                 where: { sessionId },
-                defaults: { sessionId }
+                defaults: {
+                    sessionId,
+                    clientId: await tenantService.getClientIdForSession(sessionId)
+                }
             });
 
             if (!userEvent.pressedContinue) {
@@ -632,6 +1239,112 @@ class DatabaseService {
         }
     }
 
+    // Snippet methods
+    async getSnippets(clientId = tenantService.defaultClientId) {
+        return await this.Snippet.findAll({
+            where: { clientId },
+            order: [['name', 'ASC']]
+        });
+    }
+
+    async getSnippetByName(clientId, name) {
+        return await this.Snippet.findOne({
+            where: { clientId, name: String(name).toLowerCase() }
+        });
+    }
+
+    async getSnippetById(snippetId) {
+        return UUID_PATTERN.test(snippetId || '') ? await this.Snippet.findByPk(snippetId) : null;
+    }
+
+    async createSnippet(snippetData) {
+        const snippet = await this.Snippet.create(snippetData);
+        console.log(`✅ Snippet ${snippet.name} created for ${snippet.clientId}`);
+        return snippet;
+    }
+
+    /**
+     * Update a snippet's name, title and/or text
+     */
+    async updateSnippet(snippet, changes, updatedBy = null) {
+        const updates = { updatedBy };
+        for (const field of ['name', 'title', 'text']) {
+            if (changes[field] !== undefined) updates[field] = changes[field];
+        }
+
+        await snippet.update(updates);
+        console.log(`✅ Snippet ${snippet.name} updated:`, Object.keys(updates).filter(field => field !== 'updatedBy').join(', '));
+        return snippet;
+    }
+
+    async deleteSnippet(snippet) {
+        await snippet.destroy();
+        console.log(`🗑️ Snippet ${snippet.name} deleted from ${snippet.clientId}`);
+    }
+
+    // Admin audit log methods
+    async logAdminAction(actor, action, target = null, details = {}, success = true, ipAddress = null) {
+        try {
+            return await this.AdminAuditLog.create({
+                actor,
+                action,
+                target,
+                details,
+                success,
+                ipAddress
+            });
+        } catch (error) {
+            console.error('Error logging admin action:', error);
+            // Don't throw - audit logging shouldn't block maintenance
+        }
+    }
+
+    async getAdminAuditLog(limit = 100, action = null) {
+        return await this.AdminAuditLog.findAll({
+            where: action ? { action } : {},
+            order: [['timestamp', 'DESC']],
+            limit
+        });
+    }
+
+    /**
+     * where condition for filters.from / filters.to, or null for no range - date-only 'to' values include the whole day
+     */
+    dateRange(filters = {}) {
+        if (!filters.from && !filters.to) return null;
+
+        const { Op } = Sequelize;
+        const range = {};
+        if (filters.from) {
+            range[Op.gte] = new Date(filters.from);
+        }
+        if (filters.to) {
+            const to = new Date(filters.to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+                to.setDate(to.getDate() + 1);
+            }
+            range[Op.lt] = to;
+        }
+        return range;
+    }
+
+    /**
+     * UserEvents rows for funnel reporting - { clientId, from, to } where from/to are dates on createdAt
+     * (to is inclusive of the whole day)
+     */
+    async getUserEventsInRange(filters = {}) {
+        const where = { clientId: filters.clientId || tenantService.defaultClientId };
+        const createdAt = this.dateRange(filters);
+        if (createdAt) where.createdAt = createdAt;
+
+        return await this.UserEvents.findAll({
+            where,
+            attributes: ['sessionId', 'landingPage', 'createdAt', 'pageLoaded', 'widgetOpened', 'requestedHuman',
+                'pressedAccept', 'pressedCallback', 'pressedContinue'],
+            raw: true
+        });
+    }
+
     async getEventStats(sessionId) {
         try {
             return await this.UserEvents.findOne({
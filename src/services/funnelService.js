@@ -0,0 +1,148 @@
+const databaseService = require('./databaseService');
+const tenantService = require('./tenantService');
+const BusinessHours = require('../utils/businessHours');
+const TimezoneUtils = require('../utils/timezoneUtils');
+const StatsUtils = require('../utils/statsUtils');
+
+const DEFAULT_DAYS = 30;
+const MAX_LANDING_PAGES = 50;
+
+// Funnel steps in order - each step's conversion is from the step before it
+const FUNNEL_STEPS = [
+    { key: 'widgetOpened', label: 'Opened the widget', timedFrom: 'pageLoaded' },
+    { key: 'requestedHuman', label: 'Requested live chat' }
+];
+
+// Buttons on the live chat offer - measured against sessions that opened the widget
+const OFFER_OUTCOMES = [
+    { key: 'pressedAccept', label: 'Accepted live chat' },
+    { key: 'pressedCallback', label: 'Requested a callback' },
+    { key: 'pressedContinue', label: 'Continued with the assistant' }
+];
+
+/**
+ * FunnelService - Conversion funnel over a date range from UserEvents
+ *
+ * Sessions start when the widget is opened, so the funnel starts there; the time from page load to
+ * opening the widget is reported on the first step. Each step has its conversion and drop-off from
+ * the previous step and the median/p90 time between them. Results are broken down by landing page
+ * and by whether the widget was opened in business hours (the tenant's schedule).
+ */
+class FunnelService {
+    /**
+     * Build the funnel report
+     * @param {Object} filters - clientId, from, to (dates, to includes the whole day; default the last 30 days)
+     * @returns {Promise<Object>} - { clientId, from, to, overall, byLandingPage, byBusinessHours }
+     */
+    async getReport(filters = {}) {
+        const clientId = filters.clientId || tenantService.defaultClientId;
+        const from = filters.from || FunnelService.daysAgo(DEFAULT_DAYS);
+        const events = await databaseService.getUserEventsInRange({ clientId, from, to: filters.to });
+        const tenant = tenantService.getTenant(clientId) || tenantService.getDefaultTenant();
+
+        const byLandingPage = FunnelService.groupBy(events, event => event.landingPage || '(unknown)');
+        const byBusinessHours = FunnelService.groupBy(events.filter(event => event.widgetOpened), event =>
+            BusinessHours.isOpen(tenant.businessHours, TimezoneUtils.fromAEST(new Date(event.widgetOpened))) ? 'business_hours' : 'after_hours');
+
+        return {
+            clientId,
+            from,
+            to: filters.to || null,
+            overall: FunnelService.summarise(events),
+            byLandingPage: [...byLandingPage.entries()]
+                .map(([landingPage, pageEvents]) => ({ landingPage, ...FunnelService.summarise(pageEvents) }))
+                .sort((a, b) => b.sessions - a.sessions)
+                .slice(0, MAX_LANDING_PAGES),
+            byBusinessHours: {
+                businessHours: FunnelService.summarise(byBusinessHours.get('business_hours') || []),
+                afterHours: FunnelService.summarise(byBusinessHours.get('after_hours') || [])
+            }
+        };
+    }
+
+    /**
+     * Flatten a report into one CSV row per segment and step
+     */
+    toCsvRows(report) {
+        const segments = [
+            { segment: 'overall', value: 'all', funnel: report.overall },
+            ...report.byLandingPage.map(page => ({ segment: 'landing_page', value: page.landingPage, funnel: page })),
+            { segment: 'business_hours', value: 'business_hours', funnel: report.byBusinessHours.businessHours },
+            { segment: 'business_hours', value: 'after_hours', funnel: report.byBusinessHours.afterHours }
+        ];
+
+        return segments.flatMap(({ segment, value, funnel }) => [
+            ...funnel.steps.map(step => ({ segment, value, stage: 'step', ...step })),
+            ...funnel.outcomes.map(outcome => ({ segment, value, stage: 'offer_outcome', ...outcome, conversionRate: outcome.rate }))
+        ]);
+    }
+
+    /**
+     * Funnel steps and offer outcomes for a set of UserEvents rows
+     */
+    static summarise(events) {
+        const steps = FUNNEL_STEPS.map((step, index) => {
+            const previous = FUNNEL_STEPS[index - 1];
+            const reached = events.filter(event => event[step.key] && (!previous || event[previous.key]));
+            const previousCount = previous ? events.filter(event => event[previous.key]).length : null;
+            const timedFrom = previous ? previous.key : step.timedFrom;
+            const conversionRate = previous ? StatsUtils.rate(reached.length, previousCount) : null;
+
+            return {
+                step: step.key,
+                label: step.label,
+                sessions: reached.length,
+                conversionRate,
+                dropOffRate: conversionRate === null ? null : Math.round((100 - conversionRate) * 10) / 10,
+                ...FunnelService.timeBetween(reached, timedFrom, step.key)
+            };
+        });
+
+        const opened = events.filter(event => event.widgetOpened);
+        const outcomes = OFFER_OUTCOMES.map(outcome => {
+            const reached = opened.filter(event => event[outcome.key]);
+            return {
+                step: outcome.key,
+                label: outcome.label,
+                sessions: reached.length,
+                rate: StatsUtils.rate(reached.length, opened.length),
+                ...FunnelService.timeBetween(reached, 'widgetOpened', outcome.key)
+            };
+        });
+
+        return { sessions: events.length, steps, outcomes };
+    }
+
+    /**
+     * Median and p90 seconds between two events, for the sessions that have both
+     */
+    static timeBetween(events, fromKey, toKey) {
+        const seconds = events
+            .filter(event => event[fromKey] && event[toKey])
+            .map(event => Math.round((new Date(event[toKey]) - new Date(event[fromKey])) / 1000))
+            .filter(value => value >= 0);
+
+        return {
+            medianSeconds: StatsUtils.median(seconds),
+            p90Seconds: StatsUtils.percentile(seconds, 90)
+        };
+    }
+
+    static groupBy(events, keyFor) {
+        const groups = new Map();
+        for (const event of events) {
+            const key = keyFor(event);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(event);
+        }
+        return groups;
+    }
+
+    static daysAgo(days) {
+        const date = new Date();
+        date.setDate(date.getDate() - days);
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = new FunnelService();
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pineconeService = require('./pineconeServiceV2');
+const openaiRetryService = require('./openaiRetryService');
+
+// content_type values pineconeServiceV2.buildFilter() filters on - anything else is only found by semantic search
+const FILTERED_CONTENT_TYPES = ['vacancy', 'pricing', 'funding_information', 'benefits', 'core_supports', 'eligibility'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const FORMATS = { '.md': 'markdown', '.markdown': 'markdown', '.html': 'html', '.htm': 'html', '.txt': 'text' };
+const EMBEDDING_BATCH_SIZE = 100;
+const UPSERT_BATCH_SIZE = 100;
+
+/**
+ * KnowledgeIngestionService - Chunk, embed and upsert knowledge base documents into the vector store
+ * (Pinecone, or the local JSON snapshot when VECTOR_STORE=local)
+ *
+ * Records match what pineconeServiceV2 expects when searching:
+ * - ids are `<docId>_chunk<N>` so processResults() can group chunks by document
+ * - metadata carries text, chunk_index, url, topic, source, content_type, priority and categories
+ *
+ * Idempotent: chunk 0 stores a content_hash and chunk_count. Unchanged documents are skipped and
+ * chunks left over from a longer previous version are deleted.
+ */
+class KnowledgeIngestionService {
+    constructor() {
+        this.chunkSize = 1500; // characters per chunk
+        this.chunkOverlap = 200; // characters carried into the next chunk for context
+    }
+
+    /**
+     * Load and validate a manifest file - document paths are resolved relative to it
+     */
+    loadManifest(manifestPath) {
+        const resolvedPath = path.resolve(manifestPath);
+        const manifest = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        const baseDir = path.dirname(resolvedPath);
+
+        if (!Array.isArray(manifest.documents)) {
+            throw new Error('Manifest must have a "documents" array');
+        }
+
+        const seenIds = new Set();
+        manifest.documents = manifest.documents.map(doc => {
+            const errors = this.validateDocument(doc);
+            if (seenIds.has(doc.id)) errors.push('duplicate id');
+            if (errors.length > 0) {
+                throw new Error(`Invalid manifest entry ${doc.id || doc.path}: ${errors.join(', ')}`);
+            }
+            seenIds.add(doc.id);
+
+            return { ...doc, path: path.resolve(baseDir, doc.path) };
+        });
+
+        return manifest;
+    }
+
+    validateDocument(doc) {
+        const errors = [];
+
+        if (!doc.id || !/^[a-zA-Z0-9-]+$/.test(doc.id)) {
+            // Underscores are reserved - "_chunk" separates the document id from the chunk number
+            errors.push('id must contain only letters, numbers and hyphens');
+        }
+        if (!doc.path) {
+            errors.push('path is required');
+        }
+        if (doc.priority && !PRIORITIES.includes(doc.priority)) {
+            errors.push(`priority must be one of: ${PRIORITIES.join(', ')}`);
+        }
+        if (doc.format && !Object.values(FORMATS).includes(doc.format)) {
+            errors.push(`format must be one of: ${[...new Set(Object.values(FORMATS))].join(', ')}`);
+        }
+        if (doc.content_type && !FILTERED_CONTENT_TYPES.includes(doc.content_type)) {
+            console.warn(`⚠️ ${doc.id}: content_type "${doc.content_type}" is not one the search filters use (${FILTERED_CONTENT_TYPES.join(', ')})`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Read a document and convert it to plain text
+     */
+    readDocument(doc) {
+        const raw = fs.readFileSync(doc.path, 'utf8');
+        const format = doc.format || FORMATS[path.extname(doc.path).toLowerCase()] || 'text';
+
+        switch (format) {
+            case 'html':
+                return this.htmlToText(raw);
+            case 'markdown':
+                return this.markdownToText(raw);
+            default:
+                return this.normaliseWhitespace(raw);
+        }
+    }
+
+    htmlToText(html) {
+        const text = html
+            .replace(/<(script|style|noscript|nav|footer|header)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|section|article|li|h[1-6]|tr|table|ul|ol)>/gi, '\n\n')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&rsquo;|&lsquo;/g, "'");
+
+        return this.normaliseWhitespace(text);
+    }
+
+    markdownToText(markdown) {
+        const text = markdown
+            .replace(/^---\n[\s\S]*?\n---\n/, '') // front matter
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // images
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+            .replace(/^#{1,6}\s+/gm, '') // heading markers (heading text kept as its own paragraph)
+            .replace(/(\*\*|__|`)/g, '');
+
+        return this.normaliseWhitespace(text);
+    }
+
+    normaliseWhitespace(text) {
+        return text
+            .replace(/\r\n/g, '\n')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Split text into ~chunkSize character chunks on paragraph (then sentence) boundaries,
+     * carrying the last chunkOverlap characters into the next chunk
+     */
+    chunkText(text) {
+        const pieces = [];
+        text.split(/\n\n+/).forEach(paragraph => {
+            if (paragraph.length <= this.chunkSize) {
+                pieces.push(paragraph);
+                return;
+            }
+            // Long paragraphs are split by sentence
+            const sentences = paragraph.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [paragraph];
+            sentences.forEach(sentence => pieces.push(sentence.trim()));
+        });
+
+        const chunks = [];
+        let current = '';
+
+        pieces.forEach(piece => {
+            if (current && current.length + piece.length + 2 > this.chunkSize) {
+                chunks.push(current.trim());
+                const overlap = current.slice(-this.chunkOverlap);
+                current = overlap.slice(overlap.indexOf(' ') + 1) + '\n\n';
+            }
+            current += piece + '\n\n';
+        });
+
+        if (current.trim()) {
+            chunks.push(current.trim());
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Hash of the document text and the metadata that gets copied onto every chunk
+     */
+    hashDocument(doc, text) {
+        const { id, url, topic, source, content_type, priority, categories } = doc;
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ text, id, url, topic, source, content_type, priority, categories, chunkSize: this.chunkSize }))
+            .digest('hex');
+    }
+
+    buildMetadata(doc, chunkText, chunkIndex, chunkCount, contentHash) {
+        const metadata = {
+            doc_id: doc.id,
+            text: chunkText,
+            chunk_index: chunkIndex,
+            chunk_count: chunkCount,
+            topic: doc.topic || doc.id,
+            source: doc.source || 'Knowledge Base',
+            priority: doc.priority || 'medium',
+            content_hash: contentHash,
+            ingested_at: new Date().toISOString()
+        };
+
+        // Pinecone rejects null metadata values - only set optional fields when present
+        if (doc.url) metadata.url = doc.url;
+        if (doc.content_type) metadata.content_type = doc.content_type;
+        if (doc.categories) {
+            metadata.categories = Array.isArray(doc.categories) ? doc.categories.join(',') : doc.categories;
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Embed texts with the same provider pineconeServiceV2 uses for queries
+     */
+    async embed(texts) {
+        const embeddings = [];
+
+        for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+            const batchEmbeddings = await openaiRetryService.retryWithBackoff(async () => {
+                return await pineconeService.embed(batch);
+            });
+            embeddings.push(...batchEmbeddings);
+        }
+
+        return embeddings;
+    }
+
+    chunkId(docId, chunkIndex) {
+        return `${docId}_chunk${chunkIndex}`;
+    }
+
+    /**
+     * Current chunk_count and content_hash for a document, from its first chunk
+     */
+    async getIngestedState(index, docId) {
+        const response = await index.fetch([this.chunkId(docId, 0)]);
+        const record = response.records?.[this.chunkId(docId, 0)];
+
+        return record ? {
+            chunkCount: record.metadata?.chunk_count || 1,
+            contentHash: record.metadata?.content_hash || null
+        } : null;
+    }
+
+    /**
+     * Chunk, embed and upsert one document
+     * Returns { docId, status: 'unchanged' | 'upserted' | 'dry_run', chunks, staleChunksDeleted }
+     */
+    async upsertDocument(index, doc, options = {}) {
+        const text = this.readDocument(doc);
+        if (!text) {
+            throw new Error(`${doc.id}: document is empty after conversion`);
+        }
+
+        const contentHash = this.hashDocument(doc, text);
+        const existing = await this.getIngestedState(index, doc.id);
+
+        if (existing && existing.contentHash === contentHash && !options.force) {
+            return { docId: doc.id, status: 'unchanged', chunks: existing.chunkCount, staleChunksDeleted: 0 };
+        }
+
+        const chunks = this.chunkText(text);
+        const staleIds = [];
+        if (existing) {
+            for (let i = chunks.length; i < existing.chunkCount; i++) {
+                staleIds.push(this.chunkId(doc.id, i));
+            }
+        }
+
+        if (options.dryRun) {
+            return { docId: doc.id, status: 'dry_run', chunks: chunks.length, staleChunksDeleted: staleIds.length };
+        }
+
+        // Topic is embedded with the chunk so short chunks still carry what they're about
+        const embeddings = await this.embed(chunks.map(chunk => `${doc.topic || doc.id}\n\n${chunk}`));
+
+        const records = chunks.map((chunk, i) => ({
+            id: this.chunkId(doc.id, i),
+            values: embeddings[i],
+            metadata: this.buildMetadata(doc, chunk, i, chunks.length, contentHash)
+        }));
+
+        // Upsert chunk 0 last - its content_hash marks the document as fully ingested
+        const ordered = [...records.slice(1), records[0]];
+        for (let i = 0; i < ordered.length; i += UPSERT_BATCH_SIZE) {
+            await index.upsert(ordered.slice(i, i + UPSERT_BATCH_SIZE));
+        }
+
+        if (staleIds.length > 0) {
+            await index.deleteMany(staleIds);
+        }
+
+        return { docId: doc.id, status: 'upserted', chunks: chunks.length, staleChunksDeleted: staleIds.length };
+    }
+
+    /**
+     * Delete every chunk of a document
+     */
+    async deleteDocument(index, docId, options = {}) {
+        const existing = await this.getIngestedState(index, docId);
+        if (!existing) {
+            return { docId, status: 'not_found', chunks: 0 };
+        }
+
+        const ids = [];
+        for (let i = 0; i < existing.chunkCount; i++) {
+            ids.push(this.chunkId(docId, i));
+        }
+
+        if (!options.dryRun) {
+            await index.deleteMany(ids);
+        }
+
+        return { docId, status: options.dryRun ? 'dry_run' : 'deleted', chunks: ids.length };
+    }
+
+    /**
+     * Vector store index handle for a manifest (manifest settings override env/CLI defaults)
+     */
+    async getIndex(manifest, overrides = {}) {
+        const indexName = overrides.indexName || manifest.indexName || pineconeService.indexName;
+        const namespace = overrides.namespace || manifest.namespace || null;
+
+        if (!indexName) {
+            throw new Error('No index name - set PINECONE_INDEX_NAME, manifest.indexName or --index');
+        }
+
+        return {
+            index: await pineconeService.initialize(indexName, namespace),
+            indexName,
+            namespace
+        };
+    }
+}
+
+module.exports = new KnowledgeIngestionService();
@@ -0,0 +1,110 @@
+const databaseService = require('./databaseService');
+const tenantService = require('./tenantService');
+const LinkUtils = require('../utils/linkUtils');
+const StatsUtils = require('../utils/statsUtils');
+
+const DEFAULT_DAYS = 30;
+const MAX_NEVER_CLICKED = 100;
+
+/**
+ * LinkAttributionService - Which knowledge base documents and links drive engagement
+ *
+ * Every bot reply is logged with its links and the documents that supplied each URL (ChatLog
+ * metadata.links), and the widget sends the reply's id with each link click, so clicks can be
+ * traced back to the documents behind them. Links are counted once per reply they were offered in.
+ */
+class LinkAttributionService {
+    /**
+     * Build the report
+     * @param {Object} filters - clientId, from, to (dates, to includes the whole day; default the last 30 days)
+     * @returns {Promise<Object>} - { clientId, from, to, totals, byDocument, byUrl, neverClicked }
+     */
+    async getReport(filters = {}) {
+        const clientId = filters.clientId || tenantService.defaultClientId;
+        const from = filters.from || LinkAttributionService.daysAgo(DEFAULT_DAYS);
+        const range = { clientId, from, to: filters.to };
+
+        const messages = await databaseService.getBotMessagesWithLinks(range);
+        const clicks = await databaseService.getLinkClicksInRange(range);
+
+        const urls = new Map();      // normalised url -> { url, docIds, offered, clicks }
+        const documents = new Map(); // docId -> { docId, offered, clicks, urls }
+        const urlStats = (url, docIds = []) => {
+            const key = LinkUtils.normalise(url);
+            if (!urls.has(key)) urls.set(key, { url, docIds: new Set(), offered: 0, clicks: 0 });
+            const stats = urls.get(key);
+            docIds.forEach(docId => stats.docIds.add(docId));
+            return stats;
+        };
+        const documentStats = (docId) => {
+            if (!documents.has(docId)) documents.set(docId, { docId, offered: 0, clicks: 0, urls: new Set() });
+            return documents.get(docId);
+        };
+
+        for (const message of messages) {
+            for (const link of message.metadata.links) {
+                urlStats(link.url, link.docIds).offered++;
+                for (const docId of link.docIds) {
+                    const stats = documentStats(docId);
+                    stats.offered++;
+                    stats.urls.add(link.url);
+                }
+            }
+        }
+
+        let attributedClicks = 0;
+        for (const click of clicks) {
+            const docIds = click.docIds || [];
+            urlStats(click.url, docIds).clicks++;
+            if (click.messageId) attributedClicks++;
+            for (const docId of docIds) {
+                documentStats(docId).clicks++;
+            }
+        }
+
+        const byUrl = [...urls.values()]
+            .map(stats => ({
+                url: stats.url,
+                docIds: [...stats.docIds],
+                offered: stats.offered,
+                clicks: stats.clicks,
+                clickRate: StatsUtils.rate(stats.clicks, stats.offered)
+            }))
+            .sort((a, b) => b.clicks - a.clicks || b.offered - a.offered);
+
+        return {
+            clientId,
+            from,
+            to: filters.to || null,
+            totals: {
+                botMessagesWithLinks: messages.length,
+                linksOffered: byUrl.reduce((sum, link) => sum + link.offered, 0),
+                clicks: clicks.length,
+                attributedClicks
+            },
+            byDocument: [...documents.values()]
+                .map(stats => ({
+                    docId: stats.docId,
+                    offered: stats.offered,
+                    clicks: stats.clicks,
+                    clickRate: StatsUtils.rate(stats.clicks, stats.offered),
+                    urls: [...stats.urls]
+                }))
+                .sort((a, b) => b.clicks - a.clicks || b.offered - a.offered),
+            byUrl,
+            // Offered but never clicked - most offered first
+            neverClicked: byUrl
+                .filter(link => link.offered > 0 && link.clicks === 0)
+                .sort((a, b) => b.offered - a.offered)
+                .slice(0, MAX_NEVER_CLICKED)
+        };
+    }
+
+    static daysAgo(days) {
+        const date = new Date();
+        date.setDate(date.getDate() - days);
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = new LinkAttributionService();
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for SMTP - each email is written to the outbox directory as
+ * <messageId>.html (open it in a browser) plus <messageId>.json with the headers and text body
+ */
+class FileMailTransport {
+    constructor(outboxPath = './data/outbox') {
+        this.name = 'file';
+        this.outboxPath = path.resolve(outboxPath);
+    }
+
+    /**
+     * @param {Object} mail - { from, to, subject, html, text }
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send(mail) {
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+        fs.mkdirSync(this.outboxPath, { recursive: true });
+        fs.writeFileSync(path.join(this.outboxPath, `${messageId}.html`), mail.html || '');
+        fs.writeFileSync(path.join(this.outboxPath, `${messageId}.json`), JSON.stringify({
+            messageId,
+            from: mail.from,
+            to: mail.to,
+            subject: mail.subject,
+            text: mail.text,
+            sentAt: new Date().toISOString()
+        }, null, 2));
+
+        console.log(`📭 Email to ${mail.to} written to ${path.join(this.outboxPath, `${messageId}.html`)}`);
+        return { messageId };
+    }
+}
+
+module.exports = FileMailTransport;
@@ -0,0 +1,26 @@
+const SmtpMailTransport = require('./SmtpMailTransport');
+const FileMailTransport = require('./FileMailTransport');
+
+/**
+ * Factory class to create the mail transport selected by MAIL_TRANSPORT
+ */
+class MailTransportFactory {
+    /**
+     * @param {string} type - 'file' (default, writes to MAIL_OUTBOX_PATH) or 'smtp'
+     * @returns {SmtpMailTransport|FileMailTransport} - Transport with a send({ from, to, subject, html, text }) method
+     */
+    static create(type = process.env.MAIL_TRANSPORT || 'file') {
+        switch (type) {
+            case 'smtp':
+                return new SmtpMailTransport();
+
+            case 'file':
+                return new FileMailTransport(process.env.MAIL_OUTBOX_PATH || './data/outbox');
+
+            default:
+                throw new Error(`Unknown MAIL_TRANSPORT "${type}" - use "smtp" or "file"`);
+        }
+    }
+}
+
+module.exports = MailTransportFactory;
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that sends through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ */
+class SmtpMailTransport {
+    constructor(options = {}) {
+        this.name = 'smtp';
+        const port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+        const user = options.user || process.env.SMTP_USER;
+
+        this.transporter = nodemailer.createTransport({
+            host: options.host || process.env.SMTP_HOST,
+            port: port,
+            secure: port === 465, // Implicit TLS on 465, STARTTLS otherwise
+            auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined
+        });
+    }
+
+    /**
+     * @param {Object} mail - { from, to, subject, html, text }
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send(mail) {
+        const info = await this.transporter.sendMail(mail);
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpMailTransport;
@@ -13,10 +13,10 @@ class MemoryService {
      * Start periodic cleanup of old conversations
      */
     startCleanupTimer() {
-        // Clean up conversations older than 7 days every 6 hours
+        // Clean up conversations older than 7 days every 6 hours - unref'd so it doesn't hold the process open by itself
         setInterval(() => {
             this.cleanupOldConversations();
-        }, 6 * 60 * 60 * 1000); // 6 hours
+        }, 6 * 60 * 60 * 1000).unref(); // 6 hours
         
         console.log('🧹 MemoryService cleanup timer started');
     }
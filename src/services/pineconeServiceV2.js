@@ -1,30 +1,55 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
 const OpenAI = require('openai');
+const VectorStoreFactory = require('./vectorStores/VectorStoreFactory');
+const HashEmbedding = require('../utils/hashEmbedding');
 
 class PineconeServiceV2 {
     constructor() {
-        this.pinecone = new Pinecone({
-            apiKey: process.env.PINECONE_API_KEY
-        });
+        // VECTOR_STORE=local swaps Pinecone for an in-process index loaded from a JSON snapshot
+        this.vectorStore = VectorStoreFactory.create();
 
-        this.openai = new OpenAI({
+        // EMBEDDING_PROVIDER=local uses offline hash embeddings - only meaningful with VECTOR_STORE=local
+        this.embeddingProvider = process.env.EMBEDDING_PROVIDER || 'openai';
+        this.openai = this.embeddingProvider === 'openai' ? new OpenAI({
             apiKey: process.env.OPENAI_API_KEY
-        });
+        }) : null;
 
         this.indexName = process.env.PINECONE_INDEX_NAME;
-        this.index = null;
+        this.indexes = new Map(); // "indexName:namespace" -> index handle, one per tenant knowledge base
         this.MODEL = 'text-embedding-3-small'; // Better model for search
     }
 
-    async initialize() {
-        if (!this.index) {
-            this.index = this.pinecone.index(this.indexName);
+    async initialize(indexName = this.indexName, namespace = null) {
+        const key = `${indexName}:${namespace || ''}`;
+
+        if (!this.indexes.has(key)) {
+            this.indexes.set(key, this.vectorStore.index(indexName, namespace));
+        }
+
+        return this.indexes.get(key);
+    }
+
+    /**
+     * Embed one or more texts with the configured embedding provider
+     * @param {string|string[]} input - Text or texts
+     * @returns {Promise<number[][]>} - One vector per input text
+     */
+    async embed(input) {
+        const texts = Array.isArray(input) ? input : [input];
+
+        if (this.embeddingProvider === 'local') {
+            return texts.map(text => HashEmbedding.embed(text));
         }
+
+        const response = await this.openai.embeddings.create({
+            model: this.MODEL,
+            input: texts
+        });
+        return response.data.map(item => item.embedding);
     }
 
     async searchKnowledge(query, options = {}) {
         try {
-            await this.initialize();
+            const index = await this.initialize(options.indexName || this.indexName, options.namespace);
 
             // Expand NDIS abbreviations for better matching
             const expandedQuery = this.expandAbbreviations(query);
@@ -33,10 +58,7 @@ class PineconeServiceV2 {
             const queryIntent = this.detectQueryIntent(query);
 
             // Create embedding with better model
-            const embedding = await this.openai.embeddings.create({
-                model: this.MODEL,
-                input: expandedQuery
-            });
+            const [embedding] = await this.embed(expandedQuery);
 
             // Dynamic topK based on query type - max 5 for better coverage
             let topK = options.topK || 5;
@@ -50,7 +72,7 @@ class PineconeServiceV2 {
 
             // Search with metadata filtering (only include filter if not empty)
             const queryParams = {
-                vector: embedding.data[0].embedding,
+                vector: embedding,
                 topK: topK,
                 includeMetadata: true
             };
@@ -60,7 +82,7 @@ class PineconeServiceV2 {
                 queryParams.filter = filter;
             }
 
-            const searchResponse = await this.index.query(queryParams);
+            const searchResponse = await index.query(queryParams);
 
             console.log(`Found ${searchResponse.matches.length} matches for: "${query}"`);
 
@@ -84,6 +106,7 @@ class PineconeServiceV2 {
             return {
                 context: processedResults.context,
                 urls: processedResults.urls,
+                sources: processedResults.sources,
                 bestScore: bestScore,
                 totalMatches: relevantMatches.length,
                 highPriorityCount: highPriorityCount,
@@ -97,6 +120,7 @@ class PineconeServiceV2 {
                 context: '',
                 matches: 0,
                 urls: [],
+                sources: [],
                 categories: []
             };
         }
@@ -186,6 +210,7 @@ class PineconeServiceV2 {
 
     processResults(matches, queryIntent, query) {
         const urls = new Set();
+        const urlDocIds = new Map(); // url -> ids of the documents that supplied it (for link click attribution)
         const categories = new Set();
         const chunks = new Map(); // Group chunks by original document
 
@@ -207,7 +232,11 @@ class PineconeServiceV2 {
             });
 
             // Collect URLs and categories
-            if (metadata.url) urls.add(metadata.url);
+            if (metadata.url) {
+                urls.add(metadata.url);
+                if (!urlDocIds.has(metadata.url)) urlDocIds.set(metadata.url, new Set());
+                urlDocIds.get(metadata.url).add(metadata.doc_id || baseId);
+            }
             if (metadata.categories) {
                 metadata.categories.split(',').forEach(cat => categories.add(cat));
             }
@@ -268,6 +297,7 @@ class PineconeServiceV2 {
         return {
             context: contextParts.join('\n\n---\n\n'),
             urls: Array.from(urls),
+            sources: Array.from(urlDocIds, ([url, docIds]) => ({ url, docIds: Array.from(docIds) })),
             categories: Array.from(categories)
         };
     }
@@ -1,27 +1,20 @@
 const memoryService = require('../memoryService');
+const tenantService = require('../tenantService');
 
 /**
  * Base class for all prompt builders containing shared logic
  */
 class BasePromptBuilder {
-    constructor(contextWeights) {
+    constructor(contextWeights, tenant = null) {
         this.contextWeights = contextWeights;
+        this.tenant = tenant;
     }
 
     /**
-     * Build simplified role section
+     * Build role section from the tenant's persona
      */
     buildRoleSection() {
-        return `You are a support specialist at Achora. You ONLY discuss Achora and our team.
-
-CRITICAL RULES:
-- NEVER mention NDIS directly
-- NEVER recommend contacting anyone except Achora
-- NEVER suggest other providers, services, or organizations
-- ONLY talk about Achora's services and connecting with our team
-- When you don't have specific information, offer to connect them with our team
-
-Keep responses positive and solution-focused, focusing exclusively on Achora.`;
+        return (this.tenant || tenantService.getDefaultTenant()).persona;
     }
 
     /**
@@ -1,7 +1,54 @@
+const tenantService = require('../tenantService');
+
 class CallbackRequestPrompt {
+    constructor(contextWeights, tenant = null) {
+        this.contextWeights = contextWeights;
+        this.tenant = tenant || tenantService.getDefaultTenant();
+    }
+
+    /**
+     * OpenAI tools for structured lead capture - results are validated server-side before saving
+     */
+    static getTools() {
+        return [
+            {
+                type: 'function',
+                function: {
+                    name: 'capture_lead',
+                    description: 'Save the callback details once first name, last name, email and phone have all been collected.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            firstName: { type: 'string', description: "The user's first name" },
+                            lastName: { type: 'string', description: "The user's last name" },
+                            email: { type: 'string', description: "The user's email address" },
+                            phone: { type: 'string', description: "The user's Australian phone number, e.g. 0412345678" }
+                        },
+                        required: ['firstName', 'lastName', 'email', 'phone'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            {
+                type: 'function',
+                function: {
+                    name: 'end_callback_request',
+                    description: 'The user has refused to give their details - stop collecting them.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            reason: { type: 'string', description: 'What the user said, briefly' }
+                        },
+                        required: [],
+                        additionalProperties: false
+                    }
+                }
+            }
+        ];
+    }
 
     buildPrompt() {
-        return `You are collecting callback details for Achora.
+        return `You are collecting callback details for ${this.tenant.name}.
 
 Your task is to collect contact details ONE at a time in this order: first name, last name, email, phone number.
 
@@ -16,12 +63,11 @@ CRITICAL VALIDATION RULES:
 - When collecting the phone number, ensure it matches an Australian format (10 digits, starting with '04' for mobiles, e.g., 0412345678). If invalid, politely ask the user to re-enter it.
 
 ESCAPE RULE:
-If the user explicitly refuses to provide details with phrases like "I don't want to give my details" or "no thanks" or "forget it", include this marker: CALLBACK_ESCAPE
-
-CRITICAL: When you have collected all 4 details (first name, last name, email, phone), you MUST include this exact marker in your response:
-LEAD_CAPTURED: FirstName, LastName, email@example.com, 0412345678
+If the user explicitly refuses to provide details with phrases like "I don't want to give my details" or "no thanks" or "forget it", call the end_callback_request tool.
 
-After you output the LEAD_CAPTURED marker, you MUST also ask the user if they need help with anything else today.`;
+CRITICAL: When you have collected all 4 details (first name, last name, email, phone), you MUST call the capture_lead tool with them. Never write the details out as a summary code or marker.
+If capture_lead reports invalid details, politely ask the user to re-enter only those details.
+Once capture_lead succeeds, thank the user and ask if they need help with anything else today.`;
     }
 }
 
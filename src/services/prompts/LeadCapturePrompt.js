@@ -5,8 +5,8 @@ const BasePromptBuilder = require('./BasePromptBuilder');
  * Focused on building trust through helpful responses, then offering follow-up after 2-3 exchanges
  */
 class LeadCapturePrompt extends BasePromptBuilder {
-    constructor(contextWeights) {
-        super(contextWeights);
+    constructor(contextWeights, tenant = null) {
+        super(contextWeights, tenant);
     }
 
     /**
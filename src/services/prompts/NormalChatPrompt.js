@@ -5,8 +5,8 @@ const BasePromptBuilder = require('./BasePromptBuilder');
  * Focused on answering questions with helpful NDIS information and building rapport
  */
 class NormalChatPrompt extends BasePromptBuilder {
-    constructor(contextWeights) {
-        super(contextWeights);
+    constructor(contextWeights, tenant = null) {
+        super(contextWeights, tenant);
     }
 
     /**
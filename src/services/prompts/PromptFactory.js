@@ -14,9 +14,10 @@ class PromptFactory {
      * @param {string} sessionState - Current session state
      * @param {Object} searchResult - Knowledge base search results
      * @param {string} sessionId - Session ID for conversation history
+     * @param {Object} tenant - Tenant whose persona the prompt uses (optional, defaults to the default tenant)
      * @returns {BasePromptBuilder} - State-specific prompt builder instance
      */
-    static getPromptBuilder(sessionState, searchResult, sessionId) {
+    static getPromptBuilder(sessionState, searchResult, sessionId, tenant = null) {
         // Calculate context weights using the static method from BasePromptBuilder
         const contextWeights = BasePromptBuilder.calculateContextWeights(
             searchResult, 
@@ -27,21 +28,21 @@ class PromptFactory {
         // Create appropriate prompt builder based on session state
         switch (sessionState) {
             case SessionState.SEEKING_HANDOFF:
-                return new SeekingHandoffPrompt(contextWeights);
+                return new SeekingHandoffPrompt(contextWeights, tenant);
                 
             case SessionState.CALLBACK_REQUEST:
-                return new CallbackRequestPrompt(contextWeights);
+                return new CallbackRequestPrompt(contextWeights, tenant);
                 
             case SessionState.LEAD_CAPTURE:
-                return new LeadCapturePrompt(contextWeights);
+                return new LeadCapturePrompt(contextWeights, tenant);
                 
             case SessionState.NORMAL_CHAT:
-                return new NormalChatPrompt(contextWeights);
+                return new NormalChatPrompt(contextWeights, tenant);
                 
             default:
                 console.warn(`Unexpected session state in PromptFactory: ${sessionState}`);
                 // Fallback to normal chat prompt for unexpected states
-                return new NormalChatPrompt(contextWeights);
+                return new NormalChatPrompt(contextWeights, tenant);
         }
     }
 
@@ -50,21 +51,29 @@ class PromptFactory {
      * @param {string} sessionState - Current session state
      * @param {Object} searchResult - Knowledge base search results
      * @param {string} sessionId - Session ID for conversation history
-     * @param {Object} leadStatus - Lead capture status (optional, for CALLBACK_REQUEST)
-     * @param {Array} collected - Collected lead data (optional, for CALLBACK_REQUEST)
+     * @param {Object} tenant - Tenant whose persona the prompt uses (optional, defaults to the default tenant)
      * @returns {string} - Complete prompt string
      */
-    static buildPrompt(sessionState, searchResult, sessionId, leadStatus = null, collected = []) {
-        const promptBuilder = this.getPromptBuilder(sessionState, searchResult, sessionId);
+    static buildPrompt(sessionState, searchResult, sessionId, tenant = null) {
+        const promptBuilder = this.getPromptBuilder(sessionState, searchResult, sessionId, tenant);
         
-        // CallbackRequestPrompt needs additional parameters
-        if (sessionState === SessionState.CALLBACK_REQUEST) {
-            return promptBuilder.buildPrompt(searchResult, leadStatus, collected);
-        }
-        
-        // All other prompt builders use the standard buildPrompt method
         return promptBuilder.buildPrompt(searchResult);
     }
+
+    /**
+     * OpenAI tools the model may call in the given session state
+     * @param {string} sessionState - Current session state
+     * @returns {Array|null} - Tool definitions, or null when the state uses plain text replies
+     */
+    static getTools(sessionState) {
+        switch (sessionState) {
+            case SessionState.CALLBACK_REQUEST:
+                return CallbackRequestPrompt.getTools();
+
+            default:
+                return null;
+        }
+    }
 }
 
 module.exports = PromptFactory;
\ No newline at end of file
@@ -5,8 +5,8 @@ const BasePromptBuilder = require('./BasePromptBuilder');
  * Focused on providing helpful info and encouraging connection with Support Specialist
  */
 class SeekingHandoffPrompt extends BasePromptBuilder {
-    constructor(contextWeights) {
-        super(contextWeights);
+    constructor(contextWeights, tenant = null) {
+        super(contextWeights, tenant);
     }
 
     /**
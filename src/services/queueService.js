@@ -0,0 +1,56 @@
+const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+
+/**
+ * QueueService - The live chat queue: requests waiting for an agent and chats in progress
+ *
+ * Waiting requests are the handoff:* states and active chats the activeSessions hash, so every
+ * instance sees the same queue.
+ */
+class QueueService {
+    /**
+     * Waiting and active sessions, longest first
+     * @param {string|null} clientId - Only this tenant's sessions (default: every tenant)
+     * @returns {Promise<{waiting: Array<Object>, active: Array<Object>}>}
+     */
+    async getQueue(clientId = null) {
+        const [handoffStates, activeSessions] = await Promise.all([
+            redisService.getAllHandoffStates(),
+            redisService.getAllActiveSessions()
+        ]);
+        const now = Date.now();
+        const forTenant = (sessionClientId) => !clientId || (sessionClientId || tenantService.defaultClientId) === clientId;
+
+        const waiting = Object.entries(handoffStates)
+            .filter(([, state]) => forTenant(state.clientId))
+            .map(([persistentUserId, state]) => ({
+                persistentUserId,
+                sessionId: state.sessionId,
+                clientId: state.clientId || tenantService.defaultClientId,
+                waitingSeconds: state.requestTime ? Math.floor((now - state.requestTime) / 1000) : null,
+                summary: state.summary || null,
+                topic: state.routing?.topic ? state.routing.label : null,
+                channelId: state.channelId || null,
+                messageTs: state.messageTs || null
+            }))
+            .sort((a, b) => (b.waitingSeconds || 0) - (a.waitingSeconds || 0));
+
+        const active = Object.entries(activeSessions)
+            .filter(([, session]) => forTenant(session.clientId))
+            .map(([persistentUserId, session]) => ({
+                persistentUserId,
+                sessionId: session.currentSessionId,
+                clientId: session.clientId || tenantService.defaultClientId,
+                agentId: session.agentId,
+                agentName: session.agentName,
+                durationSeconds: session.connectedAt ? Math.floor((now - session.connectedAt) / 1000) : null,
+                channelId: session.channelId || null,
+                threadTs: session.threadTs || null
+            }))
+            .sort((a, b) => (b.durationSeconds || 0) - (a.durationSeconds || 0));
+
+        return { waiting, active };
+    }
+}
+
+module.exports = new QueueService();
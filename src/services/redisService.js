@@ -6,6 +6,7 @@ class RedisService {
         this.publisher = null;
         this.subscriber = null;
         this.isConnected = false;
+        this.queueChangeListeners = [];
     }
 
     async connect() {
@@ -172,6 +173,7 @@ class RedisService {
         try {
             const key = `handoff:${persistentUserId}`;
             await this.client.setEx(key, ttl, JSON.stringify(handoffData));
+            this.notifyQueueChange();
             return true;
         } catch (error) {
             console.error('Error setting handoff state:', error);
@@ -192,12 +194,37 @@ class RedisService {
         }
     }
 
+    /**
+     * Every pending handoff request, keyed by persistentUserId
+     */
+    async getAllHandoffStates() {
+        if (!this.isConnected) return {};
+
+        try {
+            const keys = await this.scanKeys('handoff:*');
+            if (keys.length === 0) return {};
+
+            const values = await this.client.mGet(keys);
+            const states = {};
+            keys.forEach((key, index) => {
+                if (values[index]) {
+                    states[key.replace('handoff:', '')] = JSON.parse(values[index]);
+                }
+            });
+            return states;
+        } catch (error) {
+            console.error('Error getting all handoff states:', error);
+            return {};
+        }
+    }
+
     async deleteHandoffState(persistentUserId) {
         if (!this.isConnected) return false;
         
         try {
             const key = `handoff:${persistentUserId}`;
             await this.client.del(key);
+            this.notifyQueueChange();
             return true;
         } catch (error) {
             console.error('Error deleting handoff state:', error);
@@ -245,6 +272,144 @@ class RedisService {
         }
     }
 
+    // Typing status - whether the agent has been shown "Customer is typing…" for the current burst of typing
+    async setTypingStatus(persistentUserId, status, ttl = 60) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.setEx(`typing:${persistentUserId}`, ttl, JSON.stringify(status));
+            return true;
+        } catch (error) {
+            console.error('Error setting typing status:', error);
+            return false;
+        }
+    }
+
+    async getTypingStatus(persistentUserId) {
+        if (!this.isConnected) return null;
+
+        try {
+            const data = await this.client.get(`typing:${persistentUserId}`);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Error getting typing status:', error);
+            return null;
+        }
+    }
+
+    async deleteTypingStatus(persistentUserId) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.del(`typing:${persistentUserId}`);
+            return true;
+        } catch (error) {
+            console.error('Error deleting typing status:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Claim the right to post a typing status - once per window per user, across instances
+     * @returns {Promise<boolean>} - False while an earlier claim is still inside the window (or without Redis)
+     */
+    async claimTypingThrottle(persistentUserId, windowMs) {
+        if (!this.isConnected) return false;
+
+        try {
+            const result = await this.client.set(`typing:${persistentUserId}:throttle`, '1', { NX: true, PX: windowMs });
+            return result === 'OK';
+        } catch (error) {
+            console.error('Error claiming typing throttle:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Claim the right to refresh the Slack App Home - once per window, across instances
+     * @returns {Promise<boolean>} - False while an earlier claim is still inside the window (or without Redis)
+     */
+    async claimAppHomeRefresh(windowMs) {
+        if (!this.isConnected) return false;
+
+        try {
+            const result = await this.client.set('appHome:refresh', '1', { NX: true, PX: windowMs });
+            return result === 'OK';
+        } catch (error) {
+            console.error('Error claiming App Home refresh:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remember that a Slack user opened the App Home, so it is refreshed when the queue changes
+     */
+    async addAppHomeViewer(userId, openedAt = Date.now()) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.hSet('appHome:viewers', userId, String(openedAt));
+            return true;
+        } catch (error) {
+            console.error('Error saving App Home viewer:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Stop refreshing a Slack user's App Home (e.g. they are no longer in any handoff channel)
+     */
+    async removeAppHomeViewer(userId) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.client.hDel('appHome:viewers', userId);
+            return true;
+        } catch (error) {
+            console.error('Error removing App Home viewer:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Slack users who opened the App Home since a time - older viewers are dropped
+     * @param {number} since - Timestamp (ms)
+     * @returns {Promise<Array<string>>} - Slack user ids
+     */
+    async getAppHomeViewers(since) {
+        if (!this.isConnected) return [];
+
+        try {
+            const viewers = await this.client.hGetAll('appHome:viewers');
+            const stale = Object.keys(viewers).filter(userId => parseInt(viewers[userId], 10) < since);
+            if (stale.length > 0) {
+                await this.client.hDel('appHome:viewers', stale);
+            }
+            return Object.keys(viewers).filter(userId => !stale.includes(userId));
+        } catch (error) {
+            console.error('Error getting App Home viewers:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Run a listener whenever a handoff request or active chat is written or removed
+     * Listeners are called without waiting and must handle their own errors
+     */
+    onQueueChange(listener) {
+        this.queueChangeListeners.push(listener);
+    }
+
+    notifyQueueChange() {
+        for (const listener of this.queueChangeListeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in queue change listener:', error);
+            }
+        }
+    }
+
     // Pub/Sub for real-time updates
     async publish(channel, message) {
         if (!this.isConnected) return false;
@@ -286,6 +451,7 @@ class RedisService {
             pipeline.hSet('activeSessions', persistentUserId, JSON.stringify(sessionData));
             pipeline.setEx(`session:${persistentUserId}:ttl`, ttl, '1');
             await pipeline.exec();
+            this.notifyQueueChange();
             return true;
         } catch (error) {
             console.error('Error setting active session:', error);
@@ -324,6 +490,7 @@ class RedisService {
             pipeline.hDel('activeSessions', persistentUserId);
             pipeline.del(`session:${persistentUserId}:ttl`);
             await pipeline.exec();
+            this.notifyQueueChange();
             return true;
         } catch (error) {
             console.error('Error deleting active session:', error);
@@ -415,6 +582,22 @@ class RedisService {
     }
 
     // Utility methods
+    // Non-blocking alternative to KEYS for maintenance tasks on a live instance
+    async scanKeys(pattern) {
+        if (!this.isConnected) return [];
+
+        try {
+            const keys = [];
+            for await (const batch of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+                keys.push(...(Array.isArray(batch) ? batch : [batch]));
+            }
+            return keys;
+        } catch (error) {
+            console.error(`Error scanning keys for ${pattern}:`, error);
+            return [];
+        }
+    }
+
     async getAllUserStates() {
         if (!this.isConnected) return {};
         
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+
+const JOBS_KEY = 'scheduler:jobs'; // Sorted set: jobId -> due time (ms)
+const JOB_DATA_PREFIX = 'scheduler:job:'; // jobId -> JSON job data
+const POLL_INTERVAL = 1000;
+const BATCH_SIZE = 20;
+const LEASE_MS = 60000; // A claimed job is retried if its instance dies before finishing it
+
+// Claim a due job by pushing its score past the lease - only one instance gets the job data back
+const CLAIM_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not score or tonumber(score) > tonumber(ARGV[2]) then
+    return false
+end
+local data = redis.call('GET', KEYS[2])
+if not data then
+    redis.call('ZREM', KEYS[1], ARGV[1])
+    return false
+end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+return data
+`;
+
+// Finish a claimed job - skipped if it was cancelled or rescheduled while running
+const COMPLETE_SCRIPT = `
+if redis.call('GET', KEYS[2]) ~= ARGV[1] then
+    return 0
+end
+if ARGV[2] == '' then
+    redis.call('ZREM', KEYS[1], ARGV[3])
+    redis.call('DEL', KEYS[2])
+else
+    redis.call('ZADD', KEYS[1], ARGV[2], ARGV[3])
+end
+return 1
+`;
+
+/**
+ * SchedulerService - Durable timers that survive restarts and run once across instances
+ *
+ * Jobs live in a Redis sorted set scored by due time. Every instance polls for due jobs and claims
+ * them atomically, so a job runs on exactly one instance; a job whose instance dies mid-run is
+ * picked up again once its lease expires. Recurring jobs (intervalMs) are rescheduled after each
+ * run until their handler returns false or throws.
+ *
+ * Scheduling a job id that already exists replaces it. Without Redis jobs are kept in memory
+ * on this instance, the same as plain setTimeout/setInterval.
+ */
+class SchedulerService {
+    constructor() {
+        this.handlers = new Map(); // job type -> handler
+        this.localJobs = new Map(); // jobId -> job (when Redis is unavailable)
+        this.pollInterval = null;
+        this.polling = false;
+    }
+
+    /**
+     * Register the handler for a job type - one handler per type
+     * @param {string} type - Job type, e.g. 'handoff_timeout'
+     * @param {Function} handler - Called with the job payload; a recurring job stops when it returns false
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Schedule (or replace) a job
+     * @param {string} jobId - Unique job id, e.g. 'handoff_timeout:<persistentUserId>'
+     * @param {string} type - Registered job type
+     * @param {number} delayMs - Milliseconds until the job is due
+     * @param {Object} payload - JSON-serialisable payload passed to the handler
+     * @param {Object} options - { intervalMs } to repeat the job every intervalMs after it first runs
+     * @returns {Promise<boolean>} - True if the job was stored
+     */
+    async schedule(jobId, type, delayMs, payload = {}, { intervalMs = null } = {}) {
+        const dueAt = Date.now() + delayMs;
+        const job = { id: jobId, type, payload, intervalMs, token: crypto.randomBytes(6).toString('hex') };
+
+        if (!redisService.isConnected) {
+            this.localJobs.set(jobId, { ...job, dueAt });
+            return true;
+        }
+
+        try {
+            await redisService.client.multi()
+                .set(`${JOB_DATA_PREFIX}${jobId}`, JSON.stringify(job))
+                .zAdd(JOBS_KEY, { score: dueAt, value: jobId })
+                .exec();
+            return true;
+        } catch (error) {
+            console.error(`Error scheduling job ${jobId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Cancel a job on every instance - also stops a recurring job that is currently running
+     * @param {string} jobId - Job id passed to schedule()
+     */
+    async cancel(jobId) {
+        this.localJobs.delete(jobId);
+        if (!redisService.isConnected) return true;
+
+        try {
+            await redisService.client.multi()
+                .zRem(JOBS_KEY, jobId)
+                .del(`${JOB_DATA_PREFIX}${jobId}`)
+                .exec();
+            return true;
+        } catch (error) {
+            console.error(`Error cancelling job ${jobId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Start the worker loop - jobs that fell due while no instance was running run straight away
+     */
+    start() {
+        if (this.pollInterval) return;
+
+        this.pollInterval = setInterval(() => this.poll(), POLL_INTERVAL);
+        console.log(`⏲️ Scheduler started (${redisService.isConnected ? 'Redis' : 'in-memory'} jobs)`);
+    }
+
+    stop() {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+    }
+
+    async poll() {
+        // Don't overlap runs when a handler is slow
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            if (redisService.isConnected) {
+                await this.pollRedis();
+            } else {
+                await this.pollLocal();
+            }
+        } catch (error) {
+            console.error('Error polling scheduled jobs:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async pollRedis() {
+        const now = Date.now();
+        const dueJobIds = await redisService.client.zRangeByScore(JOBS_KEY, 0, now, { LIMIT: { offset: 0, count: BATCH_SIZE } });
+
+        for (const jobId of dueJobIds) {
+            const dataKey = `${JOB_DATA_PREFIX}${jobId}`;
+            const data = await redisService.client.eval(CLAIM_SCRIPT, {
+                keys: [JOBS_KEY, dataKey],
+                arguments: [jobId, String(now), String(now + LEASE_MS)]
+            });
+            if (!data) continue; // Another instance got it first
+
+            const job = JSON.parse(data);
+            if (!this.handlers.has(job.type)) {
+                // Left claimed - an instance that knows the type picks it up after the lease
+                console.warn(`No scheduler handler for job type ${job.type}`);
+                continue;
+            }
+
+            const keepRunning = await this.runJob(job);
+            const nextRun = job.intervalMs && keepRunning ? String(Date.now() + job.intervalMs) : '';
+
+            await redisService.client.eval(COMPLETE_SCRIPT, {
+                keys: [JOBS_KEY, dataKey],
+                arguments: [data, nextRun, jobId]
+            });
+        }
+    }
+
+    async pollLocal() {
+        const now = Date.now();
+        const dueJobs = [...this.localJobs.values()].filter(job => job.dueAt <= now);
+
+        for (const job of dueJobs) {
+            const keepRunning = await this.runJob(job);
+
+            // Skip if it was cancelled or replaced while running
+            if (this.localJobs.get(job.id) !== job) continue;
+
+            if (job.intervalMs && keepRunning) {
+                job.dueAt = Date.now() + job.intervalMs;
+            } else {
+                this.localJobs.delete(job.id);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} - False if a recurring job should stop
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            console.warn(`No scheduler handler for job type ${job.type}`);
+            return false;
+        }
+
+        try {
+            const result = await handler(job.payload);
+            return result !== false;
+        } catch (error) {
+            console.error(`Error running scheduled job ${job.id}:`, error);
+            return false;
+        }
+    }
+}
+
+module.exports = new SchedulerService();
@@ -1,5 +1,7 @@
 const redisService = require('./redisService');
 const { SessionState } = require('./states');
+const tenantService = require('./tenantService');
+const BusinessHours = require('../utils/businessHours');
 
 /**
  * SessionService - Manages session state persistence across Redis and in-memory
@@ -29,7 +31,7 @@ class SessionService {
     startCleanupTimer() {
         setInterval(() => {
             this.cleanupOldSessions();
-        }, 60 * 60 * 1000); // 1 hour
+        }, 60 * 60 * 1000).unref(); // 1 hour - the HTTP server keeps the process alive, not this timer
         
         console.log('SessionService cleanup timer started');
     }
@@ -232,21 +234,19 @@ class SessionService {
     }
     
     /**
-     * Check if current time is within business hours (9 AM - 5 PM AEST, Monday to Friday)
-     * Saturday and Sunday are considered after hours
+     * Check if current time is within business hours, including public holidays and closures
+     * Pass a tenant's businessHours to use that tenant's schedule (default: the default tenant's)
+     * and a team name to use that team's hours from businessHours.teams
      */
-    isWithinBusinessHours() {
-        const now = new Date();
-        const australianTime = new Date(now.toLocaleString("en-US", { timeZone: "Australia/Sydney" }));
-        const hours = australianTime.getHours();
-        const day = australianTime.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-
-        // Check if it's a weekday (Monday to Friday) and within business hours
-        // Weekends (Saturday=6, Sunday=0) are always considered after hours
-        const isWeekday = day >= 1 && day <= 5;
-        const isBusinessTime = hours >= 9 && hours < 17;
+    isWithinBusinessHours(businessHours = null, team = null) {
+        return this.getBusinessHoursStatus(businessHours, team).open;
+    }
 
-        return isWeekday && isBusinessTime;
+    /**
+     * Open/closed status with the reason (outside_hours, holiday, closure) and when it next changes
+     */
+    getBusinessHoursStatus(businessHours = null, team = null) {
+        return BusinessHours.getStatus(businessHours || tenantService.getDefaultTenant().businessHours, new Date(), team);
     }
 
     // Public API methods for external use
@@ -0,0 +1,307 @@
+const { format } = require('date-fns');
+const slackService = require('./slackService');
+const queueService = require('./queueService');
+const snippetService = require('./snippetService');
+const tenantService = require('./tenantService');
+const databaseService = require('./databaseService');
+const BusinessHours = require('../utils/businessHours');
+const LeadValidator = require('../utils/leadValidator');
+
+const MAX_LISTED = 15; // Sessions shown per queue section
+const MAX_LEADS = 5;
+const MAX_SUMMARY_LENGTH = 200;
+const SLACK_ACK_MS = 2500; // Slack shows an error if a command isn't answered within 3 seconds
+
+const USAGE = [
+    '`/achora queue` - Waiting and active chats with wait times',
+    '`/achora end <session>` - End an active chat',
+    '`/achora transfer <session> @agent|#channel` - Hand an active chat to another agent or channel',
+    '`/achora snippet [name] [session]` - List snippets, or send one to a chat (the session can be left out when you have one chat)',
+    '`/achora status` - Whether we are in business hours',
+    '`/achora lead <email>` - Look up a captured lead'
+];
+
+/**
+ * SlackCommandService - The /achora slash command for agents
+ *
+ * Every reply is an ephemeral Block Kit message, so only the agent who ran the command sees it.
+ * Commands only run in a tenant's handoff channels and act on that tenant's leads and chats.
+ * Commands that call Slack answer straight away if they run long and post their result to response_url.
+ */
+class SlackCommandService {
+    /**
+     * Handle a slash command request
+     * @param {Object} command - Slack's form fields (text, user_id, user_name, channel_id, response_url)
+     * @returns {Promise<Object>} - Ephemeral response body
+     */
+    async handle(command) {
+        const [name = 'help', ...args] = String(command.text || '').trim().split(/\s+/).filter(Boolean);
+        const tenant = tenantService.findTenantForChannel(command.channel_id);
+        const agent = { id: command.user_id, name: command.user_name };
+
+        console.log(`⌨️ /achora ${name} from ${agent.name} in ${command.channel_id}`);
+
+        // Leads and live chats are only for agents in a handoff channel
+        if (!tenant) {
+            console.warn(`🚫 /achora ${name} rejected - ${command.channel_id} is not a handoff channel`);
+            return SlackCommandService.reply('`/achora` only works in a live chat handoff channel.');
+        }
+
+        switch (name.toLowerCase()) {
+            case 'queue':
+                return await this.queue(tenant);
+            case 'status':
+                return this.status(tenant);
+            case 'lead':
+                return await this.lead(tenant, args[0]);
+            case 'end':
+                return await this.withinAck(command.response_url, () => this.end(tenant, args[0], agent));
+            case 'transfer':
+                return await this.withinAck(command.response_url, () => this.transfer(tenant, args[0], args[1], agent));
+            case 'snippet':
+                return args[0] ?
+                    await this.withinAck(command.response_url, () => this.snippet(tenant, args[0], args[1], agent)) :
+                    await this.snippets(tenant);
+            default:
+                return this.help(name === 'help' ? null : name);
+        }
+    }
+
+    async queue(tenant) {
+        const { waiting, active } = await queueService.getQueue(tenant.clientId);
+        const duration = (seconds) => seconds === null ? '-' : slackService.formatDuration(seconds);
+
+        const waitingBlocks = waiting.slice(0, MAX_LISTED).map(session => ({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `⏳ \`${session.sessionId}\` - waiting *${duration(session.waitingSeconds)}*` +
+                    `${session.topic ? ` - 🧭 ${session.topic}` : ''}` +
+                    `${session.summary ? `\n_${SlackCommandService.truncate(session.summary, MAX_SUMMARY_LENGTH)}_` : ''}`
+            }
+        }));
+
+        const activeLines = active.slice(0, MAX_LISTED).map(session =>
+            `🟢 \`${session.sessionId}\` - <@${session.agentId}> - ${duration(session.durationSeconds)}`);
+
+        return SlackCommandService.reply(`${waiting.length} waiting, ${active.length} active`, [
+            {
+                type: 'header',
+                text: { type: 'plain_text', text: `📋 ${tenant.name} live chat queue` }
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*Waiting (${waiting.length})*${waiting.length === 0 ? '\nNo one is waiting' : ''}` }
+            },
+            ...waitingBlocks,
+            ...SlackCommandService.moreBlock(waiting.length),
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `*Active (${active.length})*\n${activeLines.length > 0 ? activeLines.join('\n') : 'No chats in progress'}`
+                }
+            },
+            ...SlackCommandService.moreBlock(active.length),
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: slackService.describeBusinessHours(tenant, BusinessHours.getStatus(tenant.businessHours)) }]
+            }
+        ]);
+    }
+
+    status(tenant) {
+        const status = BusinessHours.getStatus(tenant.businessHours);
+        return SlackCommandService.reply(slackService.describeBusinessHours(tenant, status));
+    }
+
+    async lead(tenant, email) {
+        // Slack sends email addresses as mailto links
+        const address = String(email || '').replace(/^<mailto:([^|>]+)(\|[^>]*)?>$/, '$1');
+        if (!LeadValidator.isValidEmail(address)) {
+            return SlackCommandService.reply('Usage: `/achora lead <email>`');
+        }
+
+        const leads = await databaseService.findLeadsByEmail(address, tenant.clientId, MAX_LEADS);
+        if (leads.length === 0) {
+            return SlackCommandService.reply(`No leads found for ${address}`);
+        }
+
+        return SlackCommandService.reply(`${leads.length} lead(s) found for ${address}`, leads.flatMap(lead => [
+            {
+                type: 'section',
+                fields: [
+                    { type: 'mrkdwn', text: `*Name*\n${[lead.firstName, lead.lastName].filter(Boolean).join(' ') || '-'}` },
+                    { type: 'mrkdwn', text: `*Status*\n${lead.status}` },
+                    { type: 'mrkdwn', text: `*Email*\n${lead.email}` },
+                    { type: 'mrkdwn', text: `*Phone*\n${lead.phone}` },
+                    { type: 'mrkdwn', text: `*Captured*\n${format(new Date(lead.capturedAt), 'd MMM yyyy h:mm a')} (${lead.source})` },
+                    { type: 'mrkdwn', text: `*Session*\n\`${lead.sessionId}\`` }
+                ]
+            },
+            ...(lead.notes ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `📝 ${SlackCommandService.truncate(lead.notes, MAX_SUMMARY_LENGTH)}` }] }] : []),
+            { type: 'divider' }
+        ]));
+    }
+
+    async end(tenant, identifier, agent) {
+        if (!identifier) {
+            return SlackCommandService.reply('Usage: `/achora end <session>`');
+        }
+
+        const activeSession = await slackService.findActiveSession(identifier, tenant.clientId);
+        if (!activeSession) {
+            return SlackCommandService.reply(`No active chat found for \`${identifier}\``);
+        }
+
+        const result = await slackService.handleEndChatButton(activeSession.persistentUserId, agent.id, agent.name, activeSession.session.threadTs);
+        return SlackCommandService.reply(result.status === 'ended' ?
+            `🔴 Chat \`${activeSession.session.currentSessionId}\` ended` :
+            `Could not end the chat: ${result.message}`);
+    }
+
+    async transfer(tenant, identifier, mention, agent) {
+        const target = SlackCommandService.parseMention(mention);
+        if (!identifier || !target) {
+            return SlackCommandService.reply('Usage: `/achora transfer <session> @agent|#channel`');
+        }
+
+        const activeSession = await slackService.findActiveSession(identifier, tenant.clientId);
+        if (!activeSession) {
+            return SlackCommandService.reply(`No active chat found for \`${identifier}\``);
+        }
+
+        if (target.type === 'channel') {
+            const result = await slackService.transferSessionToChannel(activeSession.persistentUserId, target.id, agent);
+            return SlackCommandService.reply(result.status === 'requested' ? `🔁 ${result.message}` : `Could not transfer the chat: ${result.message}`);
+        }
+
+        if (!target.name) {
+            try {
+                const userInfo = await slackService.slack.users.info({ user: target.id });
+                target.name = userInfo.user?.real_name || userInfo.user?.name;
+            } catch (error) {
+                console.log('Could not fetch user info:', error.message);
+            }
+        }
+
+        const result = await slackService.transferSession(activeSession.persistentUserId, { id: target.id, name: target.name || 'Agent' }, agent);
+        return SlackCommandService.reply(result.status === 'transferred' ? `🔁 ${result.message}` : `Could not transfer the chat: ${result.message}`);
+    }
+
+    async snippets(tenant) {
+        const snippets = await snippetService.list(tenant.clientId);
+        if (snippets.length === 0) {
+            return SlackCommandService.reply(`${tenant.name} has no snippets yet - add them with the admin API (\`POST /admin/snippets\`).`);
+        }
+
+        const lines = snippets.slice(0, MAX_LISTED * 2).map(snippet =>
+            `• \`${snippet.name}\`${snippet.title ? ` - ${snippet.title}` : ''}\n_${SlackCommandService.truncate(snippet.text.replace(/\s+/g, ' '), 100)}_`);
+
+        return SlackCommandService.reply(`${snippets.length} snippet(s)`, [
+            { type: 'section', text: { type: 'mrkdwn', text: `*💬 ${tenant.name} snippets*\n${lines.join('\n')}` } },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: 'Send one with `/achora snippet <name> [session]`, or use *Send snippet* on a message in the chat\'s thread' }] }
+        ]);
+    }
+
+    async snippet(tenant, name, identifier, agent) {
+        let activeSession = null;
+        if (identifier) {
+            activeSession = await slackService.findActiveSession(identifier, tenant.clientId);
+            if (!activeSession) {
+                return SlackCommandService.reply(`No active chat found for \`${identifier}\``);
+            }
+        } else {
+            // Without a session, use the agent's chat if they only have one
+            const { active } = await queueService.getQueue(tenant.clientId);
+            const mine = active.filter(session => session.agentId === agent.id);
+            if (mine.length !== 1) {
+                return SlackCommandService.reply(mine.length === 0 ?
+                    'You have no active chats - add the session: `/achora snippet <name> <session>`' :
+                    `You have ${mine.length} active chats - add the session: \`/achora snippet ${name} <session>\``);
+            }
+            activeSession = await slackService.findActiveSession(mine[0].persistentUserId);
+            if (!activeSession) {
+                return SlackCommandService.reply('That chat has just ended.');
+            }
+        }
+
+        const result = await slackService.sendSnippet(activeSession, name, agent);
+        return SlackCommandService.reply(result.status === 'sent' ? `💬 ${result.message}` : `Could not send the snippet: ${result.message}`);
+    }
+
+    help(unknownCommand = null) {
+        const intro = unknownCommand ? `Unknown command \`${unknownCommand}\`.` : 'Achora live chat commands:';
+        return SlackCommandService.reply(`${intro}\n${USAGE.join('\n')}`);
+    }
+
+    /**
+     * Answer within Slack's 3 second limit - if the work takes longer, acknowledge now and post the result to response_url
+     */
+    async withinAck(responseUrl, work) {
+        const pending = work();
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), SLACK_ACK_MS);
+        });
+
+        const response = await Promise.race([pending, timedOut]);
+        clearTimeout(timer);
+        if (response) return response;
+
+        pending
+            .then(result => this.postToResponseUrl(responseUrl, result))
+            .catch(error => console.error('Error running slash command:', error));
+        return SlackCommandService.reply('⏳ Working on it - the result will appear here shortly.');
+    }
+
+    async postToResponseUrl(responseUrl, response) {
+        if (!responseUrl) return;
+
+        try {
+            await fetch(responseUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(response)
+            });
+        } catch (error) {
+            console.error('Error posting slash command result:', error);
+        }
+    }
+
+    /**
+     * Ephemeral response - text is the notification fallback and, without blocks, the message itself
+     */
+    static reply(text, blocks = null) {
+        return {
+            response_type: 'ephemeral',
+            text,
+            blocks: blocks || [{ type: 'section', text: { type: 'mrkdwn', text } }]
+        };
+    }
+
+    /**
+     * <@U123|jane>, <@U123> or <#C123|support> - Slack sends mentions this way when the command escapes them
+     * @returns {{type: string, id: string, name: string|null}|null} - type is 'agent' or 'channel'
+     */
+    static parseMention(mention) {
+        const match = /^<(?:@([UW][A-Z0-9]+)|#([CG][A-Z0-9]+))(?:\|([^>]*))?>$/.exec(mention || '');
+        if (!match) return null;
+
+        return match[1] ?
+            { type: 'agent', id: match[1], name: match[3] || null } :
+            { type: 'channel', id: match[2], name: match[3] || null };
+    }
+
+    static moreBlock(total) {
+        return total > MAX_LISTED ?
+            [{ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${total - MAX_LISTED} more` }] }] :
+            [];
+    }
+
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
+
+module.exports = new SlackCommandService();
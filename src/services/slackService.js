@@ -2,28 +2,53 @@ const { WebClient } = require('@slack/web-api');
 const OpenAI = require('openai');
 const databaseService = require('./databaseService');
 const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+const schedulerService = require('./schedulerService');
+const clusterService = require('./clusterService');
+const transcriptService = require('./transcriptService');
+const transcriptEmailService = require('./transcriptEmailService');
+const csatService = require('./csatService');
+const snippetService = require('./snippetService');
+const pineconeService = require('./pineconeServiceV2');
+const HandoffRouting = require('../utils/handoffRouting');
+const AttachmentUtils = require('../utils/attachmentUtils');
+const { SessionState } = require('./states');
+
+const HANDOFF_TIMEOUT_MS = 600000; // 10 minutes
+const USER_INACTIVITY_TIMEOUT_MS = 600000; // 10 minutes
+const WAITING_TIME_UPDATE_MS = 10000;
+const SESSION_DURATION_UPDATE_MS = 30000;
+const TRANSFER_HISTORY_MESSAGES = 30; // Messages posted into the new thread when a chat moves channel
+const MAX_SNIPPET_OPTIONS = 100; // Slack's limit for a static select
+const TYPING_STATUS_MIN_INTERVAL_MS = 10000; // At most one typing status per chat in this window - Slack allows about one message a second per channel
+const TYPING_STATUS_TIMEOUT_MS = 15000; // Clear the typing status if the widget stops sending typing events
+const AGENT_ACTIVITY_THROTTLE_MS = 3000;
+const INTERNAL_NOTE_PATTERN = /^\s*\/\/\s*/; // Thread replies starting with // are notes for other agents
 
 class SlackService {
     constructor() {
         this.slack = new WebClient(process.env.SLACK_BOT_TOKEN);
-        this.channelId = process.env.SLACK_CHANNEL_ID;
+        this.channelId = process.env.SLACK_CHANNEL_ID; // Fallback - each tenant posts to its own channel
         this.openai = new OpenAI({
             apiKey: process.env.OPENAI_API_KEY
         });
 
-        // Keep local intervals for timers (can't be stored in Redis)
-        this.updateIntervals = new Map();
-        this.sessionDurationIntervals = new Map();
-        this.handoffTimeouts = new Map();
         this.connectionRequestTimes = new Map();
         this.sessionConversationHistory = new Map();
         this.cachedSummaries = new Map();
         this.activeSessions = new Map();
         this.waitingSessions = new Map();
-        this.userInactivityTimeouts = new Map(); // Track user inactivity timeouts
+        this.agentActivitySentAt = new Map(); // sessionId -> when agent_activity was last sent
+
+        // Timeouts and Slack message updaters are scheduler jobs, so they survive restarts and run on one instance
+        schedulerService.register('handoff_timeout', (payload) => this.handleHandoffTimeout(payload));
+        schedulerService.register('user_inactivity_timeout', (payload) => this.handleUserInactivityTimeout(payload));
+        schedulerService.register('waiting_time_update', (payload) => this.updateWaitingTime(payload));
+        schedulerService.register('session_duration_update', (payload) => this.updateSessionDuration(payload));
+        schedulerService.register('typing_status_clear', ({ persistentUserId }) => this.clearTypingStatus(persistentUserId));
         
-        // Initialize Redis connection
-        this.initializeRedis();
+        // Initialize Redis connection (app.js waits for this before starting the scheduler)
+        this.redisReady = this.initializeRedis();
     }
     
     async initializeRedis() {
@@ -33,8 +58,9 @@ class SlackService {
         } else {
             console.error('❌ Redis connection failed');
         }
+        return connected;
     }
-    
+
     // Helper method to map user to session in Redis
     async mapUserToSession(persistentUserId, sessionId) {
         await redisService.updateCurrentSession(persistentUserId, sessionId);
@@ -45,218 +71,211 @@ class SlackService {
         console.log(`🔄 Updated active session currentSessionId to ${sessionId} for user ${persistentUserId}`);
     }
     
-    // Set 10-minute timeout for handoff requests
-    setHandoffTimeout(persistentUserId, sessionId) {
-        // Clear any existing timeout
-        this.clearHandoffTimeout(persistentUserId);
+    // Set 10-minute timeout for handoff requests (replaces any existing one)
+    async setHandoffTimeout(persistentUserId, sessionId) {
+        await schedulerService.schedule(`handoff_timeout:${persistentUserId}`, 'handoff_timeout', HANDOFF_TIMEOUT_MS, { persistentUserId, sessionId });
+    }
+
+    async handleHandoffTimeout({ persistentUserId, sessionId }) {
+        console.log(`Handoff timeout for user ${persistentUserId}`);
         
-        const timeoutId = setTimeout(async () => {
-            console.log(`Handoff timeout for user ${persistentUserId}`);
-            
-            // Log timeout to database
-            await databaseService.logHandoffTimeout(persistentUserId);
+        // Log timeout to database
+        await databaseService.logHandoffTimeout(persistentUserId);
+        
+        // Get handoff state to find the Slack message to update
+        const handoffState = await redisService.getHandoffState(persistentUserId);
+        
+        // Update Slack message to show timeout status
+        if (handoffState && handoffState.messageTs) {
+            const waitingTime = Math.floor((Date.now() - handoffState.requestTime) / 1000);
+            const waitingMinutes = Math.floor(waitingTime / 60);
+            const waitingTimeText = waitingMinutes > 0 
+                ? `${waitingMinutes}m ${waitingTime % 60}s`
+                : `${waitingTime}s`;
             
-            // Get handoff state to find the Slack message to update
-            const handoffState = await redisService.getHandoffState(persistentUserId);
+            let summaryText = '';
+            if (handoffState.summary) {
+                summaryText = `\n\n*Conversation Summary:*\n${handoffState.summary}`;
+            }
             
-            // Update Slack message to show timeout status
-            if (handoffState && handoffState.messageTs) {
-                const waitingTime = Math.floor((Date.now() - handoffState.requestTime) / 1000);
-                const waitingMinutes = Math.floor(waitingTime / 60);
-                const waitingTimeText = waitingMinutes > 0 
-                    ? `${waitingMinutes}m ${waitingTime % 60}s`
-                    : `${waitingTime}s`;
+            const channelId = handoffState.channelId || this.channelId;
+
+            try {
+                const updateResult = await this.slack.chat.update({
+                    channel: channelId,
+                    ts: handoffState.messageTs,
+                    text: `⏰ Request Timed Out - Session ${handoffState.sessionId}`,
+                    blocks: [
+                        {
+                            type: "section",
+                            text: {
+                                type: "mrkdwn",
+                                text: `⏰ *Request Timed Out*\nSession: \`${handoffState.sessionId}\`\nTime: ${new Date(handoffState.requestTime).toLocaleString('en-AU', { timeZone: 'Australia/Sydney', hour12: true })}\n⏱️ *Total Wait Time: ${waitingTimeText}*${this.formatRoutingText(handoffState.routing)}${summaryText}\n\nNo agents were available within 10 minutes. User returned to AI chat.`
+                            }
+                        }
+                    ]
+                });
                 
-                let summaryText = '';
-                if (handoffState.summary) {
-                    summaryText = `\n\n*Conversation Summary:*\n${handoffState.summary}`;
+                if (updateResult.ok) {
+                    console.log(`✅ Successfully updated Slack message for timed out handoff request: ${handoffState.sessionId}`);
+                } else {
+                    console.error(`❌ Slack API returned error for timeout update:`, updateResult);
                 }
                 
+                // Also post a follow-up message in the thread to make it very clear
+                await this.slack.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: handoffState.messageTs,
+                    text: `⏰ This handoff request has timed out after 10 minutes. The user has been returned to AI chat.`
+                });
+                
+            } catch (slackError) {
+                console.error('Error updating Slack message for timeout:', slackError);
+                console.error('Slack error details:', slackError.data || slackError.message);
+                
+                // Try to post a new message if update fails
                 try {
-                    const updateResult = await this.slack.chat.update({
-                        channel: this.channelId,
-                        ts: handoffState.messageTs,
-                        text: `⏰ Request Timed Out - Session ${handoffState.sessionId}`,
-                        blocks: [
-                            {
-                                type: "section",
-                                text: {
-                                    type: "mrkdwn",
-                                    text: `⏰ *Request Timed Out*\nSession: \`${handoffState.sessionId}\`\nTime: ${new Date(handoffState.requestTime).toLocaleString('en-AU', { timeZone: 'Australia/Sydney', hour12: true })}\n⏱️ *Total Wait Time: ${waitingTimeText}*${summaryText}\n\nNo agents were available within 10 minutes. User returned to AI chat.`
-                                }
-                            }
-                        ]
-                    });
-                    
-                    if (updateResult.ok) {
-                        console.log(`✅ Successfully updated Slack message for timed out handoff request: ${handoffState.sessionId}`);
-                    } else {
-                        console.error(`❌ Slack API returned error for timeout update:`, updateResult);
-                    }
-                    
-                    // Also post a follow-up message in the thread to make it very clear
                     await this.slack.chat.postMessage({
-                        channel: this.channelId,
-                        thread_ts: handoffState.messageTs,
-                        text: `⏰ This handoff request has timed out after 10 minutes. The user has been returned to AI chat.`
+                        channel: channelId,
+                        text: `⏰ Handoff request for session ${handoffState.sessionId} has timed out after 10 minutes.`
                     });
-                    
-                } catch (slackError) {
-                    console.error('Error updating Slack message for timeout:', slackError);
-                    console.error('Slack error details:', slackError.data || slackError.message);
-                    
-                    // Try to post a new message if update fails
-                    try {
-                        await this.slack.chat.postMessage({
-                            channel: this.channelId,
-                            text: `⏰ Handoff request for session ${handoffState.sessionId} has timed out after 10 minutes.`
-                        });
-                        console.log(`Posted fallback timeout message for session: ${handoffState.sessionId}`);
-                    } catch (fallbackError) {
-                        console.error('Failed to post fallback timeout message:', fallbackError);
-                    }
+                    console.log(`Posted fallback timeout message for session: ${handoffState.sessionId}`);
+                } catch (fallbackError) {
+                    console.error('Failed to post fallback timeout message:', fallbackError);
                 }
             }
+        }
+        
+        // Reset session state back to SEEKING_HANDOFF
+        const aiService = require('./aiService');
+        const userState = await redisService.getUserState(persistentUserId);
+        const currentSessionId = userState?.currentSessionId || sessionId;
+        
+        if (currentSessionId) {
+            await aiService.setSessionState(currentSessionId, aiService.SessionState.SEEKING_HANDOFF, persistentUserId);
+            console.log(`Session state reset to SEEKING_HANDOFF for user ${persistentUserId} after timeout`);
             
-            // Reset session state back to SEEKING_HANDOFF
-            const aiService = require('./aiService');
-            const userState = await redisService.getUserState(persistentUserId);
-            const currentSessionId = userState?.currentSessionId || sessionId;
-            
-            if (currentSessionId) {
-                await aiService.setSessionState(currentSessionId, aiService.SessionState.SEEKING_HANDOFF, persistentUserId);
-                console.log(`Session state reset to SEEKING_HANDOFF for user ${persistentUserId} after timeout`);
+            // Notify user via WebSocket that the timeout occurred and they're back to AI
+            if (global.io) {
+                global.io.to(currentSessionId).emit('handoff_timeout', {
+                    sessionId: currentSessionId,
+                    message: 'Our team is currently busy. You can continue chatting with our AI Assistant, or try requesting human assistance again later.',
+                    type: 'timeout',
+                    timestamp: new Date().toISOString()
+                });
                 
-                // Notify user via WebSocket that the timeout occurred and they're back to AI
-                if (global.io) {
-                    global.io.to(currentSessionId).emit('handoff_timeout', {
-                        sessionId: currentSessionId,
-                        message: 'Our team is currently busy. You can continue chatting with our AI Assistant, or try requesting human assistance again later.',
-                        type: 'timeout',
-                        timestamp: new Date().toISOString()
-                    });
-                    
-                    // Also send a regular message event so it appears in chat
-                    global.io.to(currentSessionId).emit('message', {
-                        sessionId: currentSessionId,
-                        message: "I apologise, but no one from our team is currently available to assist you. You can continue chatting with me, or try requesting human assistance again later.",
-                        type: 'system',
-                        timestamp: new Date().toISOString()
-                    });
-                    
-                    console.log(`✅ Sent timeout notifications to session ${currentSessionId}`);
-                } else {
-                    console.warn(`⚠️  No WebSocket connection available to notify session ${currentSessionId} of timeout`);
-                }
+                // Also send a regular message event so it appears in chat
+                global.io.to(currentSessionId).emit('message', {
+                    sessionId: currentSessionId,
+                    message: "I apologise, but no one from our team is currently available to assist you. You can continue chatting with me, or try requesting human assistance again later.",
+                    type: 'system',
+                    timestamp: new Date().toISOString()
+                });
+                
+                console.log(`✅ Sent timeout notifications to session ${currentSessionId}`);
+                await transcriptService.logSystemMessage(currentSessionId, 'Handoff request timed out after 10 minutes - user returned to AI chat', {
+                    persistentUserId,
+                    handoffDecision: { action: 'timeout', reason: 'No agent accepted within 10 minutes' }
+                });
+            } else {
+                console.warn(`⚠️  No WebSocket connection available to notify session ${currentSessionId} of timeout`);
             }
-            
-            // Clean up Redis state
-            await redisService.deleteHandoffState(persistentUserId);
-            await redisService.deleteTimer(persistentUserId);
-            
-            // Stop waiting time updater
-            await this.stopWaitingTimeUpdater(persistentUserId);
-            
-            // Remove from timeout tracking
-            this.handoffTimeouts.delete(persistentUserId);
-        }, 600000); // 10 minutes
+        }
+        
+        // Clean up Redis state
+        await redisService.deleteHandoffState(persistentUserId);
+        await redisService.deleteTimer(persistentUserId);
         
-        this.handoffTimeouts.set(persistentUserId, timeoutId);
+        // Stop waiting time updater
+        await this.stopWaitingTimeUpdater(persistentUserId);
     }
     
     // Clear handoff timeout
-    clearHandoffTimeout(persistentUserId) {
-        if (this.handoffTimeouts.has(persistentUserId)) {
-            clearTimeout(this.handoffTimeouts.get(persistentUserId));
-            this.handoffTimeouts.delete(persistentUserId);
-        }
+    async clearHandoffTimeout(persistentUserId) {
+        await schedulerService.cancel(`handoff_timeout:${persistentUserId}`);
+    }
+
+    // Set 10-minute user inactivity timeout for active conversations (replaces any existing one)
+    async setUserInactivityTimeout(persistentUserId) {
+        await schedulerService.schedule(`user_inactivity_timeout:${persistentUserId}`, 'user_inactivity_timeout', USER_INACTIVITY_TIMEOUT_MS, { persistentUserId });
+        console.log(`Set 10-minute inactivity timeout for user ${persistentUserId}`);
     }
 
-    // Set 10-minute user inactivity timeout for active conversations
-    setUserInactivityTimeout(persistentUserId) {
-        // Clear any existing timeout
-        this.clearUserInactivityTimeout(persistentUserId);
+    async handleUserInactivityTimeout({ persistentUserId }) {
+        console.log(`User inactivity timeout for user ${persistentUserId} - ending conversation`);
         
-        const timeoutId = setTimeout(async () => {
-            console.log(`User inactivity timeout for user ${persistentUserId} - ending conversation`);
-            
-            try {
-                // Get the active session to get thread info
-                const activeSession = await redisService.getActiveSession(persistentUserId);
-                if (activeSession) {
-                    // Calculate final duration
-                    const finalDuration = Math.floor((Date.now() - activeSession.connectedAt) / 1000);
-                    const finalDurationText = this.formatDuration(finalDuration);
-                    
-                    // Get cached summary to preserve it
-                    let summaryText = '';
-                    const cachedSummary = this.cachedSummaries.get(activeSession.currentSessionId);
-                    if (cachedSummary) {
-                        summaryText = `\n\n*Conversation Summary:*\n${cachedSummary}`;
-                    }
-                    
-                    // Update the original message to show inactivity timeout and remove End Chat button
-                    await this.slack.chat.update({
-                        channel: this.channelId,
-                        ts: activeSession.originalMessageTs || activeSession.threadTs,
-                        text: `⏰ Conversation Ended - Inactivity Timeout`,
-                        blocks: [
-                            {
-                                type: "section",
-                                text: {
-                                    type: "mrkdwn",
-                                    text: `⏰ *Conversation Ended - Customer Inactive*\nSession: \`${activeSession.currentSessionId}\`\n⏱️ Total Duration: ${finalDurationText}\nAgent: ${activeSession.agentName}${summaryText}\n\nCustomer was inactive for 10 minutes. Conversation ended automatically.`
-                                }
+        try {
+            // Get the active session to get thread info
+            const activeSession = await redisService.getActiveSession(persistentUserId);
+            if (activeSession) {
+                // Calculate final duration
+                const finalDuration = Math.floor((Date.now() - activeSession.connectedAt) / 1000);
+                const finalDurationText = this.formatDuration(finalDuration);
+                
+                // Get cached summary to preserve it
+                let summaryText = '';
+                const cachedSummary = this.cachedSummaries.get(activeSession.currentSessionId);
+                if (cachedSummary) {
+                    summaryText = `\n\n*Conversation Summary:*\n${cachedSummary}`;
+                }
+                
+                // Update the original message to show inactivity timeout and remove End Chat button
+                await this.slack.chat.update({
+                    channel: activeSession.channelId || this.channelId,
+                    ts: activeSession.originalMessageTs || activeSession.threadTs,
+                    text: `⏰ Conversation Ended - Inactivity Timeout`,
+                    blocks: [
+                        {
+                            type: "section",
+                            text: {
+                                type: "mrkdwn",
+                                text: `⏰ *Conversation Ended - Customer Inactive*\nSession: \`${activeSession.currentSessionId}\`\n⏱️ Total Duration: ${finalDurationText}\nAgent: ${activeSession.agentName}${summaryText}\n\nCustomer was inactive for 10 minutes. Conversation ended automatically.`
                             }
-                        ]
-                    });
-                    
-                    // Post message to Slack thread notifying agent of inactivity
-                    await this.slack.chat.postMessage({
-                        channel: this.channelId,
-                        thread_ts: activeSession.threadTs,
-                        text: `⏰ Customer has been inactive for 10 minutes. Conversation ended automatically.`
+                        }
+                    ]
+                });
+                
+                // Post message to Slack thread notifying agent of inactivity
+                await this.slack.chat.postMessage({
+                    channel: activeSession.channelId || this.channelId,
+                    thread_ts: activeSession.threadTs,
+                    text: `⏰ Customer has been inactive for 10 minutes. Conversation ended automatically.`
+                });
+                await this.closePendingTransfer(activeSession, 'The customer went inactive before anyone accepted.');
+                
+                // Clean up cached summary after using it
+                this.cachedSummaries.delete(activeSession.currentSessionId);
+                
+                // Notify user via WebSocket
+                if (global.io && activeSession.currentSessionId) {
+                    global.io.to(activeSession.currentSessionId).emit('agent_disconnected', {
+                        sessionId: activeSession.currentSessionId,
+                        message: 'The conversation has ended due to inactivity. You can continue chatting with our AI Assistant.',
+                        type: 'inactivity_timeout',
+                        transcriptOffer: await transcriptEmailService.getOffer(activeSession.currentSessionId)
                     });
-                    
-                    // Clean up cached summary after using it
-                    this.cachedSummaries.delete(activeSession.currentSessionId);
-                    
-                    // Notify user via WebSocket
-                    if (global.io && activeSession.currentSessionId) {
-                        global.io.to(activeSession.currentSessionId).emit('agent_disconnected', {
-                            sessionId: activeSession.currentSessionId,
-                            message: 'The conversation has ended due to inactivity. You can continue chatting with our AI Assistant.',
-                            type: 'inactivity_timeout'
-                        });
-                    }
-                    
-                    // End the session
-                    await this.forceEndSessionByPersistentUserId(persistentUserId);
-                    
-                    // Log the inactivity timeout to database
-                    await databaseService.logUserInactivityTimeout(persistentUserId);
-                    console.log(`Session ended due to user inactivity: ${persistentUserId}`);
                 }
                 
-            } catch (error) {
-                console.error('Error handling user inactivity timeout:', error);
+                // End the session
+                await this.forceEndSessionByPersistentUserId(persistentUserId);
+                
+                // Log the inactivity timeout to database
+                await databaseService.logUserInactivityTimeout(persistentUserId);
+                await transcriptService.logSystemMessage(activeSession.currentSessionId, 'Conversation ended - customer inactive for 10 minutes', {
+                    persistentUserId,
+                    agentName: activeSession.agentName
+                });
+                console.log(`Session ended due to user inactivity: ${persistentUserId}`);
             }
             
-            // Remove from timeout tracking
-            this.userInactivityTimeouts.delete(persistentUserId);
-        }, 600000); // 10 minutes
-        
-        this.userInactivityTimeouts.set(persistentUserId, timeoutId);
-        console.log(`Set 10-minute inactivity timeout for user ${persistentUserId}`);
+        } catch (error) {
+            console.error('Error handling user inactivity timeout:', error);
+        }
     }
 
     // Clear user inactivity timeout
-    clearUserInactivityTimeout(persistentUserId) {
-        if (this.userInactivityTimeouts.has(persistentUserId)) {
-            clearTimeout(this.userInactivityTimeouts.get(persistentUserId));
-            this.userInactivityTimeouts.delete(persistentUserId);
-            console.log(`Cleared inactivity timeout for user ${persistentUserId}`);
-        }
+    async clearUserInactivityTimeout(persistentUserId) {
+        await schedulerService.cancel(`user_inactivity_timeout:${persistentUserId}`);
     }
 
     /**
@@ -305,87 +324,100 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         }
     }
 
-    async startWaitingTimeUpdater(sessionId, messageTs, persistentUserId) {
-        // Clear any existing interval for this USER (not session)
-        if (this.updateIntervals.has(persistentUserId)) {
-            clearInterval(this.updateIntervals.get(persistentUserId));
-        }
-
-        // Update the Slack message every 10 seconds with new waiting time  
-        const intervalId = setInterval(async () => {
-            const requestTime = await redisService.getTimerStart(persistentUserId);
-            if (!requestTime) {
-                clearInterval(intervalId);
-                this.updateIntervals.delete(persistentUserId);
-                return;
-            }
+    async startWaitingTimeUpdater(sessionId, messageTs, persistentUserId, channelId = this.channelId) {
+        // One updater per USER (not session) - scheduling replaces any existing one
+        // Update the Slack message every 10 seconds with new waiting time
+        await schedulerService.schedule(`waiting_time_update:${persistentUserId}`, 'waiting_time_update', WAITING_TIME_UPDATE_MS,
+            { sessionId, messageTs, persistentUserId, channelId }, { intervalMs: WAITING_TIME_UPDATE_MS });
+    }
 
-            const waitingSeconds = Math.floor((Date.now() - requestTime) / 1000);
-            const waitingMinutes = Math.floor(waitingSeconds / 60);
-            const remainingSeconds = waitingSeconds % 60;
-            const waitingText = waitingMinutes > 0 
-                ? `${waitingMinutes}m ${remainingSeconds}s`
-                : `${waitingSeconds}s`;
+    /**
+     * Scheduled job - refresh the waiting time on a handoff request
+     * @returns {Promise<boolean>} - False once the request is no longer waiting (stops the updater)
+     */
+    async updateWaitingTime({ sessionId, messageTs, persistentUserId, channelId }) {
+        const requestTime = await redisService.getTimerStart(persistentUserId);
+        if (!requestTime) {
+            return false;
+        }
 
-            try {
-                // Use the cached summary instead of regenerating every 10 seconds
-                let historyText = '';
-                const cachedSummary = await redisService.getHandoffState(persistentUserId);
-                if (cachedSummary && cachedSummary.summary) {
-                    historyText = `\n\n*Conversation Summary:*\n${cachedSummary.summary}`;
-                }
+        const waitingSeconds = Math.floor((Date.now() - requestTime) / 1000);
+        const waitingMinutes = Math.floor(waitingSeconds / 60);
+        const remainingSeconds = waitingSeconds % 60;
+        const waitingText = waitingMinutes > 0 
+            ? `${waitingMinutes}m ${remainingSeconds}s`
+            : `${waitingSeconds}s`;
 
-                // Update the message with new waiting time
-                await this.slack.chat.update({
-                    channel: this.channelId,
-                    ts: messageTs,
-                    text: `🔔 New support request from session ${sessionId}`,
-                    blocks: [
-                        {
-                            type: "section",
-                            text: {
-                                type: "mrkdwn",
-                                text: `🔔 *New Support Request*\nSession: \`${sessionId}\`\nTime: ${new Date(requestTime).toLocaleString('en-AU', { timeZone: 'Australia/Sydney', hour12: true })}\n⏱️ *Waiting: ${waitingText}*${historyText}`
-                            }
-                        },
-                        {
-                            type: "actions",
-                            elements: [
-                                {
-                                    type: "button",
-                                    text: {
-                                        type: "plain_text",
-                                        text: `Accept Chat (Waiting: ${waitingText})`
-                                    },
-                                    style: "primary",
-                                    value: persistentUserId || sessionId,  // Use persistentUserId for reconnection safety
-                                    action_id: "accept_chat"
-                                }
-                            ]
-                        }
-                    ]
-                });
-            } catch (error) {
-                console.error(`Error updating waiting time for session ${sessionId}:`, error);
-                // Stop updating if there's an error
-                clearInterval(intervalId);
-                this.updateIntervals.delete(sessionId);
+        try {
+            // Use the cached summary instead of regenerating every 10 seconds
+            let historyText = '';
+            const cachedSummary = await redisService.getHandoffState(persistentUserId);
+            if (cachedSummary && cachedSummary.summary) {
+                historyText = `\n\n*Conversation Summary:*\n${cachedSummary.summary}`;
             }
-        }, 10000); // Update every 10 seconds
+            const routingText = this.formatRoutingText(cachedSummary?.routing);
 
-        this.updateIntervals.set(persistentUserId, intervalId);
+            // Update the message with new waiting time
+            await this.slack.chat.update({
+                channel: channelId || this.channelId,
+                ts: messageTs,
+                text: `🔔 New support request from session ${sessionId}`,
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `🔔 *New Support Request*\nSession: \`${sessionId}\`\nTime: ${new Date(requestTime).toLocaleString('en-AU', { timeZone: 'Australia/Sydney', hour12: true })}\n⏱️ *Waiting: ${waitingText}*${routingText}${historyText}`
+                        }
+                    },
+                    {
+                        type: "actions",
+                        elements: [
+                            {
+                                type: "button",
+                                text: {
+                                    type: "plain_text",
+                                    text: `Accept Chat (Waiting: ${waitingText})`
+                                },
+                                style: "primary",
+                                value: persistentUserId || sessionId,  // Use persistentUserId for reconnection safety
+                                action_id: "accept_chat"
+                            }
+                        ]
+                    }
+                ]
+            });
+            return true;
+        } catch (error) {
+            console.error(`Error updating waiting time for session ${sessionId}:`, error);
+            // Stop updating if there's an error
+            return false;
+        }
     }
 
     async stopWaitingTimeUpdater(persistentUserId) {
-        if (this.updateIntervals.has(persistentUserId)) {
-            clearInterval(this.updateIntervals.get(persistentUserId));
-            this.updateIntervals.delete(persistentUserId);
-        }
+        await schedulerService.cancel(`waiting_time_update:${persistentUserId}`);
         // Clean up Redis data
         await redisService.deleteTimer(persistentUserId);
         await redisService.deleteHandoffState(persistentUserId);
     }
 
+    /**
+     * A tenant's business hours status for agents - open or closed, and when that changes
+     */
+    describeBusinessHours(tenant, status) {
+        const when = status.nextChange ?
+            new Date(status.nextChange).toLocaleString('en-AU', { timeZone: tenant.businessHours.timezone, weekday: 'short', hour: 'numeric', minute: '2-digit', hour12: true }) :
+            null;
+
+        if (status.open) {
+            return `🟢 *${tenant.name} is open* - live chat requests go to agents${when ? `. Closes ${when}` : ''}`;
+        }
+
+        const reason = status.reason === 'outside_hours' ? 'outside business hours' : status.closureName;
+        return `🌙 *${tenant.name} is closed* (${reason}) - users are offered a callback${when ? `. Opens ${when}` : ''}`;
+    }
+
     formatDuration(seconds) {
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
@@ -401,79 +433,121 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
     }
 
     async startSessionDurationUpdater(persistentUserId, messageTs) {
-        // Clear any existing interval for this user
-        if (this.sessionDurationIntervals.has(persistentUserId)) {
-            clearInterval(this.sessionDurationIntervals.get(persistentUserId));
-        }
-
         const session = await redisService.getActiveSession(persistentUserId);
         if (!session) return;
 
-        // Update every 30 seconds
-        const intervalId = setInterval(async () => {
-            const currentSession = await redisService.getActiveSession(persistentUserId);
-            if (!currentSession) {
-                clearInterval(intervalId);
-                this.sessionDurationIntervals.delete(persistentUserId);
-                return;
-            }
+        // Update every 30 seconds (replaces any existing updater for this user)
+        // The summary goes in the job because the update may run on another instance
+        await schedulerService.schedule(`session_duration_update:${persistentUserId}`, 'session_duration_update', SESSION_DURATION_UPDATE_MS,
+            { persistentUserId, messageTs, summary: this.cachedSummaries.get(session.currentSessionId) || null },
+            { intervalMs: SESSION_DURATION_UPDATE_MS });
+    }
+
+    /**
+     * Scheduled job - refresh the duration on an accepted chat
+     * @returns {Promise<boolean>} - False once the session has ended (stops the updater)
+     */
+    async updateSessionDuration({ persistentUserId, messageTs, summary }) {
+        const currentSession = await redisService.getActiveSession(persistentUserId);
+        if (!currentSession) {
+            return false;
+        }
 
-            const duration = Math.floor((Date.now() - currentSession.connectedAt) / 1000);
-            const durationText = this.formatDuration(duration);
+        const duration = Math.floor((Date.now() - currentSession.connectedAt) / 1000);
+        const durationText = this.formatDuration(duration);
 
-            try {
-                // Get conversation summary from cached summaries to preserve it
-                let summaryText = '';
-                const cachedSummary = this.cachedSummaries.get(currentSession.currentSessionId);
-                if (cachedSummary) {
-                    summaryText = `\n\n*Conversation Summary:*\n${cachedSummary}`;
-                }
-                
-                // Update the original message with current duration AND preserve summary
-                await this.slack.chat.update({
-                    channel: this.channelId,
-                    ts: messageTs,
-                    text: `🟢 Chat accepted by ${currentSession.agentName}`,
-                    blocks: [
-                        {
-                            type: "section",
-                            text: {
-                                type: "mrkdwn",
-                                text: `🟢 *Chat Accepted by ${currentSession.agentName}*\nSession: \`${currentSession.currentSessionId}\`\n⏱️ Duration: ${durationText}${summaryText}\n\n*Reply in thread to chat with the customer*`
-                            }
-                        },
-                        {
-                            type: "actions",
-                            elements: [
-                                {
-                                    type: "button",
-                                    text: {
-                                        type: "plain_text",
-                                        text: `End Chat (${durationText})`
-                                    },
-                                    style: "danger",
-                                    value: persistentUserId || sessionId,  // Use persistentUserId for reconnection safety
-                                    action_id: "end_chat"
-                                }
-                            ]
-                        }
-                    ]
-                });
-            } catch (error) {
-                console.error(`Error updating session duration for ${persistentUserId}:`, error);
-                clearInterval(intervalId);
-                this.sessionDurationIntervals.delete(persistentUserId);
+        try {
+            // Get conversation summary from cached summaries to preserve it
+            let summaryText = '';
+            const cachedSummary = this.cachedSummaries.get(currentSession.currentSessionId) || summary;
+            if (cachedSummary) {
+                summaryText = `\n\n*Conversation Summary:*\n${cachedSummary}`;
             }
-        }, 30000); // Update every 30 seconds
+            
+            // Update the original message with current duration AND preserve summary
+            await this.slack.chat.update({
+                channel: currentSession.channelId || this.channelId,
+                ts: messageTs,
+                text: `🟢 Chat accepted by ${currentSession.agentName}`,
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `🟢 *Chat Accepted by ${currentSession.agentName}*\nSession: \`${currentSession.currentSessionId}\`\n⏱️ Duration: ${durationText}${summaryText}\n\n*Reply in thread to chat with the customer* - start a reply with \`//\` for an internal note they won't see`
+                        }
+                    },
+                    this.acceptedChatActions(persistentUserId, durationText)  // Use persistentUserId for reconnection safety
+                ]
+            });
+            return true;
+        } catch (error) {
+            console.error(`Error updating session duration for ${persistentUserId}:`, error);
+            return false;
+        }
+    }
 
-        this.sessionDurationIntervals.set(persistentUserId, intervalId);
+    /**
+     * End Chat and Transfer buttons on an accepted chat's request message
+     */
+    acceptedChatActions(identifier, durationText) {
+        return {
+            type: "actions",
+            elements: [
+                {
+                    type: "button",
+                    text: {
+                        type: "plain_text",
+                        text: `End Chat (${durationText})`
+                    },
+                    style: "danger",
+                    value: identifier,
+                    action_id: "end_chat"
+                },
+                {
+                    type: "button",
+                    text: {
+                        type: "plain_text",
+                        text: "Transfer"
+                    },
+                    value: identifier,
+                    action_id: "transfer_chat"
+                }
+            ]
+        };
     }
 
-    stopSessionDurationUpdater(sessionId) {
-        if (this.sessionDurationIntervals.has(sessionId)) {
-            clearInterval(this.sessionDurationIntervals.get(sessionId));
-            this.sessionDurationIntervals.delete(sessionId);
-        }
+    async stopSessionDurationUpdater(sessionId) {
+        await schedulerService.cancel(`session_duration_update:${sessionId}`);
+    }
+
+    /**
+     * Pick the channel and mentions for a handoff from the topic of the user's messages and the summary
+     */
+    routeHandoff(tenant, conversationHistory = [], summary = null) {
+        const userText = (conversationHistory || [])
+            .filter(msg => msg.sender === 'user' && msg.message)
+            .map(msg => msg.message)
+            .join('\n');
+
+        return HandoffRouting.route(tenant.handoffRouting, {
+            intent: pineconeService.detectQueryIntent(userText),
+            summary: summary || '',
+            userText
+        }, {
+            fallbackChannelId: tenant.slackChannelId || this.channelId,
+            businessHours: tenant.businessHours
+        });
+    }
+
+    /**
+     * Topic and mentions lines for a handoff request message - no topic line for requests that matched no rule
+     */
+    formatRoutingText(routing) {
+        if (!routing) return '';
+
+        const mentions = HandoffRouting.formatMentions(routing.mentions);
+        return `${routing.topic ? `\n🧭 Topic: *${routing.label}*` : ''}${mentions ? `\n📣 ${mentions}` : ''}`;
     }
 
     async requestHumanAgent(sessionId, userMessage = '', conversationHistory = [], persistentUserId = null) {
@@ -506,6 +580,8 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 }
             }
             
+            const tenant = await tenantService.getTenantForSession(sessionId);
+
             // Store conversation history for later use when agent accepts
             this.sessionConversationHistory.set(sessionId, conversationHistory);
             
@@ -523,16 +599,21 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 this.cachedSummaries.set(sessionId, summary);
             }
 
+            // Route by topic to a specialist channel and people, falling back to the tenant's channel
+            const routing = this.routeHandoff(tenant, conversationHistory, summary);
+            const channelId = routing.channelId || this.channelId;
+            const routingText = this.formatRoutingText(routing);
+
             // Send message to Slack with Accept button
             const messageResult = await this.slack.chat.postMessage({
-                channel: this.channelId,
-                text: `🔔 New support request from session ${sessionId}`,
+                channel: channelId,
+                text: `🔔 New ${routing.topic ? `${routing.label} ` : ''}support request from session ${sessionId}`,
                 blocks: [
                     {
                         type: "section",
                         text: {
                             type: "mrkdwn",
-                            text: `🔔 *New Support Request*\nSession: \`${sessionId}\`\nTime: ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Sydney', hour12: true })}\n⏱️ *Waiting: 0s*${historyText}`
+                            text: `🔔 *New Support Request*\nSession: \`${sessionId}\`\nTime: ${new Date().toLocaleString('en-AU', { timeZone: 'Australia/Sydney', hour12: true })}\n⏱️ *Waiting: 0s*${routingText}${historyText}`
                         }
                     },
                     {
@@ -557,6 +638,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             if (messageResult.ts) {
                 const waitingSessionData = {
                     messageTs: messageResult.ts,
+                    channelId: channelId,
                     requestTime: Date.now(),
                     persistentUserId: persistentUserId
                 };
@@ -567,23 +649,33 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 if (persistentUserId) {
                     await redisService.setHandoffState(persistentUserId, {
                         sessionId: sessionId,
+                        clientId: tenant.clientId,
+                        channelId: channelId,
                         messageTs: messageResult.ts,
                         requestTime: Date.now(),
                         conversationHistory: conversationHistory,
-                        summary: summary
+                        summary: summary,
+                        routing: routing
                     }, 600); // 10 minutes TTL
                     
                     // Set timer start for waiting time tracking
                     await redisService.setTimerStart(persistentUserId, Date.now());
                     
                     // Set 10-minute timeout for handoff request
-                    this.setHandoffTimeout(persistentUserId, sessionId);
+                    await this.setHandoffTimeout(persistentUserId, sessionId);
                 }
                 
-                await this.startWaitingTimeUpdater(sessionId, messageResult.ts, persistentUserId);
+                await this.startWaitingTimeUpdater(sessionId, messageResult.ts, persistentUserId, channelId);
             }
 
-            console.log(`Slack notification sent for session ${sessionId}`);
+            // Every request is recorded, so timeout rates count the ones nobody accepted
+            await databaseService.logHandoffRequest(sessionId, { persistentUserId, clientId: tenant.clientId, topic: routing.topic });
+
+            console.log(`Slack notification sent for session ${sessionId} (${routing.label} -> ${channelId})`);
+            await transcriptService.logSystemMessage(sessionId, `Live chat request routed to ${routing.label}`, {
+                persistentUserId,
+                handoffRouting: { topic: routing.topic, channelId, matchedBy: routing.matchedBy, source: routing.source }
+            });
 
             return {
                 status: 'human_requested',
@@ -654,9 +746,12 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         console.log(`✅ Found active session, sending message to Slack thread: ${session.threadTs}`);
 
         try {
+            // The message ends this burst of typing
+            await this.clearTypingStatus(session.persistentUserId || persistentUserId);
+
             // Send user message as a threaded reply with better formatting
             await this.slack.chat.postMessage({
-                channel: this.channelId,
+                channel: session.channelId || this.channelId,
                 thread_ts: session.threadTs,
                 text: message,
                 blocks: [
@@ -674,7 +769,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
 
             // Reset the user inactivity timeout since user just sent a message
             if (persistentUserId) {
-                this.setUserInactivityTimeout(persistentUserId);
+                await this.setUserInactivityTimeout(persistentUserId);
             }
 
             return {
@@ -706,7 +801,73 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         }
     }
 
-    async handleAcceptButton(identifier, userId, userName, originalMessageTs) {
+    /**
+     * Upload a user's file into their live chat thread
+     * @param {string} sessionId - Widget session
+     * @param {string} persistentUserId - Must own the active chat
+     * @param {{buffer: Buffer, name: string, mimetype: string}} file - Checked with AttachmentUtils.validate
+     * @returns {Promise<{status: string, message?: string, attachment?: Object}>} - status: sent_to_human, not_connected or error
+     */
+    async sendAttachmentToHuman(sessionId, persistentUserId, file) {
+        const session = persistentUserId ? await redisService.getActiveSession(persistentUserId) : null;
+        if (!session || session.currentSessionId !== sessionId) {
+            return { status: 'not_connected', message: 'Files can only be shared while you are chatting with a Support Specialist.' };
+        }
+
+        try {
+            await this.clearTypingStatus(persistentUserId);
+
+            const result = await this.slack.filesUploadV2({
+                channel_id: session.channelId || this.channelId,
+                thread_ts: session.threadTs,
+                file: file.buffer,
+                filename: file.name,
+                title: file.name,
+                initial_comment: `*Customer:* 📎 ${file.name} (${AttachmentUtils.formatSize(file.buffer.length)})`
+            });
+            const uploaded = result.files?.[0]?.files?.[0] || result.files?.[0] || {};
+
+            const attachment = AttachmentUtils.describe({ ...file, size: file.buffer.length, id: uploaded.id });
+            console.log(`📎 Sent ${file.mimetype} from session ${sessionId} to agent ${session.agentName}`);
+
+            await this.setUserInactivityTimeout(persistentUserId);
+            return { status: 'sent_to_human', attachment };
+        } catch (error) {
+            console.error('Error uploading attachment to Slack:', error);
+            return { status: 'error', message: 'Your file could not be sent - please try again.' };
+        }
+    }
+
+    /**
+     * Download a file an agent shared in a chat thread
+     * @param {string} fileId - Slack file id
+     * @returns {Promise<{name: string, mimetype: string, size: number, body: ReadableStream}|null>}
+     */
+    async getSharedFile(fileId) {
+        try {
+            const { file } = await this.slack.files.info({ file: fileId });
+            const url = file?.url_private_download || file?.url_private;
+            if (!url) return null;
+
+            const response = await fetch(url, { headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` } });
+            if (!response.ok) {
+                console.error(`Error downloading Slack file ${fileId}: HTTP ${response.status}`);
+                return null;
+            }
+
+            return {
+                name: file.name || 'attachment',
+                mimetype: file.mimetype || 'application/octet-stream',
+                size: file.size || null,
+                body: response.body
+            };
+        } catch (error) {
+            console.error(`Error loading Slack file ${fileId}:`, error.data?.error || error.message);
+            return null;
+        }
+    }
+
+    async handleAcceptButton(identifier, userId, userName, originalMessageTs, channelId = this.channelId) {
         const acceptTime = new Date().toISOString();
         console.log(`🎯 [${acceptTime}] handleAcceptButton called - identifier: ${identifier}, userId: ${userId}, userName: ${userName}, messageTs: ${originalMessageTs}`);
         
@@ -738,7 +899,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         if (activeSession) {
             // Update original message to show it's already taken
             await this.slack.chat.update({
-                channel: this.channelId,
+                channel: channelId,
                 ts: originalMessageTs,
                 text: `❌ Already accepted by ${activeSession.agentName}`,
                 blocks: [
@@ -768,7 +929,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             
             // Update the original message to show it's been accepted with End Chat button AND preserve summary
             await this.slack.chat.update({
-                channel: this.channelId,
+                channel: channelId,
                 ts: originalMessageTs,
                 text: `🟢 Chat accepted by ${userName}`,
                 blocks: [
@@ -776,24 +937,10 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                         type: "section",
                         text: {
                             type: "mrkdwn",
-                            text: `🟢 *Chat Accepted by ${userName}*\nSession: \`${sessionId}\`\n⏱️ Duration: 0s${summaryText}\n\n*Reply in thread to start chatting with the customer*`
+                            text: `🟢 *Chat Accepted by ${userName}*\nSession: \`${sessionId}\`\n⏱️ Duration: 0s${summaryText}\n\n*Reply in thread to start chatting with the customer* - start a reply with \`//\` for an internal note they won't see`
                         }
                     },
-                    {
-                        type: "actions",
-                        elements: [
-                            {
-                                type: "button",
-                                text: {
-                                    type: "plain_text",
-                                    text: "End Chat (0s)"
-                                },
-                                style: "danger",
-                                value: persistentUserId || sessionId,
-                                action_id: "end_chat"
-                            }
-                        ]
-                    }
+                    this.acceptedChatActions(persistentUserId || sessionId, '0s')
                 ]
             });
 
@@ -808,6 +955,8 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 agentName: userName,
                 threadTs: originalMessageTs,  // Use original message for threading
                 originalMessageTs: originalMessageTs,
+                channelId: channelId,  // Tenant's handoff channel for all later thread updates
+                clientId: await tenantService.getClientIdForSession(sessionId),
                 connectedAt: Date.now(),  // Store as timestamp for easier calculations
                 persistentUserId: persistentUserId,
                 currentSessionId: sessionId  // Track current connection for WebSocket routing
@@ -845,6 +994,11 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 throw error;
             }
             
+            // How long the user waited - read before the handoff state is cleaned up below
+            const handoffState = await redisService.getHandoffState(persistentUserId);
+            const handoffRequestedAt = handoffState?.requestTime ? new Date(handoffState.requestTime) : null;
+            const waitingDuration = handoffRequestedAt ? Math.floor((Date.now() - handoffState.requestTime) / 1000) : null;
+
             console.log(`📋 About to update Redis user state for ${persistentUserId}`);
             
             // Update Redis user state to show agent connected
@@ -865,8 +1019,8 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 // Stop the waiting time updater and clean up Redis state
                 await this.stopWaitingTimeUpdater(persistentUserId);  // Use persistentUserId
                 await redisService.deleteHandoffState(persistentUserId);  // Clean up handoff state
-                this.clearHandoffTimeout(persistentUserId);
-                this.clearUserInactivityTimeout(persistentUserId);
+                await this.clearHandoffTimeout(persistentUserId);
+                await this.clearUserInactivityTimeout(persistentUserId);
             }
             
             // Start the session duration updater with persistentUserId
@@ -878,7 +1032,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
 
             // Start 10-minute user inactivity timeout for the conversation
             if (persistentUserId) {
-                this.setUserInactivityTimeout(persistentUserId);
+                await this.setUserInactivityTimeout(persistentUserId);
             }
 
             console.log(`Agent ${userName} accepted session ${sessionId}`);
@@ -886,10 +1040,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             // No need for duplicate update - already updated above
 
             // Log agent connection to database with full Slack context
-            const handoffState = await redisService.getHandoffState(persistentUserId);
-            const handoffRequestedAt = handoffState?.requestTime ? new Date(handoffState.requestTime) : null;
-            const waitingDuration = handoffRequestedAt ? Math.floor((Date.now() - handoffState.requestTime) / 1000) : null;
-            
+            await databaseService.resolveHandoffRequest(persistentUserId, 'accepted');
             await databaseService.logAgentConnection(sessionId, userName, userId, {
                 persistentUserId: persistentUserId,
                 threadTs: originalMessageTs,
@@ -901,6 +1052,12 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
 
             // Notify user via WebSocket that agent connected
             this.notifyUserOfConnection(sessionId, userName);
+            await transcriptService.logSystemMessage(sessionId, `${userName} joined the conversation`, {
+                persistentUserId,
+                agentId: userId,
+                agentName: userName,
+                waitingDuration: waitingDuration
+            });
 
             console.log(`🎉 handleAcceptButton completed successfully for ${persistentUserId} with sessionId ${sessionId}`);
             
@@ -947,7 +1104,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             
             // Update the original message to show customer disconnected and remove the End Chat button
             const updateResult = await this.slack.chat.update({
-                channel: this.channelId,
+                channel: session.channelId || this.channelId,
                 ts: session.threadTs,  // This is now the same as originalMessageTs
                 text: `🔴 Customer Disconnected - Session ${sessionId}`,
                 blocks: [
@@ -962,10 +1119,14 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             });
             
             console.log('Slack update result:', updateResult.ok ? 'Success' : 'Failed');
+            await transcriptService.logSystemMessage(sessionId, `Customer disconnected after ${finalDurationText}`, {
+                persistentUserId: session.persistentUserId || null,
+                agentName: session.agentName
+            });
 
             // Also send a message to the thread for clarity
             await this.slack.chat.postMessage({
-                channel: this.channelId,
+                channel: session.channelId || this.channelId,
                 thread_ts: session.threadTs,
                 text: `🔴 Customer has disconnected from the chat session after ${finalDurationText}.`
             });
@@ -1019,7 +1180,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             // DON'T stop the waiting time updater or clean up - let timeout handle it
         } else {
             // No persistent user ID - handle as immediate disconnect
-            this.stopWaitingTimeUpdater(sessionId);
+            await this.stopWaitingTimeUpdater(sessionId);
             
             if (waitingSession && waitingSession.messageTs) {
                 const waitedDuration = Math.floor((Date.now() - waitingSession.requestTime) / 1000);
@@ -1027,7 +1188,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 
                 try {
                     await this.slack.chat.update({
-                        channel: this.channelId,
+                        channel: waitingSession.channelId || this.channelId,
                         ts: waitingSession.messageTs,
                         text: `❌ User Disconnected - Session ${sessionId}`,
                         blocks: [
@@ -1042,7 +1203,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                     });
                     
                     await this.slack.chat.postMessage({
-                        channel: this.channelId,
+                        channel: waitingSession.channelId || this.channelId,
                         thread_ts: waitingSession.messageTs,
                         text: `❌ Customer disconnected after waiting ${waitedDurationText} for an agent to accept.`
                     });
@@ -1075,7 +1236,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         
         // Don't stop the session duration updater for persistent users - let timeout handle it
         if (!persistentUserId) {
-            this.stopSessionDurationUpdater(sessionId);
+            await this.stopSessionDurationUpdater(sessionId);
         }
         
         console.log(`Session ${sessionId} disconnect handled`);
@@ -1121,7 +1282,8 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             const finalDurationText = this.formatDuration(finalDuration);
             
             // Stop the duration updater using persistentUserId
-            this.stopSessionDurationUpdater(session.persistentUserId || persistentUserId);
+            await this.stopSessionDurationUpdater(session.persistentUserId || persistentUserId);
+            await this.closePendingTransfer(session, `${userName} ended the chat before anyone accepted.`);
 
             // Get conversation summary to preserve it in final message
             let summaryText = '';
@@ -1132,7 +1294,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             
             // Update the original message to show chat ended AND preserve summary
             await this.slack.chat.update({
-                channel: this.channelId,
+                channel: session.channelId || this.channelId,
                 ts: messageTs,  // This is the original message timestamp
                 text: `🔴 Chat Ended by ${userName}`,
                 blocks: [
@@ -1148,33 +1310,49 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             
             // Send a final message in the thread
             await this.slack.chat.postMessage({
-                channel: this.channelId,
+                channel: session.channelId || this.channelId,
                 thread_ts: messageTs,
                 text: `🔴 Chat ended by ${userName} after ${finalDurationText}.`
             });
 
             // Log disconnection to database
-            await databaseService.logAgentDisconnection(sessionId, 'agent_ended');
+            const agentConnection = await databaseService.logAgentDisconnection(sessionId, 'agent_ended');
+            await transcriptService.logSystemMessage(sessionId, `Chat ended by ${userName} after ${finalDurationText}`, {
+                persistentUserId: session.persistentUserId || persistentUserId,
+                agentId: userId,
+                agentName: userName
+            });
 
             // Notify customer via WebSocket
             if (global.io) {
                 global.io.to(sessionId).emit('agent_disconnected', {
                     sessionId: sessionId,
-                    message: `The Support Specialist has ended the conversation. You can continue chatting with our Assistant.`
+                    message: `The Support Specialist has ended the conversation. You can continue chatting with our Assistant.`,
+                    transcriptOffer: await transcriptEmailService.getOffer(sessionId)
                 });
             }
 
+            // Ask the customer to rate the chat - the answer is posted back into this thread
+            await csatService.offerSurvey(sessionId, 'agent_ended', {
+                persistentUserId: session.persistentUserId || persistentUserId,
+                agentConnection,
+                slackChannelId: session.channelId || this.channelId,
+                slackThreadTs: messageTs
+            });
+
             // Remove from active sessions in Redis using persistentUserId
             if (session.persistentUserId || persistentUserId) {
                 await redisService.deleteActiveSession(session.persistentUserId || persistentUserId);
                 console.log(`🔴 Deleted active session for ${session.persistentUserId || persistentUserId}`);
                 
                 // Clear user inactivity timeout
-                this.clearUserInactivityTimeout(session.persistentUserId || persistentUserId);
+                await this.clearUserInactivityTimeout(session.persistentUserId || persistentUserId);
             }
             
             // Clean up cached summary after preserving it in the final message
             this.cachedSummaries.delete(sessionId);
+            this.agentActivitySentAt.delete(sessionId);
+            await this.clearTypingStatus(session.persistentUserId || persistentUserId);
             
             console.log(`🔴 Agent ${userName} ended session ${sessionId} successfully`);
             return { status: 'ended' };
@@ -1189,6 +1367,34 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
     }
 
 
+    // Post a customer's CSAT response into the thread of the chat they rated
+    async postCsatResponse(survey) {
+        try {
+            const stars = '★'.repeat(survey.rating) + '☆'.repeat(5 - survey.rating);
+            const comment = survey.comment ? `\n>${this.escapeText(survey.comment).replace(/\n/g, '\n>')}` : '';
+
+            await this.slack.chat.postMessage({
+                channel: survey.slackChannelId || this.channelId,
+                thread_ts: survey.slackThreadTs,
+                text: `⭐ Customer rated this chat ${survey.rating}/5 ${stars}${comment}`
+            });
+            return true;
+        } catch (error) {
+            console.error('Error posting CSAT response to Slack:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Escape user text for Slack mrkdwn, so e.g. <!channel> shows as text instead of notifying the channel
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     // Find session by thread timestamp using Redis
     async getSessionByThreadTs(threadTs) {
         const activeSessions = await redisService.getAllActiveSessions();
@@ -1201,8 +1407,743 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         return null;
     }
 
+    /**
+     * Find an active chat by persistentUserId or sessionId (the id shown on the request message)
+     * @param {string|null} clientId - Only a chat belonging to this tenant
+     * @returns {Promise<{persistentUserId: string, session: Object}|null>}
+     */
+    async findActiveSession(identifier, clientId = null) {
+        let persistentUserId = identifier;
+        let session = await redisService.getActiveSession(identifier);
+        if (!session) {
+            persistentUserId = await redisService.getSessionMapping(identifier);
+            session = persistentUserId ? await redisService.getActiveSession(persistentUserId) : null;
+        }
+
+        if (!session || (clientId && (session.clientId || tenantService.defaultClientId) !== clientId)) {
+            return null;
+        }
+        return { persistentUserId, session };
+    }
+
+    /**
+     * Hand an active chat to another agent - they take over the thread and the request message straight away
+     * @param {string} identifier - persistentUserId or sessionId
+     * @param {{id: string, name: string}} toAgent - Slack user taking over
+     * @param {{id: string, name: string}} byAgent - Slack user making the transfer
+     * @returns {Promise<{status: string, message: string}>} - status: transferred, session_not_found, same_agent or error
+     */
+    async transferSession(identifier, toAgent, byAgent) {
+        const activeSession = await this.findActiveSession(identifier);
+        if (!activeSession) {
+            return { status: 'session_not_found', message: 'No active chat found for that session.' };
+        }
+
+        const { persistentUserId, session } = activeSession;
+        if (session.agentId === toAgent.id) {
+            return { status: 'same_agent', message: `${toAgent.name} is already handling this chat.` };
+        }
+
+        try {
+            await this.closePendingTransfer(session, `${byAgent.name} transferred the chat to ${toAgent.name} instead.`);
+            const { summary } = await this.completeTransfer(persistentUserId, session, toAgent, byAgent);
+
+            await this.slack.chat.postMessage({
+                channel: session.channelId || this.channelId,
+                thread_ts: session.threadTs,
+                text: `🔁 ${byAgent.name} transferred this chat from ${session.agentName} to <@${toAgent.id}>. Reply in this thread to continue the conversation.`
+            });
+            // Show the new agent on the request message now rather than at the next duration update
+            await this.updateSessionDuration({ persistentUserId, messageTs: session.originalMessageTs || session.threadTs, summary });
+
+            return { status: 'transferred', message: `Chat \`${session.currentSessionId}\` transferred to <@${toAgent.id}>.` };
+        } catch (error) {
+            console.error(`Error transferring session ${identifier}:`, error);
+            return { status: 'error', message: 'Error transferring the chat' };
+        }
+    }
+
+    /**
+     * Offer an active chat to a channel - the current agent keeps it until someone there accepts
+     * @param {string} identifier - persistentUserId or sessionId
+     * @param {string} channelId - Slack channel to post the transfer request in
+     * @param {{id: string, name: string}} byAgent - Slack user making the transfer
+     * @returns {Promise<{status: string, message: string}>} - status: requested, session_not_found, same_channel or error
+     */
+    async transferSessionToChannel(identifier, channelId, byAgent) {
+        const activeSession = await this.findActiveSession(identifier);
+        if (!activeSession) {
+            return { status: 'session_not_found', message: 'No active chat found for that session.' };
+        }
+
+        const { persistentUserId, session } = activeSession;
+        if ((session.channelId || this.channelId) === channelId) {
+            return { status: 'same_channel', message: 'This chat is already in that channel - transfer it to an agent instead.' };
+        }
+
+        try {
+            await this.closePendingTransfer(session, `${byAgent.name} sent the transfer to another channel instead.`);
+
+            const summary = await this.getSessionSummary(session.currentSessionId);
+            const summaryText = summary ? `\n\n*Conversation Summary:*\n${summary}` : '';
+            const result = await this.slack.chat.postMessage({
+                channel: channelId,
+                text: `🔁 Live chat transfer from ${byAgent.name}`,
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `🔁 *Live Chat Transfer*\nSession: \`${session.currentSessionId}\`\n${byAgent.name} is handing over a chat currently with ${session.agentName}.${summaryText}\n\n*Accept to take over - the conversation so far will be posted in the thread*`
+                        }
+                    },
+                    {
+                        type: "actions",
+                        elements: [
+                            {
+                                type: "button",
+                                text: {
+                                    type: "plain_text",
+                                    text: "Accept Transfer"
+                                },
+                                style: "primary",
+                                value: persistentUserId,
+                                action_id: "accept_transfer"
+                            }
+                        ]
+                    }
+                ]
+            });
+
+            await redisService.setActiveSession(persistentUserId, {
+                ...session,
+                pendingTransfer: { channelId, messageTs: result.ts, requestedAt: Date.now(), byAgentId: byAgent.id, byAgentName: byAgent.name }
+            }, 3600);
+            await this.slack.chat.postMessage({
+                channel: session.channelId || this.channelId,
+                thread_ts: session.threadTs,
+                text: `🔁 ${byAgent.name} asked <#${channelId}> to take over this chat. Keep replying here until someone accepts.`
+            });
+
+            console.log(`🔁 Session ${session.currentSessionId} offered to channel ${channelId} by ${byAgent.name}`);
+            return { status: 'requested', message: `Transfer of \`${session.currentSessionId}\` requested in <#${channelId}> - the chat moves when someone there accepts.` };
+        } catch (error) {
+            console.error(`Error requesting transfer of session ${identifier} to ${channelId}:`, error);
+            return { status: 'error', message: 'Error transferring the chat' };
+        }
+    }
+
+    /**
+     * Accept Transfer button - the chat moves to this channel's request message and thread
+     */
+    async handleAcceptTransferButton(persistentUserId, userId, userName, messageTs, channelId) {
+        const session = await redisService.getActiveSession(persistentUserId);
+        const pendingTransfer = session?.pendingTransfer;
+        if (!pendingTransfer || pendingTransfer.messageTs !== messageTs) {
+            await this.slack.chat.update({
+                channel: channelId,
+                ts: messageTs,
+                text: '❌ Transfer no longer available',
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `❌ *Transfer No Longer Available*\nThe chat has ended or was transferred somewhere else.`
+                        }
+                    }
+                ]
+            });
+            return { status: 'transfer_not_found', message: 'Transfer no longer available' };
+        }
+
+        try {
+            const toAgent = { id: userId, name: userName };
+            const byAgent = { id: pendingTransfer.byAgentId, name: pendingTransfer.byAgentName };
+            const previousChannelId = session.channelId || this.channelId;
+            const previousMessageTs = session.originalMessageTs || session.threadTs;
+
+            const { summary } = await this.completeTransfer(persistentUserId, session, toAgent, byAgent, {
+                channelId: pendingTransfer.channelId,
+                threadTs: messageTs,
+                handoffRequestedAt: new Date(pendingTransfer.requestedAt),
+                waitingDuration: Math.floor((Date.now() - pendingTransfer.requestedAt) / 1000)
+            });
+
+            // The old request message stops updating - the chat carries on in this channel
+            await this.slack.chat.update({
+                channel: previousChannelId,
+                ts: previousMessageTs,
+                text: `🔁 Chat transferred to ${userName}`,
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `🔁 *Chat Transferred*\nSession: \`${session.currentSessionId}\`\n${session.agentName} handed this chat to ${userName} in <#${pendingTransfer.channelId}>.`
+                        }
+                    }
+                ]
+            });
+            await this.slack.chat.postMessage({
+                channel: previousChannelId,
+                thread_ts: session.threadTs,
+                text: `🔁 ${userName} accepted the transfer in <#${pendingTransfer.channelId}>. The chat continues there.`
+            });
+
+            if (summary) {
+                this.cachedSummaries.set(session.currentSessionId, summary);
+            }
+            await this.startSessionDurationUpdater(persistentUserId, messageTs);
+            await this.updateSessionDuration({ persistentUserId, messageTs, summary });
+            await this.postConversationSoFar(session.currentSessionId, pendingTransfer.channelId, messageTs);
+
+            return { status: 'transferred', threadTs: messageTs };
+        } catch (error) {
+            console.error(`Error accepting transfer for ${persistentUserId}:`, error);
+            return { status: 'error', message: 'Error accepting the transfer' };
+        }
+    }
+
+    /**
+     * Move an active chat to a new agent - closes the current AgentConnection leg, opens the next one
+     * with the handoff summary, and tells the user who they're chatting with now
+     * @param {Object} moveTo - channelId and threadTs when the chat moves to another channel's thread,
+     *   handoffRequestedAt and waitingDuration for how long the transfer waited
+     * @returns {Promise<{summary: string|null}>}
+     */
+    async completeTransfer(persistentUserId, session, toAgent, byAgent, { channelId = null, threadTs = null, handoffRequestedAt = null, waitingDuration = null } = {}) {
+        const sessionId = session.currentSessionId;
+        const previousLeg = await databaseService.logAgentDisconnection(sessionId, 'transferred');
+        const summary = this.cachedSummaries.get(sessionId) || previousLeg?.conversationSummary || null;
+
+        // The session duration updater and later agent messages read the agent and thread from here
+        const { pendingTransfer, ...transferredSession } = {
+            ...session,
+            agentId: toAgent.id,
+            agentName: toAgent.name,
+            ...(threadTs ? { channelId, threadTs, originalMessageTs: threadTs } : {})
+        };
+        await redisService.setActiveSession(persistentUserId, transferredSession, 3600);
+        await redisService.setUserState(persistentUserId, { agentId: toAgent.id, agentName: toAgent.name });
+
+        await databaseService.logAgentConnection(sessionId, toAgent.name, toAgent.id, {
+            persistentUserId,
+            threadTs: transferredSession.threadTs,
+            messageTs: transferredSession.originalMessageTs,
+            conversationSummary: summary,
+            handoffRequestedAt,
+            waitingDuration,
+            transferredFromId: previousLeg?.id || null
+        });
+
+        this.notifyUserOfTransfer(sessionId, toAgent.name);
+        await transcriptService.logSystemMessage(sessionId, `Chat transferred from ${session.agentName} to ${toAgent.name} by ${byAgent.name}`, {
+            persistentUserId,
+            sessionState: SessionState.HUMAN_CONNECTED,
+            agentId: toAgent.id,
+            agentName: toAgent.name,
+            transfer: {
+                fromAgentId: session.agentId,
+                fromAgentName: session.agentName,
+                toAgentId: toAgent.id,
+                toAgentName: toAgent.name,
+                byAgentId: byAgent.id,
+                channelId: transferredSession.channelId || this.channelId,
+                waitingDuration
+            }
+        });
+
+        console.log(`🔁 Session ${sessionId} transferred from ${session.agentName} to ${toAgent.name} by ${byAgent.name}`);
+        return { summary };
+    }
+
+    /**
+     * Close the request card of a channel transfer nobody has accepted yet
+     */
+    async closePendingTransfer(session, reason) {
+        const pendingTransfer = session?.pendingTransfer;
+        if (!pendingTransfer) return;
+
+        try {
+            await this.slack.chat.update({
+                channel: pendingTransfer.channelId,
+                ts: pendingTransfer.messageTs,
+                text: '❌ Transfer cancelled',
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `❌ *Transfer Cancelled*\nSession: \`${session.currentSessionId}\`\n${reason}`
+                        }
+                    }
+                ]
+            });
+        } catch (error) {
+            console.error('Error closing pending transfer:', error);
+        }
+    }
+
+    notifyUserOfTransfer(sessionId, agentName) {
+        if (global.io) {
+            global.io.to(sessionId).emit('agent_transferred', {
+                sessionId: sessionId,
+                agentName: agentName,
+                message: `You're now chatting with ${agentName}. They can see your conversation so far.`
+            });
+            console.log(`Sent transfer notification to session ${sessionId}`);
+        }
+    }
+
+    /**
+     * Handoff summary for a session - cached on this instance, or from the current AgentConnection
+     */
+    async getSessionSummary(sessionId) {
+        if (this.cachedSummaries.has(sessionId)) {
+            return this.cachedSummaries.get(sessionId);
+        }
+
+        try {
+            const connection = await databaseService.getConnectedAgentConnection(sessionId);
+            return connection?.conversationSummary || null;
+        } catch (error) {
+            console.error(`Error loading summary for session ${sessionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Post the chat so far into a new thread, so an agent taking over in another channel has the history
+     */
+    async postConversationSoFar(sessionId, channelId, threadTs) {
+        try {
+            const speakers = { user: 'Customer', bot: 'Assistant', human: 'Agent' };
+            const messages = (await databaseService.getChatTranscript(sessionId))
+                .filter(message => speakers[message.messageType] || message.metadata?.internalNote)
+                .slice(-TRANSFER_HISTORY_MESSAGES);
+            if (messages.length === 0) return;
+
+            const lines = messages.map(message => {
+                if (message.metadata?.internalNote) {
+                    return `📝 _Note from ${message.metadata.agentName || speakers.human}:_ ${message.message}`;
+                }
+                const speaker = message.messageType === 'human' ? (message.metadata?.agentName || speakers.human) : speakers[message.messageType];
+                return `*${speaker}:* ${message.message}`;
+            });
+
+            await this.slack.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                text: `📜 *Conversation so far* (last ${messages.length} messages)\n\n${lines.join('\n')}`
+            });
+        } catch (error) {
+            console.error(`Error posting conversation history for session ${sessionId}:`, error);
+        }
+    }
+
+    /**
+     * Transfer button - open a modal to pick an agent or a channel
+     * @param {string} triggerId - From the button click, valid for 3 seconds
+     * @param {string} identifier - persistentUserId from the button value
+     * @param {string} channelId - Channel of the request message, for error replies
+     */
+    async openTransferModal(triggerId, identifier, channelId) {
+        try {
+            await this.slack.views.open({
+                trigger_id: triggerId,
+                view: {
+                    type: "modal",
+                    callback_id: "transfer_chat",
+                    private_metadata: JSON.stringify({ identifier, channelId }),
+                    title: { type: "plain_text", text: "Transfer chat" },
+                    submit: { type: "plain_text", text: "Transfer" },
+                    close: { type: "plain_text", text: "Cancel" },
+                    blocks: [
+                        {
+                            type: "input",
+                            block_id: "transfer_agent",
+                            optional: true,
+                            label: { type: "plain_text", text: "Agent" },
+                            hint: { type: "plain_text", text: "They take over straight away" },
+                            element: { type: "users_select", action_id: "agent", placeholder: { type: "plain_text", text: "Choose an agent" } }
+                        },
+                        {
+                            type: "input",
+                            block_id: "transfer_channel",
+                            optional: true,
+                            label: { type: "plain_text", text: "Or a channel" },
+                            hint: { type: "plain_text", text: "You keep the chat until someone there accepts" },
+                            element: {
+                                type: "conversations_select",
+                                action_id: "channel",
+                                placeholder: { type: "plain_text", text: "Choose a channel" },
+                                filter: { include: ["public", "private"], exclude_bot_users: true }
+                            }
+                        }
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error opening transfer modal:', error);
+        }
+    }
+
+    /**
+     * Check a submitted transfer modal
+     * @returns {Object|null} - Slack view errors by block_id, or null when valid
+     */
+    validateTransferForm(view) {
+        const values = view.state?.values || {};
+        const agentId = values.transfer_agent?.agent?.selected_user;
+        const channelId = values.transfer_channel?.channel?.selected_conversation;
+
+        if (!agentId && !channelId) {
+            return { transfer_agent: 'Choose an agent or a channel' };
+        }
+        if (agentId && channelId) {
+            return { transfer_channel: 'Choose an agent or a channel, not both' };
+        }
+        return null;
+    }
+
+    /**
+     * Run a submitted transfer modal - failures are shown to the agent who submitted it
+     */
+    async handleTransferForm(view, user) {
+        const { identifier, channelId } = JSON.parse(view.private_metadata || '{}');
+        const values = view.state.values;
+        const agentId = values.transfer_agent?.agent?.selected_user;
+        const byAgent = { id: user.id, name: user.username || user.name };
+
+        let result;
+        if (agentId) {
+            let agentName = 'Agent';
+            try {
+                const userInfo = await this.slack.users.info({ user: agentId });
+                agentName = userInfo.user?.real_name || userInfo.user?.name || 'Agent';
+            } catch (error) {
+                console.log('Could not fetch user info:', error.message);
+            }
+            result = await this.transferSession(identifier, { id: agentId, name: agentName }, byAgent);
+        } else {
+            result = await this.transferSessionToChannel(identifier, values.transfer_channel.channel.selected_conversation, byAgent);
+        }
+
+        if (!['transferred', 'requested'].includes(result.status) && channelId) {
+            try {
+                await this.slack.chat.postEphemeral({
+                    channel: channelId,
+                    user: user.id,
+                    text: `Could not transfer the chat: ${result.message}`
+                });
+            } catch (error) {
+                console.error('Error posting transfer result:', error);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Send an agent's message to the user's widget and log it
+     * @param {Object} metadata - Extra ChatLog metadata (e.g. the snippet it came from)
+     */
+    async deliverAgentMessage(persistentUserId, session, message, userId, userName, metadata = {}) {
+        this.agentActivitySentAt.delete(session.currentSessionId);
+        if (session.currentSessionId) {
+            // Routed to whichever instance the user's socket is connected to
+            await clusterService.emitToSession(session.currentSessionId, 'agent_message', {
+                sessionId: session.currentSessionId,
+                message: message,
+                agentName: userName || session.agentName,
+                timestamp: new Date().toISOString(),
+                ...(metadata.attachments ? {
+                    attachments: metadata.attachments.map(attachment => ({
+                        name: attachment.name,
+                        size: attachment.size,
+                        url: AttachmentUtils.createDownloadLink(attachment.slackFileId, session.currentSessionId)
+                    }))
+                } : {})
+            });
+            console.log(`Sent agent message to session ${session.currentSessionId}: ${message}`);
+        }
+
+        // A file shared without a comment is logged by name
+        const logMessage = message || (metadata.attachments || []).map(attachment => `📎 ${attachment.name}`).join('\n');
+        await transcriptService.logAgentMessage(session.currentSessionId, logMessage, {
+            persistentUserId,
+            sessionState: SessionState.HUMAN_CONNECTED,
+            agentId: userId,
+            agentName: userName || session.agentName,
+            ...metadata
+        });
+    }
+
+    /**
+     * Send a saved reply into an active chat - posted in the thread and delivered to the user like an agent message
+     * @param {{persistentUserId: string, session: Object}} activeSession - From findActiveSession or getSessionByThreadTs
+     * @param {string} name - Snippet name
+     * @param {{id: string, name: string}} agent - Slack user sending it
+     * @returns {Promise<{status: string, message: string}>} - status: sent, not_found or error
+     */
+    async sendSnippet(activeSession, name, agent) {
+        const { persistentUserId, session } = activeSession;
+        const clientId = session.clientId || await tenantService.getClientIdForSession(session.currentSessionId);
+        const snippet = await snippetService.find(clientId, name);
+        if (!snippet) {
+            return { status: 'not_found', message: `No snippet called \`${name}\` - run \`/achora snippet\` to see them all.` };
+        }
+
+        try {
+            const { text, missing } = await snippetService.render(snippet, { sessionId: session.currentSessionId, agentName: agent.name });
+
+            // The Events API ignores bot messages, so this isn't relayed a second time
+            await this.slack.chat.postMessage({
+                channel: session.channelId || this.channelId,
+                thread_ts: session.threadTs,
+                text: `💬 ${agent.name} sent the \`${snippet.name}\` snippet:\n>${text.replace(/\n/g, '\n>')}`
+            });
+            await this.deliverAgentMessage(persistentUserId, session, text, agent.id, agent.name, { snippet: snippet.name });
+
+            console.log(`💬 Snippet ${snippet.name} sent to session ${session.currentSessionId} by ${agent.name}`);
+            return {
+                status: 'sent',
+                message: `Sent \`${snippet.name}\` to \`${session.currentSessionId}\`${missing.length > 0 ? ` (left out ${missing.join(', ')} - not known for this user)` : ''}`
+            };
+        } catch (error) {
+            console.error(`Error sending snippet ${name} to session ${session.currentSessionId}:`, error);
+            return { status: 'error', message: 'Error sending the snippet' };
+        }
+    }
+
+    /**
+     * Send snippet message shortcut - open a modal to pick a snippet for the chat in that thread
+     * @param {Object} payload - Slack message_action payload
+     */
+    async openSnippetModal(payload) {
+        const threadTs = payload.message?.thread_ts || payload.message?.ts;
+        const channelId = payload.channel?.id;
+        const sessionData = threadTs ? await this.getSessionByThreadTs(threadTs) : null;
+
+        const notice = async (text) => {
+            try {
+                await this.slack.chat.postEphemeral({ channel: channelId, user: payload.user.id, text });
+            } catch (error) {
+                console.error('Error posting snippet notice:', error);
+            }
+        };
+
+        if (!sessionData) {
+            return notice('Use *Send snippet* on a message in the thread of an active chat.');
+        }
+
+        // Picking a snippet means the agent is working on a reply
+        this.notifyUserOfAgentActivity(sessionData.session, 'snippet');
+
+        const clientId = sessionData.session.clientId || await tenantService.getClientIdForSession(sessionData.session.currentSessionId);
+        const snippets = await snippetService.list(clientId);
+        if (snippets.length === 0) {
+            return notice('No snippets yet - add them with the admin API (`POST /admin/snippets`).');
+        }
+
+        try {
+            await this.slack.views.open({
+                trigger_id: payload.trigger_id,
+                view: {
+                    type: "modal",
+                    callback_id: "send_snippet",
+                    private_metadata: JSON.stringify({ threadTs, channelId }),
+                    title: { type: "plain_text", text: "Send snippet" },
+                    submit: { type: "plain_text", text: "Send" },
+                    close: { type: "plain_text", text: "Cancel" },
+                    blocks: [
+                        {
+                            type: "input",
+                            block_id: "snippet",
+                            label: { type: "plain_text", text: "Snippet" },
+                            hint: { type: "plain_text", text: "Sent to the customer straight away, with their details filled in" },
+                            element: {
+                                type: "static_select",
+                                action_id: "name",
+                                placeholder: { type: "plain_text", text: "Choose a snippet" },
+                                options: snippets.slice(0, MAX_SNIPPET_OPTIONS).map(snippet => ({
+                                    text: { type: "plain_text", text: (snippet.title ? `${snippet.name} - ${snippet.title}` : snippet.name).slice(0, 75) },
+                                    value: snippet.name
+                                }))
+                            }
+                        }
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error opening snippet modal:', error);
+        }
+    }
+
+    /**
+     * Run a submitted snippet modal - failures are shown to the agent who submitted it
+     */
+    async handleSnippetForm(view, user) {
+        const { threadTs, channelId } = JSON.parse(view.private_metadata || '{}');
+        const name = view.state?.values?.snippet?.name?.selected_option?.value;
+        const sessionData = await this.getSessionByThreadTs(threadTs);
+
+        const result = sessionData ?
+            await this.sendSnippet(sessionData, name, { id: user.id, name: user.username || user.name }) :
+            { status: 'session_not_found', message: 'The chat has ended.' };
+
+        if (result.status !== 'sent' && channelId) {
+            try {
+                await this.slack.chat.postEphemeral({
+                    channel: channelId,
+                    user: user.id,
+                    text: `Could not send the snippet: ${result.message}`
+                });
+            } catch (error) {
+                console.error('Error posting snippet result:', error);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Widget typing events during a live chat - shown to the agent as an ephemeral "Customer is typing…" in the Slack thread
+     * @param {string} sessionId - The socket's session
+     * @param {boolean} typing - Started or stopped typing
+     * @returns {Promise<{status: string}>} - status: shown, throttled, cleared or no_session
+     */
+    async handleUserTyping(sessionId, typing) {
+        const persistentUserId = await redisService.getSessionMapping(sessionId);
+        const session = persistentUserId ? await redisService.getActiveSession(persistentUserId) : null;
+        if (!session) {
+            return { status: 'no_session' };
+        }
+
+        return typing ?
+            await this.showTypingStatus(persistentUserId, session) :
+            await this.clearTypingStatus(persistentUserId);
+    }
+
+    /**
+     * Post the typing status - once per TYPING_STATUS_MIN_INTERVAL_MS, then kept until the user stops, sends or goes quiet
+     * Ephemeral and only for the agent, so people following the thread aren't notified every time the customer types
+     */
+    async showTypingStatus(persistentUserId, session) {
+        const clearJobId = `typing_status_clear:${persistentUserId}`;
+        const status = await redisService.getTypingStatus(persistentUserId);
+        if (status) {
+            // Still typing - push back the automatic clear
+            await schedulerService.schedule(clearJobId, 'typing_status_clear', TYPING_STATUS_TIMEOUT_MS, { persistentUserId });
+            return { status: 'shown' };
+        }
+
+        if (!await redisService.claimTypingThrottle(persistentUserId, TYPING_STATUS_MIN_INTERVAL_MS)) {
+            return { status: 'throttled' };
+        }
+
+        try {
+            const channelId = session.channelId || this.channelId;
+            await this.slack.chat.postEphemeral({
+                channel: channelId,
+                thread_ts: session.threadTs,
+                user: session.agentId,
+                text: '✍️ _Customer is typing…_'
+            });
+
+            await redisService.setTypingStatus(persistentUserId, { channelId });
+            await schedulerService.schedule(clearJobId, 'typing_status_clear', TYPING_STATUS_TIMEOUT_MS, { persistentUserId });
+            return { status: 'shown' };
+        } catch (error) {
+            console.error(`Error posting typing status for ${persistentUserId}:`, error);
+            return { status: 'error' };
+        }
+    }
+
+    /**
+     * End the typing status, so the next burst of typing posts a new one
+     * Slack apps can't delete ephemeral messages - the old one stays until the agent reloads Slack
+     */
+    async clearTypingStatus(persistentUserId) {
+        const status = persistentUserId ? await redisService.getTypingStatus(persistentUserId) : null;
+        if (!status) {
+            return { status: 'cleared' };
+        }
+
+        await redisService.deleteTypingStatus(persistentUserId);
+        await schedulerService.cancel(`typing_status_clear:${persistentUserId}`);
+        return { status: 'cleared' };
+    }
+
+    /**
+     * Reaction in Slack - an agent reacting to a message in a chat's thread (e.g. 👀 on the customer's
+     * message) is sent to the widget as agent activity. Slack doesn't tell apps when someone is typing,
+     * so this is not a typing indicator - an agent who just types their reply sends no activity.
+     * @param {Object} event - reaction_added event
+     */
+    async handleAgentReaction(event) {
+        const { channel, ts } = event.item || {};
+        if (!channel || !ts || await this.isBotUser(event.user)) return { status: 'ignored' };
+
+        const activeSessions = Object.values(await redisService.getAllActiveSessions());
+        let session = activeSessions.find(activeSession => activeSession?.threadTs === ts);
+
+        // A reply in a thread - find which thread, but only for channels with a chat in progress
+        if (!session && activeSessions.some(activeSession => (activeSession?.channelId || this.channelId) === channel)) {
+            try {
+                const replies = await this.slack.conversations.replies({ channel, ts, limit: 1 });
+                const threadTs = replies.messages?.[0]?.thread_ts;
+                session = threadTs ? activeSessions.find(activeSession => activeSession?.threadTs === threadTs) : null;
+            } catch (error) {
+                console.log('Could not look up reaction thread:', error.message);
+            }
+        }
+
+        if (!session) return { status: 'no_session' };
+        return { status: this.notifyUserOfAgentActivity(session, 'reaction') ? 'sent' : 'throttled' };
+    }
+
+    /**
+     * Tell the widget the agent is active in the chat's thread - shown as a status until their message arrives
+     * @param {string} activity - 'reaction' or 'snippet'
+     * @returns {boolean} - False when throttled
+     */
+    notifyUserOfAgentActivity(session, activity) {
+        const sessionId = session.currentSessionId;
+        const lastSentAt = this.agentActivitySentAt.get(sessionId) || 0;
+        if (!global.io || !sessionId || Date.now() - lastSentAt < AGENT_ACTIVITY_THROTTLE_MS) return false;
+
+        this.agentActivitySentAt.set(sessionId, Date.now());
+        global.io.to(sessionId).emit('agent_activity', {
+            sessionId: sessionId,
+            agentName: session.agentName,
+            activity: activity
+        });
+        return true;
+    }
+
+    /**
+     * Whether a Slack user is this app's bot (its own ✅ delivery reactions aren't agent activity)
+     */
+    async isBotUser(userId) {
+        if (!this.botUserId) {
+            this.botUserId = this.slack.auth.test()
+                .then(result => result.user_id)
+                .catch(error => {
+                    console.log('Could not look up the bot user:', error.message);
+                    this.botUserId = null;
+                    return null;
+                });
+        }
+        return userId === await this.botUserId;
+    }
+
     // Handle incoming messages from Slack agents
-    async handleAgentMessage(threadTs, message, userId, userName) {
+    /**
+     * Relay an agent's message in a chat thread to the user
+     * @param {Array<Object>} files - Slack files shared with the message - sent to the widget as download links
+     * @param {string|null} messageTs - The reply's ts, for marking internal notes
+     */
+    async handleAgentMessage(threadTs, message, userId, userName, files = [], messageTs = null) {
         // Find the session associated with this thread
         const sessionData = await this.getSessionByThreadTs(threadTs);
         
@@ -1211,22 +2152,26 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             return { status: 'no_session' };
         }
 
+        // User uploads are posted by the bot and come back as file shares
+        if (files.length > 0 && await this.isBotUser(userId)) {
+            return { status: 'ignored' };
+        }
+
+        if (this.isInternalNote(message)) {
+            return await this.recordInternalNote(sessionData, message, { id: userId, name: userName }, files, messageTs);
+        }
+
         const { persistentUserId, session } = sessionData;
 
         // Send to current sessionId for WebSocket routing
         if (global.io && session.currentSessionId) {
-            global.io.to(session.currentSessionId).emit('agent_message', {
-                sessionId: session.currentSessionId,
-                message: message,
-                agentName: userName || session.agentName,
-                timestamp: new Date().toISOString()
-            });
-            console.log(`Sent agent message to session ${session.currentSessionId}: ${message}`);
+            const metadata = files.length > 0 ? { attachments: files.map(file => AttachmentUtils.describe(file)) } : {};
+            await this.deliverAgentMessage(persistentUserId, session, message || '', userId, userName, metadata);
             
             // Check if the thread still exists - if not, clean up the session
             try {
                 await this.slack.conversations.replies({
-                    channel: this.channelId,
+                    channel: session.channelId || this.channelId,
                     ts: threadTs,
                     limit: 1
                 });
@@ -1244,7 +2189,7 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 // Since this is called from handleAgentMessage, we need to find the agent's message
                 // For now, let's add the reaction to a recent message in the thread
                 const recentMessages = await this.slack.conversations.replies({
-                    channel: this.channelId,
+                    channel: session.channelId || this.channelId,
                     ts: threadTs,
                     limit: 5,
                     oldest: threadTs
@@ -1254,15 +2199,15 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
                 if (recentMessages.messages) {
                     const agentMessage = recentMessages.messages
                         .reverse()
-                        .find(msg => msg.user === userId && msg.text && msg.text.trim());
+                        .find(msg => msg.user === userId && ((msg.text && msg.text.trim()) || msg.files?.length));
                     
                     if (agentMessage) {
                         await this.slack.reactions.add({
-                            channel: this.channelId,
+                            channel: session.channelId || this.channelId,
                             timestamp: agentMessage.ts,
                             name: 'white_check_mark'
                         });
-                        console.log(`✅ Added delivery confirmation to message: ${agentMessage.text.substring(0, 50)}...`);
+                        console.log(`✅ Added delivery confirmation to message: ${(agentMessage.text || '').substring(0, 50)}...`);
                     }
                 }
             } catch (reactionError) {
@@ -1274,6 +2219,48 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         return { status: 'sent_to_user' };
     }
     
+    isInternalNote(message) {
+        return INTERNAL_NOTE_PATTERN.test(message || '');
+    }
+
+    /**
+     * Keep an internal note (a thread reply starting with //) - logged to ChatLog as system and never sent to the user
+     * @param {{persistentUserId: string, session: Object}} sessionData - From getSessionByThreadTs
+     * @param {string} message - The reply, prefix included
+     * @param {{id: string, name: string}} agent - Slack user who wrote it
+     * @param {Array<Object>} files - Slack files shared with the note
+     * @param {string|null} messageTs - Marked with 📝 so agents can see it stayed in Slack
+     */
+    async recordInternalNote(sessionData, message, agent, files = [], messageTs = null) {
+        const { persistentUserId, session } = sessionData;
+        const note = message.replace(INTERNAL_NOTE_PATTERN, '').trim() || (files.length > 0 ? files.map(file => `📎 ${file.name}`).join('\n') : '(empty note)');
+
+        await transcriptService.logSystemMessage(session.currentSessionId, note, {
+            persistentUserId,
+            sessionState: SessionState.HUMAN_CONNECTED,
+            route: 'internal_note',
+            internalNote: true,
+            agentId: agent.id,
+            agentName: agent.name,
+            ...(files.length > 0 ? { attachments: files.map(file => AttachmentUtils.describe(file)) } : {})
+        });
+        console.log(`📝 Internal note from ${agent.name} kept out of session ${session.currentSessionId}`);
+
+        if (messageTs) {
+            try {
+                await this.slack.reactions.add({
+                    channel: session.channelId || this.channelId,
+                    timestamp: messageTs,
+                    name: 'memo'
+                });
+            } catch (error) {
+                console.log('Could not mark internal note:', error.message);
+            }
+        }
+
+        return { status: 'internal_note' };
+    }
+
     // Reconnect a persistent user to an existing handoff request  
     async reconnectPersistentUser(persistentUserId, newSessionId) {
         const pendingHandoff = await redisService.getHandoffState(persistentUserId);
@@ -1337,13 +2324,15 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
         
         // Clean up timers
         if (persistentUserId) {
-            this.clearHandoffTimeout(persistentUserId);
-            this.clearUserInactivityTimeout(persistentUserId);
-            this.stopWaitingTimeUpdater(persistentUserId);
+            await this.clearHandoffTimeout(persistentUserId);
+            await this.clearUserInactivityTimeout(persistentUserId);
+            await this.stopWaitingTimeUpdater(persistentUserId);
+            await this.clearTypingStatus(persistentUserId);
         }
         
         if (sessionId) {
-            this.stopSessionDurationUpdater(sessionId);
+            await this.stopSessionDurationUpdater(sessionId);
+            this.agentActivitySentAt.delete(sessionId);
         }
         
         console.log(`🧹 Session data cleaned up`);
@@ -1362,9 +2351,9 @@ IMPORTANT: Use Australian spelling and writing style (e.g., realise, colour, cen
             await redisService.deleteHandoffState(persistentUserId);
             
             // Stop any running timers
-            this.stopSessionDurationUpdater(persistentUserId);
-            this.clearHandoffTimeout(persistentUserId);
-            this.clearUserInactivityTimeout(persistentUserId);
+            await this.stopSessionDurationUpdater(persistentUserId);
+            await this.clearHandoffTimeout(persistentUserId);
+            await this.clearUserInactivityTimeout(persistentUserId);
             
             console.log(`🧹 Cleaned up session ${sessionId} for user ${persistentUserId}`);
             return { status: 'cleaned', persistentUserId };
@@ -0,0 +1,90 @@
+const databaseService = require('./databaseService');
+const tenantService = require('./tenantService');
+const SnippetTemplate = require('../utils/snippetTemplate');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const MAX_TITLE_LENGTH = 100;
+const MAX_TEXT_LENGTH = 3000; // Slack's limit for a section block
+
+/**
+ * SnippetService - Canned replies agents send into live chats
+ *
+ * Snippets belong to a tenant and are looked up by name (`/achora snippet sil-vacancies`).
+ * Their text can use {{variables}} such as the user's first name from the captured lead.
+ */
+class SnippetService {
+    /**
+     * Check snippet fields from the admin API
+     * @param {Object} data - name, title, text
+     * @param {boolean} partial - Only check the fields that were sent (updates)
+     * @returns {string|null} - Error message, or null when valid
+     */
+    validate(data, partial = false) {
+        const { name, title, text } = data;
+
+        if (!partial || name !== undefined) {
+            if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim().toLowerCase())) {
+                return 'name must be 1-50 lowercase letters, numbers, - or _';
+            }
+        }
+        if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+            return `title must be text of up to ${MAX_TITLE_LENGTH} characters`;
+        }
+        if (!partial || text !== undefined) {
+            if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+                return `text is required (up to ${MAX_TEXT_LENGTH} characters)`;
+            }
+
+            const unknown = SnippetTemplate.unknownVariables(text);
+            if (unknown.length > 0) {
+                return `Unknown variable(s): ${unknown.join(', ')}. Available: ${Object.keys(SnippetTemplate.getVariables()).join(', ')}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Snippet fields to store - names are lowercase, text is trimmed
+     */
+    normalise(data) {
+        const fields = {};
+        if (data.name !== undefined) fields.name = data.name.trim().toLowerCase();
+        if (data.title !== undefined) fields.title = data.title ? data.title.trim() : null;
+        if (data.text !== undefined) fields.text = data.text.trim();
+        return fields;
+    }
+
+    async list(clientId = tenantService.defaultClientId) {
+        return await databaseService.getSnippets(clientId);
+    }
+
+    async find(clientId, name) {
+        return name ? await databaseService.getSnippetByName(clientId, name) : null;
+    }
+
+    /**
+     * Fill in a snippet for a live chat
+     * @param {Object} snippet - Snippet row
+     * @param {Object} context - sessionId (for the lead) and agentName
+     * @returns {Promise<{text: string, missing: Array<string>}>}
+     */
+    async render(snippet, { sessionId, agentName = null }) {
+        const tenant = await tenantService.getTenantForSession(sessionId);
+
+        let lead = null;
+        try {
+            lead = await databaseService.getLeadBySession(sessionId);
+        } catch (error) {
+            console.error(`Error loading lead for snippet in session ${sessionId}:`, error);
+        }
+
+        return SnippetTemplate.render(snippet.text, {
+            firstName: lead?.firstName,
+            lastName: lead?.lastName,
+            agentName,
+            tenantName: tenant?.name
+        });
+    }
+}
+
+module.exports = new SnippetService();
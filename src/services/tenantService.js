@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const redisService = require('./redisService');
+const BusinessHours = require('../utils/businessHours');
+const HandoffRouting = require('../utils/handoffRouting');
+
+const DEFAULT_PERSONA = `You are a support specialist at Achora. You ONLY discuss Achora and our team.
+
+CRITICAL RULES:
+- NEVER mention NDIS directly
+- NEVER recommend contacting anyone except Achora
+- NEVER suggest other providers, services, or organizations
+- ONLY talk about Achora's services and connecting with our team
+- When you don't have specific information, offer to connect them with our team
+
+Keep responses positive and solution-focused, focusing exclusively on Achora.`;
+
+/**
+ * TenantService - Registry of providers served by this deployment
+ *
+ * Tenants are resolved from the widget's embed key and bound to each sessionId, so services
+ * further down (database, prompts, Pinecone, Slack) can look up the tenant by session.
+ *
+ * CONFIG: TENANTS_CONFIG points to a JSON array of tenants (see tenants.example.json).
+ * The default tenant is always built from the single-provider env vars (CLIENT_ID, SLACK_CHANNEL_ID,
+ * PINECONE_INDEX_NAME) and serves requests without an embed key.
+ */
+class TenantService {
+    constructor() {
+        this.defaultClientId = process.env.CLIENT_ID || 'achora';
+        this.tenants = new Map(); // clientId -> tenant
+        this.embedKeys = new Map(); // embedKey -> clientId
+        this.sessionTenants = new Map(); // sessionId -> clientId (fallback when Redis unavailable)
+        this.sessionTenantTTL = 86400; // 24 hours, same as session mappings
+
+        this.loadTenants();
+    }
+
+    /**
+     * Load the default tenant from env vars, then any tenants from TENANTS_CONFIG
+     */
+    loadTenants() {
+        this.registerTenant({
+            clientId: this.defaultClientId,
+            embedKeys: process.env.EMBED_KEY ? [process.env.EMBED_KEY] : []
+        });
+
+        const configPath = process.env.TENANTS_CONFIG;
+        if (!configPath) {
+            return;
+        }
+
+        try {
+            const tenants = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+            tenants.forEach(tenant => this.registerTenant(tenant));
+            console.log(`🏢 Loaded ${tenants.length} tenants from ${configPath}`);
+        } catch (error) {
+            console.error(`Error loading tenants from ${configPath}:`, error.message);
+        }
+    }
+
+    /**
+     * Normalise a tenant config, filling gaps from the single-provider env vars
+     */
+    registerTenant(config) {
+        if (!config.clientId) {
+            console.error('Skipping tenant without clientId:', config);
+            return null;
+        }
+
+        const existing = this.tenants.get(config.clientId) || {};
+        const tenant = {
+            clientId: config.clientId,
+            name: config.name || existing.name || 'Achora',
+            embedKeys: config.embedKeys || existing.embedKeys || [],
+            persona: config.persona || existing.persona || DEFAULT_PERSONA,
+            slackChannelId: config.slackChannelId || existing.slackChannelId || process.env.SLACK_CHANNEL_ID,
+            pinecone: {
+                indexName: config.pinecone?.indexName || existing.pinecone?.indexName || process.env.PINECONE_INDEX_NAME,
+                namespace: config.pinecone?.namespace || existing.pinecone?.namespace || null
+            },
+            businessHours: {
+                ...BusinessHours.getDefaultSchedule(),
+                ...existing.businessHours,
+                ...config.businessHours
+            },
+            branding: {
+                ...existing.branding,
+                ...config.branding
+            },
+            handoffRouting: {
+                ...existing.handoffRouting,
+                ...config.handoffRouting
+            }
+        };
+
+        // A bad schedule falls back to closed/after-hours behaviour - flag it at startup
+        BusinessHours.validate(tenant.businessHours)
+            .forEach(error => console.error(`⚠️ Tenant ${tenant.clientId} business hours: ${error}`));
+        HandoffRouting.validate(tenant.handoffRouting, tenant.businessHours)
+            .forEach(error => console.error(`⚠️ Tenant ${tenant.clientId} handoff routing: ${error}`));
+
+        this.tenants.set(tenant.clientId, tenant);
+        tenant.embedKeys.forEach(key => this.embedKeys.set(key, tenant.clientId));
+
+        return tenant;
+    }
+
+    getDefaultTenant() {
+        return this.tenants.get(this.defaultClientId);
+    }
+
+    getTenant(clientId) {
+        return (clientId && this.tenants.get(clientId)) || this.getDefaultTenant();
+    }
+
+    getAllTenants() {
+        return Array.from(this.tenants.values());
+    }
+
+    /**
+     * Resolve a tenant from the widget's embed key
+     * No key falls back to the default tenant; an unknown key returns null
+     */
+    resolveTenant(embedKey) {
+        if (!embedKey) {
+            return this.getDefaultTenant();
+        }
+
+        const clientId = this.embedKeys.get(embedKey);
+        return clientId ? this.tenants.get(clientId) : null;
+    }
+
+    /**
+     * Remember which tenant a session belongs to (Redis, or in-memory when Redis is unavailable)
+     */
+    async bindSession(sessionId, clientId) {
+        if (!sessionId || !clientId) return;
+
+        if (!redisService.isConnected) {
+            this.sessionTenants.set(sessionId, clientId);
+            return;
+        }
+
+        try {
+            await redisService.client.setEx(`tenant:${sessionId}`, this.sessionTenantTTL, clientId);
+        } catch (error) {
+            console.error('Error binding session tenant:', error);
+        }
+    }
+
+    async getClientIdForSession(sessionId) {
+        if (!sessionId) return this.defaultClientId;
+
+        if (!redisService.isConnected) {
+            return this.sessionTenants.get(sessionId) || this.defaultClientId;
+        }
+
+        try {
+            const clientId = await redisService.client.get(`tenant:${sessionId}`);
+            return clientId || this.defaultClientId;
+        } catch (error) {
+            console.error('Error getting session tenant:', error);
+            return this.defaultClientId;
+        }
+    }
+
+    async getTenantForSession(sessionId) {
+        const clientId = await this.getClientIdForSession(sessionId);
+        return this.getTenant(clientId);
+    }
+
+    /**
+     * Slack channels a tenant posts handoffs to - its own channel and its routing channels
+     */
+    getHandoffChannels(tenant) {
+        return [...new Set([
+            tenant.slackChannelId,
+            tenant.handoffRouting?.fallbackChannelId,
+            ...(tenant.handoffRouting?.rules || []).map(rule => rule.channelId)
+        ].filter(Boolean))];
+    }
+
+    /**
+     * The tenant that posts handoffs to a Slack channel, or null for any other channel or DM
+     */
+    findTenantForChannel(channelId) {
+        return this.getAllTenants().find(tenant => this.getHandoffChannels(tenant).includes(channelId)) || null;
+    }
+
+    /**
+     * Tenant details that are safe to hand to the widget
+     */
+    getPublicConfig(tenant) {
+        return {
+            clientId: tenant.clientId,
+            name: tenant.name,
+            businessHours: tenant.businessHours,
+            branding: tenant.branding
+        };
+    }
+}
+
+module.exports = new TenantService();
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const databaseService = require('./databaseService');
+const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+const transcriptService = require('./transcriptService');
+const MailTransportFactory = require('./mailTransports/MailTransportFactory');
+const TranscriptEmail = require('../utils/transcriptEmail');
+const LeadValidator = require('../utils/leadValidator');
+
+const RATE_LIMITS = {
+    session: { max: 3, windowSeconds: 3600 },    // Per chat session per hour
+    recipient: { max: 5, windowSeconds: 86400 }  // Per email address per day
+};
+
+/**
+ * TranscriptEmailService - Emails a copy of the chat to the user when it ends
+ *
+ * The address is the one the user enters, or the email from the lead captured in the session.
+ * Sends go through the MAIL_TRANSPORT transport, are rate-limited per session and per address,
+ * and are recorded in the session's ChatLog as system messages.
+ */
+class TranscriptEmailService {
+    constructor() {
+        this.transport = MailTransportFactory.create();
+        this.from = process.env.MAIL_FROM || 'Achora <no-reply@achora.com.au>';
+        this.localCounters = new Map(); // key -> { count, expiresAt } (when Redis is unavailable)
+    }
+
+    /**
+     * Whether a widget request may see or send a session's transcript - the session has to belong to the
+     * persistentUserId (Redis session mapping) and no live chat or handoff request can still be in progress
+     * @returns {Promise<{allowed: boolean, status?: string, message?: string}>} - status: forbidden or chat_active
+     */
+    async checkAccess(sessionId, persistentUserId) {
+        const owner = sessionId && persistentUserId ? await redisService.getSessionMapping(sessionId) : null;
+        if (!owner || owner !== persistentUserId) {
+            console.log(`🚫 Transcript request for session ${sessionId} refused - not mapped to user ${persistentUserId}`);
+            return { allowed: false, status: 'forbidden', message: "We couldn't find this chat, so we can't email a copy of it." };
+        }
+
+        if (await redisService.getActiveSession(persistentUserId) || await redisService.getHandoffState(persistentUserId)) {
+            return { allowed: false, status: 'chat_active', message: 'You can email yourself a copy once this chat has ended.' };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * What the widget can offer when a chat ends - the lead's email is masked so it can be shown but not read back
+     * @returns {Promise<{available: boolean, leadEmail: string|null}>}
+     */
+    async getOffer(sessionId) {
+        const lead = await this.getLead(sessionId);
+        return {
+            available: true,
+            leadEmail: lead ? TranscriptEmailService.maskEmail(lead.email) : null
+        };
+    }
+
+    /**
+     * Email the session's transcript
+     * @param {string} sessionId - Chat session
+     * @param {string|null} email - Address the user entered, or null to use the captured lead's email
+     * @param {string|null} persistentUserId - For the ChatLog entry
+     * @returns {Promise<{status: string, message: string}>} - status: sent, invalid_email, no_email, empty, rate_limited or error
+     */
+    async sendTranscript(sessionId, email = null, persistentUserId = null) {
+        let to = email ? String(email).trim().toLowerCase() : null;
+        if (to && !LeadValidator.isValidEmail(to)) {
+            return { status: 'invalid_email', message: "That email address doesn't look right - please check it and try again." };
+        }
+
+        if (!to) {
+            const lead = await this.getLead(sessionId);
+            to = lead?.email || null;
+        }
+        if (!to) {
+            return { status: 'no_email', message: 'Please enter the email address to send the transcript to.' };
+        }
+
+        const recipientKey = crypto.createHash('sha256').update(to).digest('hex').slice(0, 16);
+        const allowed = await this.checkRateLimit(`session:${sessionId}`, RATE_LIMITS.session) &&
+            await this.checkRateLimit(`recipient:${recipientKey}`, RATE_LIMITS.recipient);
+        if (!allowed) {
+            console.log(`🚫 Transcript email rate limit reached for session ${sessionId}`);
+            return { status: 'rate_limited', message: "We've already sent a few copies of this chat - please check your inbox (and spam folder)." };
+        }
+
+        try {
+            const tenant = await tenantService.getTenantForSession(sessionId);
+            const messages = await databaseService.getChatTranscript(sessionId);
+            const transcript = TranscriptEmail.build(tenant, messages);
+
+            if (transcript.messageCount === 0) {
+                return { status: 'empty', message: "There's nothing in this chat to send yet." };
+            }
+
+            const result = await this.transport.send({
+                from: this.from,
+                to: to,
+                subject: transcript.subject,
+                html: transcript.html,
+                text: transcript.text
+            });
+
+            console.log(`📧 Transcript for session ${sessionId} sent to ${TranscriptEmailService.maskEmail(to)} via ${this.transport.name} (${transcript.messageCount} messages)`);
+            await transcriptService.logSystemMessage(sessionId, `Transcript emailed to ${TranscriptEmailService.maskEmail(to)}`, {
+                persistentUserId,
+                transcriptEmail: { status: 'sent', transport: this.transport.name, messageId: result.messageId, messageCount: transcript.messageCount, usedLeadEmail: !email }
+            });
+
+            return { status: 'sent', message: `A copy of this chat has been emailed to ${TranscriptEmailService.maskEmail(to)}.` };
+        } catch (error) {
+            console.error(`Error emailing transcript for session ${sessionId}:`, error);
+            await transcriptService.logSystemMessage(sessionId, 'Transcript email failed', {
+                persistentUserId,
+                transcriptEmail: { status: 'error', transport: this.transport.name, error: error.message }
+            });
+
+            return { status: 'error', message: "Sorry, we couldn't send the transcript right now. Please try again later." };
+        }
+    }
+
+    async getLead(sessionId) {
+        try {
+            return await databaseService.getLeadBySession(sessionId);
+        } catch (error) {
+            console.error('Error looking up lead for transcript email:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Count a send against a limit - true if it is allowed
+     */
+    async checkRateLimit(key, { max, windowSeconds }) {
+        const redisKey = `transcript_email:${key}`;
+
+        if (redisService.isConnected) {
+            try {
+                const count = await redisService.client.incr(redisKey);
+                if (count === 1) {
+                    await redisService.client.expire(redisKey, windowSeconds);
+                }
+                return count <= max;
+            } catch (error) {
+                console.error('Error checking transcript email rate limit:', error);
+            }
+        }
+
+        const now = Date.now();
+        const counter = this.localCounters.get(redisKey);
+        if (!counter || counter.expiresAt <= now) {
+            this.localCounters.set(redisKey, { count: 1, expiresAt: now + windowSeconds * 1000 });
+            return true;
+        }
+
+        counter.count++;
+        return counter.count <= max;
+    }
+
+    /**
+     * jane.citizen@example.com -> j***n@example.com
+     */
+    static maskEmail(email) {
+        const [local, domain] = String(email).split('@');
+        if (!domain) return '***';
+        const masked = local.length <= 2 ? `${local[0]}***` : `${local[0]}***${local[local.length - 1]}`;
+        return `${masked}@${domain}`;
+    }
+}
+
+module.exports = new TranscriptEmailService();
@@ -0,0 +1,63 @@
+const databaseService = require('./databaseService');
+const sessionService = require('./sessionService');
+const LinkUtils = require('../utils/linkUtils');
+
+/**
+ * TranscriptService - Records every message in a conversation to ChatLog for complaints handling and quality review
+ *
+ * Message types: user, bot, human (Slack agent) and system (handoff, timeout and connection events).
+ * Each entry's metadata carries the session state at the time plus whatever the caller knows:
+ * - route: which chatController path handled the message
+ * - searchCategories / urlsOffered / bestScore: knowledge base results behind a bot reply
+ * - links: URLs in a bot reply with the knowledge base documents (docIds) that supplied them
+ * - handoffDecision: { action, reason } from handoff analysis or the route that offered live chat
+ * - agentId / agentName: the Slack agent for human messages
+ *
+ * Logging never throws - a failed write is logged and the conversation carries on.
+ */
+class TranscriptService {
+    async logUserMessage(sessionId, message, { persistentUserId = null, ...metadata } = {}) {
+        return await this.log(sessionId, 'user', message, metadata, persistentUserId);
+    }
+
+    /**
+     * The ChatLog row's id is the bot message id the widget sends back with link clicks
+     * @param {Object} options - persistentUserId, searchResult (from pineconeService.searchKnowledge), handoffDecision, route
+     */
+    async logBotMessage(sessionId, message, { persistentUserId = null, searchResult = null, ...metadata } = {}) {
+        if (searchResult) {
+            metadata.searchCategories = searchResult.categories || [];
+            metadata.urlsOffered = searchResult.urls || [];
+            metadata.bestScore = searchResult.bestScore || 0;
+        }
+        metadata.links = LinkUtils.linksWithSources(message, searchResult?.sources);
+        return await this.log(sessionId, 'bot', message, metadata, persistentUserId);
+    }
+
+    async logAgentMessage(sessionId, message, { persistentUserId = null, ...metadata } = {}) {
+        return await this.log(sessionId, 'human', message, metadata, persistentUserId);
+    }
+
+    async logSystemMessage(sessionId, message, { persistentUserId = null, ...metadata } = {}) {
+        return await this.log(sessionId, 'system', message, metadata, persistentUserId);
+    }
+
+    async log(sessionId, messageType, message, metadata = {}, persistentUserId = null) {
+        if (!sessionId || !message) return null;
+
+        try {
+            const sessionState = metadata.sessionState || await sessionService.getSessionState(sessionId, persistentUserId);
+
+            return await databaseService.logMessage(sessionId, messageType, message, {
+                ...metadata,
+                sessionState: sessionState,
+                ...(persistentUserId ? { persistentUserId } : {})
+            });
+        } catch (error) {
+            console.error(`Error logging ${messageType} message for session ${sessionId}:`, error);
+            return null;
+        }
+    }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_NAMESPACE = '';
+
+/**
+ * In-process vector store with brute-force cosine search, for offline development and CI
+ *
+ * Index handles have the same shape as Pinecone's (query, upsert, fetch, deleteMany) and
+ * support the same metadata filter operators, so pineconeServiceV2 and the KB ingestion CLI
+ * work against either backend.
+ *
+ * Snapshot file format: { "<indexName>": { "<namespace>": [{ id, values, metadata }] } }
+ * The default namespace is "". Writes are saved back to the snapshot when a path is set.
+ */
+class LocalVectorStore {
+    constructor(snapshotPath = null) {
+        this.name = 'local';
+        this.snapshotPath = snapshotPath ? path.resolve(snapshotPath) : null;
+        this.data = {}; // indexName -> namespace -> Map(id -> record)
+        this.load();
+    }
+
+    load() {
+        if (!this.snapshotPath || !fs.existsSync(this.snapshotPath)) {
+            console.log(`📂 Local vector store starting empty${this.snapshotPath ? ` (${this.snapshotPath} not found)` : ''}`);
+            return;
+        }
+
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        let total = 0;
+
+        Object.entries(snapshot).forEach(([indexName, namespaces]) => {
+            Object.entries(namespaces).forEach(([namespace, records]) => {
+                const store = this.getNamespace(indexName, namespace);
+                records.forEach(record => store.set(record.id, record));
+                total += records.length;
+            });
+        });
+
+        console.log(`📂 Loaded ${total} vectors from ${this.snapshotPath}`);
+    }
+
+    save() {
+        if (!this.snapshotPath) return;
+
+        const snapshot = {};
+        Object.entries(this.data).forEach(([indexName, namespaces]) => {
+            snapshot[indexName] = {};
+            Object.entries(namespaces).forEach(([namespace, records]) => {
+                snapshot[indexName][namespace] = Array.from(records.values());
+            });
+        });
+
+        fs.mkdirSync(path.dirname(this.snapshotPath), { recursive: true });
+        fs.writeFileSync(this.snapshotPath, JSON.stringify(snapshot));
+    }
+
+    getNamespace(indexName, namespace) {
+        const ns = namespace || DEFAULT_NAMESPACE;
+        if (!this.data[indexName]) this.data[indexName] = {};
+        if (!this.data[indexName][ns]) this.data[indexName][ns] = new Map();
+        return this.data[indexName][ns];
+    }
+
+    /**
+     * Get an index handle with the Pinecone index API
+     * @param {string} indexName - Index name (snapshot top-level key)
+     * @param {string|null} namespace - Namespace (optional)
+     * @returns {Object} - { query, upsert, fetch, deleteMany }
+     */
+    index(indexName, namespace = null) {
+        const records = this.getNamespace(indexName, namespace);
+
+        return {
+            query: async ({ vector, topK = 10, filter, includeMetadata = false, includeValues = false }) => {
+                const matches = [];
+
+                records.forEach(record => {
+                    if (filter && !LocalVectorStore.matchesFilter(record.metadata || {}, filter)) return;
+
+                    if (record.values.length !== vector.length) {
+                        throw new Error(`Vector dimension mismatch: query has ${vector.length}, ${record.id} has ${record.values.length} - was the snapshot built with a different embedding provider?`);
+                    }
+
+                    matches.push({
+                        id: record.id,
+                        score: LocalVectorStore.cosineSimilarity(vector, record.values),
+                        ...(includeMetadata && { metadata: record.metadata }),
+                        ...(includeValues && { values: record.values })
+                    });
+                });
+
+                matches.sort((a, b) => b.score - a.score);
+                return { matches: matches.slice(0, topK), namespace: namespace || DEFAULT_NAMESPACE };
+            },
+
+            upsert: async (newRecords) => {
+                newRecords.forEach(record => records.set(record.id, record));
+                this.save();
+            },
+
+            fetch: async (ids) => {
+                const found = {};
+                ids.forEach(id => {
+                    if (records.has(id)) found[id] = records.get(id);
+                });
+                return { records: found, namespace: namespace || DEFAULT_NAMESPACE };
+            },
+
+            deleteMany: async (idsOrFilter) => {
+                if (Array.isArray(idsOrFilter)) {
+                    idsOrFilter.forEach(id => records.delete(id));
+                } else {
+                    records.forEach((record, id) => {
+                        if (LocalVectorStore.matchesFilter(record.metadata || {}, idsOrFilter)) records.delete(id);
+                    });
+                }
+                this.save();
+            }
+        };
+    }
+
+    static cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+
+    /**
+     * Evaluate a Pinecone metadata filter against a record's metadata
+     * Supports implicit equality, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists, $and and $or
+     * @param {Object} metadata - Record metadata
+     * @param {Object} filter - Pinecone filter, e.g. { content_type: 'pricing', priority: { $in: ['high'] } }
+     * @returns {boolean} - True when the record matches
+     */
+    static matchesFilter(metadata, filter) {
+        return Object.entries(filter).every(([key, condition]) => {
+            if (key === '$and') return condition.every(sub => LocalVectorStore.matchesFilter(metadata, sub));
+            if (key === '$or') return condition.some(sub => LocalVectorStore.matchesFilter(metadata, sub));
+
+            const value = metadata[key];
+            if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+                return LocalVectorStore.equals(value, condition);
+            }
+
+            return Object.entries(condition).every(([operator, operand]) => {
+                switch (operator) {
+                    case '$eq': return LocalVectorStore.equals(value, operand);
+                    case '$ne': return !LocalVectorStore.equals(value, operand);
+                    case '$in': return operand.some(item => LocalVectorStore.equals(value, item));
+                    case '$nin': return !operand.some(item => LocalVectorStore.equals(value, item));
+                    case '$gt': return value > operand;
+                    case '$gte': return value >= operand;
+                    case '$lt': return value < operand;
+                    case '$lte': return value <= operand;
+                    case '$exists': return (value !== undefined) === operand;
+                    default:
+                        throw new Error(`Unsupported filter operator: ${operator}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Pinecone equality - list metadata values match when they contain the operand
+     */
+    static equals(value, operand) {
+        return Array.isArray(value) ? value.includes(operand) : value === operand;
+    }
+}
+
+module.exports = LocalVectorStore;
@@ -0,0 +1,25 @@
+const { Pinecone } = require('@pinecone-database/pinecone');
+
+/**
+ * Vector store backed by Pinecone - index handles are Pinecone's own
+ * (query, upsert, fetch, deleteMany)
+ */
+class PineconeVectorStore {
+    constructor(apiKey = process.env.PINECONE_API_KEY) {
+        this.name = 'pinecone';
+        this.pinecone = new Pinecone({ apiKey });
+    }
+
+    /**
+     * Get an index handle, scoped to a namespace when one is given
+     * @param {string} indexName - Pinecone index name
+     * @param {string|null} namespace - Namespace (optional)
+     * @returns {Object} - Pinecone index handle
+     */
+    index(indexName, namespace = null) {
+        const index = this.pinecone.index(indexName);
+        return namespace ? index.namespace(namespace) : index;
+    }
+}
+
+module.exports = PineconeVectorStore;
@@ -0,0 +1,26 @@
+const PineconeVectorStore = require('./PineconeVectorStore');
+const LocalVectorStore = require('./LocalVectorStore');
+
+/**
+ * Factory class to create the vector store backend selected by VECTOR_STORE
+ */
+class VectorStoreFactory {
+    /**
+     * @param {string} type - 'pinecone' (default) or 'local'
+     * @returns {PineconeVectorStore|LocalVectorStore} - Backend with an index(indexName, namespace) method
+     */
+    static create(type = process.env.VECTOR_STORE || 'pinecone') {
+        switch (type) {
+            case 'local':
+                return new LocalVectorStore(process.env.LOCAL_VECTOR_STORE_PATH || './data/vector-store.json');
+
+            case 'pinecone':
+                return new PineconeVectorStore();
+
+            default:
+                throw new Error(`Unknown VECTOR_STORE "${type}" - use "pinecone" or "local"`);
+        }
+    }
+}
+
+module.exports = VectorStoreFactory;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+class AdminAuth {
+    /**
+     * Express middleware - requires `Authorization: Bearer <ADMIN_API_KEY>`
+     * Sets req.adminActor ({ name, ipAddress }) for the audit log; name comes from the X-Admin-User header
+     */
+    static requireApiKey(req, res, next) {
+        const apiKey = process.env.ADMIN_API_KEY;
+
+        if (!apiKey) {
+            console.error('❌ ADMIN_API_KEY not set - admin API disabled');
+            return res.status(503).json({ success: false, error: 'Admin API is not configured' });
+        }
+
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+        const expectedBuffer = Buffer.from(apiKey, 'utf8');
+        const tokenBuffer = Buffer.from(token, 'utf8');
+        const isValid = expectedBuffer.length === tokenBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, tokenBuffer);
+
+        if (!isValid) {
+            console.warn(`🚫 Rejected admin request to ${req.originalUrl} from ${req.ip}`);
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+
+        req.adminActor = {
+            name: req.headers['x-admin-user'] || 'admin-api',
+            ipAddress: req.ip
+        };
+        next();
+    }
+}
+
+module.exports = AdminAuth;
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10MB
+const LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Download links for agent files last a week
+const MAX_FILE_NAME_LENGTH = 100;
+
+// File types users can upload, with the bytes every file of that type starts with
+const ALLOWED_TYPES = {
+    'image/jpeg': { extension: 'jpg', matches: (buffer) => startsWith(buffer, [0xFF, 0xD8, 0xFF]) },
+    'image/png': { extension: 'png', matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    'image/gif': { extension: 'gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+    'image/webp': { extension: 'webp', matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+    'application/pdf': { extension: 'pdf', matches: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-' }
+};
+
+function startsWith(buffer, bytes) {
+    return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+class AttachmentUtils {
+    static getAllowedTypes() {
+        return Object.keys(ALLOWED_TYPES);
+    }
+
+    /**
+     * Largest file a user can upload - ATTACHMENT_MAX_BYTES (default 10MB)
+     */
+    static getMaxBytes() {
+        const maxBytes = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10);
+        return maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES;
+    }
+
+    /**
+     * Check an uploaded file - the content has to match the type the browser claimed
+     * @param {Buffer} buffer - File content
+     * @param {string} mimetype - Content-Type of the upload
+     * @returns {string|null} - Error message, or null when the file is allowed
+     */
+    static validate(buffer, mimetype) {
+        const type = ALLOWED_TYPES[mimetype];
+        if (!type) {
+            return 'Only images (JPG, PNG, GIF, WebP) and PDFs can be shared';
+        }
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            return 'The file is empty';
+        }
+        if (buffer.length > AttachmentUtils.getMaxBytes()) {
+            return `Files can be up to ${AttachmentUtils.formatSize(AttachmentUtils.getMaxBytes())}`;
+        }
+        if (!type.matches(buffer)) {
+            return "The file doesn't look like the type it claims to be";
+        }
+        return null;
+    }
+
+    /**
+     * A file name that's safe to show and send on - no paths or control characters, and the right extension
+     * @param {string} name - Name from the browser (URI-encoded in the X-File-Name header)
+     * @param {string} mimetype - Allowed upload type
+     */
+    static cleanFileName(name, mimetype) {
+        let decoded = String(name || '');
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch (error) {
+            // Not encoded - use it as sent
+        }
+
+        const extension = ALLOWED_TYPES[mimetype]?.extension;
+        let cleaned = decoded
+            .split(/[\\/]/).pop()
+            .replace(/[\u0000-\u001f\u007f"<>|*?:]/g, '')
+            .trim()
+            .slice(0, MAX_FILE_NAME_LENGTH);
+
+        if (!cleaned || cleaned.startsWith('.')) cleaned = `attachment${cleaned}`;
+        if (extension && !new RegExp(`\\.${extension === 'jpg' ? 'jpe?g' : extension}$`, 'i').test(cleaned)) {
+            cleaned = `${cleaned}.${extension}`;
+        }
+        return cleaned;
+    }
+
+    /**
+     * Attachment details stored in ChatLog metadata
+     * @param {Object} file - Slack file object, or { name, mimetype, size, id } for uploads
+     */
+    static describe(file) {
+        return {
+            name: file.name || file.title || 'attachment',
+            mimetype: file.mimetype || null,
+            size: file.size || null,
+            slackFileId: file.id || null
+        };
+    }
+
+    static formatSize(bytes) {
+        if (!bytes) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+    }
+
+    /**
+     * Secret for signing download links - ATTACHMENT_LINK_SECRET, falling back to the Slack signing secret
+     */
+    static getLinkSecret() {
+        return process.env.ATTACHMENT_LINK_SECRET || process.env.SLACK_SIGNING_SECRET || null;
+    }
+
+    static sign(fileId, sessionId, expires, secret = AttachmentUtils.getLinkSecret()) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`${fileId}:${sessionId}:${expires}`)
+            .digest('hex');
+    }
+
+    /**
+     * Download link for a file an agent shared - only works for this session and until it expires
+     * @returns {string|null} - Path relative to the chat server, or null when no secret is configured
+     */
+    static createDownloadLink(fileId, sessionId, now = Date.now()) {
+        const secret = AttachmentUtils.getLinkSecret();
+        if (!secret || !fileId || !sessionId) return null;
+
+        const expires = now + LINK_TTL_MS;
+        const query = new URLSearchParams({
+            sessionId,
+            expires: String(expires),
+            signature: AttachmentUtils.sign(fileId, sessionId, expires, secret)
+        });
+        return `/chat/attachments/${encodeURIComponent(fileId)}?${query}`;
+    }
+
+    /**
+     * Check a download link's signature and expiry
+     */
+    static isValidDownloadLink(fileId, sessionId, expires, signature) {
+        const secret = AttachmentUtils.getLinkSecret();
+        if (!secret || !fileId || !sessionId || !expires || !signature) {
+            return false;
+        }
+        if (!/^\d+$/.test(String(expires)) || parseInt(expires, 10) < Date.now()) {
+            return false;
+        }
+
+        const expectedBuffer = Buffer.from(AttachmentUtils.sign(fileId, sessionId, expires, secret), 'utf8');
+        const signatureBuffer = Buffer.from(String(signature), 'utf8');
+        return expectedBuffer.length === signatureBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    /**
+     * Express middleware - reads an upload's raw body (allowed types only, up to the size limit)
+     * Anything else is left without a body, so the controller rejects it with a clear message
+     */
+    static parseUpload(req, res, next) {
+        if (!AttachmentUtils.rawParser) {
+            AttachmentUtils.rawParser = express.raw({
+                type: AttachmentUtils.getAllowedTypes(),
+                limit: AttachmentUtils.getMaxBytes()
+            });
+        }
+
+        AttachmentUtils.rawParser(req, res, (error) => {
+            if (!error) return next();
+
+            const tooLarge = error.type === 'entity.too.large';
+            console.warn(`🚫 Rejected attachment upload from ${req.ip}: ${error.message}`);
+            res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge ? `Files can be up to ${AttachmentUtils.formatSize(AttachmentUtils.getMaxBytes())}` : 'The upload could not be read'
+            });
+        });
+    }
+}
+
+module.exports = AttachmentUtils;
@@ -0,0 +1,238 @@
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const HolidayCalendars = require('./holidayCalendars');
+
+const DEFAULT_SCHEDULE = {
+    timezone: 'Australia/Sydney',
+    days: [1, 2, 3, 4, 5], // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
+    start: 9,
+    end: 17,
+    holidayCalendars: ['NSW'],
+    closures: []
+};
+const NEXT_OPEN_SEARCH_DAYS = 60; // Long enough to get past the Christmas shutdown
+
+/**
+ * Business hours schedule - weekly hours, public holiday calendars and ad-hoc closures
+ *
+ * Schedule config (a tenant's businessHours):
+ * {
+ *   timezone: 'Australia/Sydney',
+ *   days: [1, 2, 3, 4, 5], start: 9, end: 17,            // same hours every open day, or...
+ *   weekly: { "1": [{ start: "09:00", end: "17:00" }] },  // ...hours per day (0 = Sunday), overrides days/start/end
+ *   holidayCalendars: ['NSW'],                            // national, NSW, VIC, QLD
+ *   closures: ['2025-12-24', { from: '2025-12-29', to: '2025-12-31', name: 'Christmas shutdown' }],
+ *   teams: { intake: { weekly: {...}, closures: [...] } } // per-team overrides (closures are added to the base list)
+ * }
+ */
+class BusinessHours {
+    /**
+     * Schedule used when a tenant doesn't configure its own - 9 AM - 5 PM Sydney time, Monday to Friday, NSW holidays
+     */
+    static getDefaultSchedule() {
+        return { ...DEFAULT_SCHEDULE };
+    }
+
+    /**
+     * Resolve a schedule config (and optional team) into weekly intervals in minutes
+     * @param {Object} config - Schedule config
+     * @param {string|null} team - Team name from config.teams (optional)
+     * @returns {{timezone: string, weekly: Object, holidayCalendars: string[], closures: Array}} - Normalised schedule
+     */
+    static normalise(config = {}, team = null) {
+        const base = { ...DEFAULT_SCHEDULE, ...config };
+        const teamConfig = (team && base.teams?.[team]) || {};
+
+        const hasTeamHours = teamConfig.weekly || teamConfig.days || teamConfig.start !== undefined || teamConfig.end !== undefined;
+        const hoursConfig = hasTeamHours ? { ...base, weekly: undefined, ...teamConfig } : base;
+
+        return {
+            timezone: teamConfig.timezone || base.timezone,
+            weekly: BusinessHours.normaliseWeekly(hoursConfig),
+            holidayCalendars: teamConfig.holidayCalendars || base.holidayCalendars,
+            closures: [...(base.closures || []), ...(teamConfig.closures || [])].map(BusinessHours.normaliseClosure)
+        };
+    }
+
+    static normaliseWeekly(config) {
+        const weekly = {};
+
+        for (let day = 0; day < 7; day++) {
+            const intervals = config.weekly
+                ? (config.weekly[day] || [])
+                : (config.days.includes(day) ? [{ start: config.start, end: config.end }] : []);
+
+            weekly[day] = intervals
+                .map(interval => ({ start: BusinessHours.toMinutes(interval.start), end: BusinessHours.toMinutes(interval.end) }))
+                .sort((a, b) => a.start - b.start);
+        }
+
+        return weekly;
+    }
+
+    /**
+     * 9 -> 540, 17.5 -> 1050, "08:30" -> 510
+     */
+    static toMinutes(time) {
+        if (typeof time === 'number') return Math.round(time * 60);
+
+        const [hours, minutes = '0'] = String(time).split(':');
+        return parseInt(hours) * 60 + parseInt(minutes);
+    }
+
+    static normaliseClosure(closure) {
+        if (typeof closure === 'string') {
+            return { from: closure, to: closure, name: 'Office closed' };
+        }
+        return {
+            from: closure.from || closure.date,
+            to: closure.to || closure.date || closure.from,
+            name: closure.name || 'Office closed'
+        };
+    }
+
+    /**
+     * Config problems worth logging at startup (unknown calendars, bad times, bad closure dates)
+     * @returns {string[]} - Error messages, empty when the config is valid
+     */
+    static validate(config = {}) {
+        const errors = [];
+        const teams = [null, ...Object.keys(config.teams || {})];
+
+        teams.forEach(team => {
+            const label = team ? `team "${team}"` : 'schedule';
+            try {
+                const schedule = BusinessHours.normalise(config, team);
+
+                schedule.holidayCalendars
+                    .filter(calendar => !HolidayCalendars.isKnownCalendar(calendar))
+                    .forEach(calendar => errors.push(`${label}: unknown holiday calendar "${calendar}"`));
+
+                Object.entries(schedule.weekly).forEach(([day, intervals]) => {
+                    intervals
+                        .filter(interval => isNaN(interval.start) || isNaN(interval.end) || interval.start >= interval.end || interval.end > 1440)
+                        .forEach(() => errors.push(`${label}: invalid hours on day ${day}`));
+                });
+
+                schedule.closures
+                    .filter(closure => !/^\d{4}-\d{2}-\d{2}$/.test(closure.from) || !/^\d{4}-\d{2}-\d{2}$/.test(closure.to))
+                    .forEach(closure => errors.push(`${label}: closure dates must be YYYY-MM-DD (${closure.name})`));
+
+                if (isNaN(fromZonedTime('2025-01-01T00:00:00', schedule.timezone).getTime())) {
+                    errors.push(`${label}: unknown timezone "${schedule.timezone}"`);
+                }
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Why a local date is closed all day, if it is
+     * @returns {{reason: string, name: string}|null} - 'holiday' or 'closure', or null on a normal day
+     */
+    static getDayClosure(schedule, date) {
+        const closure = schedule.closures.find(c => date >= c.from && date <= c.to);
+        if (closure) {
+            return { reason: 'closure', name: closure.name };
+        }
+
+        const holiday = HolidayCalendars.findHoliday(schedule.holidayCalendars, date);
+        return holiday ? { reason: 'holiday', name: holiday.name } : null;
+    }
+
+    /**
+     * Open/closed status at a point in time
+     * @param {Object} config - Schedule config (a tenant's businessHours)
+     * @param {Date} now - Time to check (default: now)
+     * @param {string|null} team - Team name from config.teams (optional)
+     * @returns {{open: boolean, reason: string, closureName: string|null, nextChange: string|null}}
+     *   reason is 'open', 'outside_hours', 'holiday' or 'closure'; nextChange is when the status next flips (ISO)
+     */
+    static getStatus(config, now = new Date(), team = null) {
+        const schedule = BusinessHours.normalise(config, team);
+        const today = formatInTimeZone(now, schedule.timezone, 'yyyy-MM-dd');
+        const minutes = BusinessHours.toMinutes(formatInTimeZone(now, schedule.timezone, 'HH:mm'));
+
+        const dayClosure = BusinessHours.getDayClosure(schedule, today);
+        if (!dayClosure) {
+            const current = schedule.weekly[HolidayCalendars.dayOfWeek(today)]
+                .find(interval => minutes >= interval.start && minutes < interval.end);
+
+            if (current) {
+                return {
+                    open: true,
+                    reason: 'open',
+                    closureName: null,
+                    nextChange: BusinessHours.toInstant(schedule, today, current.end)
+                };
+            }
+        }
+
+        return {
+            open: false,
+            reason: dayClosure ? dayClosure.reason : 'outside_hours',
+            closureName: dayClosure ? dayClosure.name : null,
+            nextChange: BusinessHours.findNextOpening(schedule, today, minutes)
+        };
+    }
+
+    static isOpen(config, now = new Date(), team = null) {
+        return BusinessHours.getStatus(config, now, team).open;
+    }
+
+    /**
+     * Start of the next open interval after a local date/time, skipping holidays and closures
+     * @returns {string|null} - ISO timestamp, or null if nothing opens within NEXT_OPEN_SEARCH_DAYS
+     */
+    static findNextOpening(schedule, today, minutes) {
+        for (let offset = 0; offset < NEXT_OPEN_SEARCH_DAYS; offset++) {
+            const date = HolidayCalendars.addDays(today, offset);
+            if (BusinessHours.getDayClosure(schedule, date)) continue;
+
+            const interval = schedule.weekly[HolidayCalendars.dayOfWeek(date)]
+                .find(i => offset > 0 || i.start > minutes);
+            if (interval) {
+                return BusinessHours.toInstant(schedule, date, interval.start);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * When the team is next available, in the schedule's timezone - e.g. "Tuesday 6 January at 9:00 AM"
+     * @param {Object} config - Schedule config
+     * @param {Object} status - Result of getStatus() while closed
+     * @returns {string|null} - Readable time, or null when nothing opens soon
+     */
+    static describeNextOpening(config, status) {
+        if (status.open || !status.nextChange) return null;
+
+        const { timezone } = BusinessHours.normalise(config);
+        return formatInTimeZone(new Date(status.nextChange), timezone, "EEEE d MMMM 'at' h:mm a");
+    }
+
+    /**
+     * Midnight at the start of today in the schedule's timezone
+     * @returns {string} - ISO timestamp
+     */
+    static startOfDay(config, now = new Date()) {
+        const schedule = BusinessHours.normalise(config);
+        return BusinessHours.toInstant(schedule, formatInTimeZone(now, schedule.timezone, 'yyyy-MM-dd'), 0);
+    }
+
+    /**
+     * Local date + minutes past midnight in the schedule's timezone -> ISO timestamp
+     */
+    static toInstant(schedule, date, minutes) {
+        if (minutes >= 1440) {
+            return fromZonedTime(`${HolidayCalendars.addDays(date, 1)}T00:00:00`, schedule.timezone).toISOString();
+        }
+
+        const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+        return fromZonedTime(`${date}T${time}`, schedule.timezone).toISOString();
+    }
+}
+
+module.exports = BusinessHours;
@@ -0,0 +1,32 @@
+class CsvUtils {
+    /**
+     * Escape a single CSV value
+     * Values starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas
+     * @param {*} value - Cell value
+     * @returns {string} - Escaped cell
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build a CSV document from rows
+     * @param {Array<Object>} rows - Plain objects
+     * @param {Array<{key: string, header: string}>} columns - Columns in output order
+     * @returns {string} - CSV with header row
+     */
+    static toCsv(rows, columns) {
+        const header = columns.map(column => CsvUtils.escape(column.header)).join(',');
+        const lines = rows.map(row => columns.map(column => CsvUtils.escape(row[column.key])).join(','));
+        return [header, ...lines].join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = CsvUtils;
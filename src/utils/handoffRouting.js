@@ -0,0 +1,164 @@
+const BusinessHours = require('./businessHours');
+
+// Built-in topics - a tenant rule names one of these, or brings its own keywords/intents
+const DEFAULT_TOPICS = {
+    complaints: {
+        label: 'Complaints',
+        keywords: ['complain*', 'not happy', 'unhappy', 'disappointed', 'incident', 'feedback about', 'escalat*']
+    },
+    vacancies: {
+        label: 'SIL/SDA vacancies',
+        intents: ['isVacancy'],
+        keywords: ['SIL', 'SDA', 'vacanc*', 'supported independent living', 'specialist disability accommodation', 'accommodation']
+    },
+    plan_management: {
+        label: 'Plan management',
+        keywords: ['plan manag*', 'invoice*', 'reimburse*', 'self-manag*', 'plan budget']
+    },
+    support_coordination: {
+        label: 'Support coordination',
+        keywords: ['support coordinat*', 'coordinator*', 'plan review', 'plan reassessment']
+    }
+};
+
+/**
+ * Handoff routing - which Slack channel a live chat request goes to and who is mentioned
+ *
+ * Routing config (a tenant's handoffRouting):
+ * {
+ *   fallbackChannelId: 'C0123456789',          // default: the tenant's slackChannelId
+ *   fallbackMentions: ['S0123456789'],          // mentioned when no rule matches (optional)
+ *   rules: [                                    // first matching rule wins
+ *     { topic: 'complaints', channelId: 'C0QUALITY', mentions: ['S0QUALITY'] },
+ *     { topic: 'vacancies', mentions: ['U0INTAKE1', 'U0INTAKE2'], team: 'intake' },  // team: only while its hours are open
+ *     { topic: 'ndia_reviews', label: 'NDIA reviews', keywords: ['review*', 'appeal*'], intents: ['isProcess'] }
+ *   ]
+ * }
+ * Mentions are Slack ids - S... is a user group, anything else a user. Keywords match whole words,
+ * a trailing * matches any ending. Intents are pineconeServiceV2.detectQueryIntent flags.
+ */
+class HandoffRouting {
+    /**
+     * Built-in topic definitions merged into the rules, with the fallback channel filled in
+     * @param {Object} config - Routing config
+     * @param {string} fallbackChannelId - Channel to use when the config doesn't name one (the tenant's channel)
+     */
+    static normalise(config = {}, fallbackChannelId = null) {
+        return {
+            fallbackChannelId: config.fallbackChannelId || fallbackChannelId,
+            fallbackMentions: config.fallbackMentions || [],
+            rules: (config.rules || []).map(rule => {
+                const topic = DEFAULT_TOPICS[rule.topic] || {};
+                return {
+                    topic: rule.topic,
+                    label: rule.label || topic.label || rule.topic,
+                    keywords: rule.keywords || topic.keywords || [],
+                    intents: rule.intents || topic.intents || [],
+                    channelId: rule.channelId || null,
+                    mentions: rule.mentions || [],
+                    team: rule.team || null
+                };
+            })
+        };
+    }
+
+    /**
+     * Config problems worth logging at startup (rules that can never match, unknown teams)
+     * @param {Object} config - Routing config
+     * @param {Object} businessHours - The tenant's business hours (for rule teams)
+     * @returns {string[]} - Error messages, empty when the config is valid
+     */
+    static validate(config = {}, businessHours = {}) {
+        const errors = [];
+
+        HandoffRouting.normalise(config).rules.forEach((rule, index) => {
+            const label = `rule ${index + 1} (${rule.topic || 'no topic'})`;
+            if (!rule.topic) {
+                errors.push(`${label}: topic is required`);
+            }
+            if (rule.keywords.length === 0 && rule.intents.length === 0) {
+                errors.push(`${label}: unknown topic - give it keywords or intents`);
+            }
+            if (rule.team && !businessHours.teams?.[rule.team]) {
+                errors.push(`${label}: unknown business hours team "${rule.team}"`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Pick the route for a handoff request
+     * @param {Object} config - Routing config
+     * @param {Object} signals - intent (detectQueryIntent flags for the user's messages), summary, userText
+     * @param {Object} options - fallbackChannelId, businessHours (for rule teams), now
+     * @returns {{topic: string|null, label: string, channelId: string, mentions: string[], matchedBy: string|null, source: string|null}}
+     *   matchedBy is 'intent' or 'keyword'; source is 'conversation' or 'summary'
+     */
+    static route(config = {}, { intent = {}, summary = '', userText = '' } = {}, { fallbackChannelId = null, businessHours = {}, now = new Date() } = {}) {
+        const routing = HandoffRouting.normalise(config, fallbackChannelId);
+
+        for (const rule of routing.rules) {
+            // A team that's off shift can't take the chat - leave it to the next rule or the fallback
+            if (rule.team && !BusinessHours.isOpen(businessHours, now, rule.team)) continue;
+
+            const match = HandoffRouting.match(rule, { intent, summary, userText });
+            if (match) {
+                return {
+                    topic: rule.topic,
+                    label: rule.label,
+                    channelId: rule.channelId || routing.fallbackChannelId,
+                    mentions: rule.mentions,
+                    ...match
+                };
+            }
+        }
+
+        return {
+            topic: null,
+            label: 'General',
+            channelId: routing.fallbackChannelId,
+            mentions: routing.fallbackMentions,
+            matchedBy: null,
+            source: null
+        };
+    }
+
+    /**
+     * How a rule matches the request, or null
+     */
+    static match(rule, { intent, summary, userText }) {
+        if (rule.intents.some(flag => intent[flag])) {
+            return { matchedBy: 'intent', source: 'conversation' };
+        }
+        if (HandoffRouting.matchesKeywords(rule.keywords, userText)) {
+            return { matchedBy: 'keyword', source: 'conversation' };
+        }
+        if (HandoffRouting.matchesKeywords(rule.keywords, summary)) {
+            return { matchedBy: 'keyword', source: 'summary' };
+        }
+        return null;
+    }
+
+    /**
+     * 'SIL' matches the word SIL, 'vacanc*' matches vacancy and vacancies - case-insensitive
+     */
+    static matchesKeywords(keywords, text) {
+        if (!text) return false;
+
+        return keywords.some(keyword => {
+            const prefix = keyword.endsWith('*');
+            const escaped = keyword.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`\\b${escaped}${prefix ? '' : '\\b'}`, 'i').test(text);
+        });
+    }
+
+    /**
+     * Slack mention markup - <!subteam^S...> for user groups, <@U...> for users
+     */
+    static formatMentions(mentions = []) {
+        return mentions.map(id => id.startsWith('S') ? `<!subteam^${id}>` : `<@${id}>`).join(' ');
+    }
+}
+
+module.exports = HandoffRouting;
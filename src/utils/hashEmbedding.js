@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+const DEFAULT_DIMENSIONS = 512;
+
+class HashEmbedding {
+    /**
+     * Deterministic bag-of-words embedding that needs no network access
+     * Words and word pairs are hashed into a fixed number of buckets, so texts sharing
+     * terms score higher under cosine similarity. Only for offline development and CI -
+     * retrieval quality is far below text-embedding-3-small.
+     * @param {string} text - Text to embed
+     * @param {number} dimensions - Vector length (default: 512)
+     * @returns {number[]} - Unit-length vector
+     */
+    static embed(text, dimensions = DEFAULT_DIMENSIONS) {
+        const vector = new Array(dimensions).fill(0);
+        const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+        const terms = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+        terms.forEach(term => {
+            const hash = crypto.createHash('md5').update(term).digest();
+            const bucket = hash.readUInt32BE(0) % dimensions;
+            vector[bucket] += (hash[4] & 1) ? 1 : -1; // Signed hashing keeps collisions from only ever adding up
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm ? vector.map(value => value / norm) : vector;
+    }
+}
+
+module.exports = HashEmbedding;
@@ -0,0 +1,171 @@
+/**
+ * Australian public holiday calendars, calculated from each holiday's rule so they never need a yearly update
+ *
+ * Calendars: national, NSW, VIC, QLD (each state calendar includes the national holidays).
+ * Weekend substitutes ("observed" days) follow the state Holidays Acts. Holidays that are announced
+ * each year or only apply to part of a state - VIC AFL Grand Final Friday, QLD Royal Queensland Show -
+ * are not included and should be added as closures.
+ */
+
+const NATIONAL_RULES = [
+    year => HolidayCalendars.withWeekendSubstitute(`${year}-01-01`, "New Year's Day"),
+    year => HolidayCalendars.withWeekendSubstitute(`${year}-01-26`, 'Australia Day'),
+    year => [{ date: HolidayCalendars.addDays(HolidayCalendars.easterSunday(year), -2), name: 'Good Friday' }],
+    year => [{ date: HolidayCalendars.addDays(HolidayCalendars.easterSunday(year), 1), name: 'Easter Monday' }],
+    year => [{ date: `${year}-04-25`, name: 'Anzac Day' }],
+    year => HolidayCalendars.christmasHolidays(year)
+];
+
+const EASTER_WEEKEND = [
+    year => [{ date: HolidayCalendars.addDays(HolidayCalendars.easterSunday(year), -1), name: 'Easter Saturday' }],
+    year => [{ date: HolidayCalendars.easterSunday(year), name: 'Easter Sunday' }]
+];
+
+const STATE_RULES = {
+    NSW: [
+        ...EASTER_WEEKEND,
+        year => [{ date: HolidayCalendars.nthWeekday(year, 6, 1, 2), name: "King's Birthday" }],
+        year => [{ date: HolidayCalendars.nthWeekday(year, 10, 1, 1), name: 'Labour Day' }]
+    ],
+    VIC: [
+        ...EASTER_WEEKEND,
+        year => [{ date: HolidayCalendars.nthWeekday(year, 3, 1, 2), name: 'Labour Day' }],
+        year => [{ date: HolidayCalendars.nthWeekday(year, 6, 1, 2), name: "King's Birthday" }],
+        year => [{ date: HolidayCalendars.nthWeekday(year, 11, 2, 1), name: 'Melbourne Cup' }]
+    ],
+    QLD: [
+        ...EASTER_WEEKEND,
+        // Anzac Day moves to Monday when it falls on a Sunday (not on a Saturday)
+        year => HolidayCalendars.dayOfWeek(`${year}-04-25`) === 0 ? [{ date: `${year}-04-26`, name: 'Anzac Day (observed)' }] : [],
+        year => [{ date: HolidayCalendars.nthWeekday(year, 5, 1, 1), name: 'Labour Day' }],
+        year => [{ date: HolidayCalendars.nthWeekday(year, 10, 1, 1), name: "King's Birthday" }]
+    ]
+};
+
+class HolidayCalendars {
+    /**
+     * Names of the available calendars
+     * @returns {string[]} - ['national', 'NSW', 'VIC', 'QLD']
+     */
+    static getCalendarNames() {
+        return ['national', ...Object.keys(STATE_RULES)];
+    }
+
+    static isKnownCalendar(calendar) {
+        return HolidayCalendars.getCalendarNames().some(name => name.toLowerCase() === String(calendar).toLowerCase());
+    }
+
+    /**
+     * Public holidays for a calendar and year
+     * @param {string} calendar - 'national', 'NSW', 'VIC' or 'QLD' (case-insensitive)
+     * @param {number} year - Calendar year
+     * @returns {Array<{date: string, name: string}>} - Holidays sorted by date (YYYY-MM-DD)
+     */
+    static getHolidays(calendar, year) {
+        const key = String(calendar).toUpperCase();
+        if (key !== 'NATIONAL' && !STATE_RULES[key]) {
+            throw new Error(`Unknown holiday calendar "${calendar}" - use one of: ${HolidayCalendars.getCalendarNames().join(', ')}`);
+        }
+
+        const rules = key === 'NATIONAL' ? NATIONAL_RULES : [...NATIONAL_RULES, ...STATE_RULES[key]];
+        return rules
+            .flatMap(rule => rule(year))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Holiday on a date across several calendars
+     * @param {string[]} calendars - Calendar names
+     * @param {string} date - Local date (YYYY-MM-DD)
+     * @returns {{date: string, name: string}|null} - The holiday, or null on a normal day
+     */
+    static findHoliday(calendars, date) {
+        const year = parseInt(date.slice(0, 4));
+        for (const calendar of calendars) {
+            const holiday = HolidayCalendars.getHolidays(calendar, year).find(h => h.date === date);
+            if (holiday) return holiday;
+        }
+        return null;
+    }
+
+    /**
+     * Easter Sunday (anonymous Gregorian algorithm)
+     * @returns {string} - YYYY-MM-DD
+     */
+    static easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return HolidayCalendars.formatDate(new Date(Date.UTC(year, month - 1, day)));
+    }
+
+    /**
+     * nth weekday of a month, e.g. the 2nd Monday in June
+     * @param {number} month - 1-12
+     * @param {number} weekday - 0 = Sunday, 1 = Monday, ..., 6 = Saturday
+     * @param {number} n - 1 for the first
+     */
+    static nthWeekday(year, month, weekday, n) {
+        const first = new Date(Date.UTC(year, month - 1, 1));
+        const offset = (weekday - first.getUTCDay() + 7) % 7;
+        return HolidayCalendars.formatDate(new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7)));
+    }
+
+    /**
+     * Holiday plus a Monday substitute when it falls on a weekend
+     */
+    static withWeekendSubstitute(date, name) {
+        const holidays = [{ date, name }];
+        const day = HolidayCalendars.dayOfWeek(date);
+
+        if (day === 6 || day === 0) {
+            holidays.push({ date: HolidayCalendars.addDays(date, day === 6 ? 2 : 1), name: `${name} (observed)` });
+        }
+        return holidays;
+    }
+
+    /**
+     * Christmas and Boxing Day - weekend days move to the 27th and 28th
+     */
+    static christmasHolidays(year) {
+        const christmas = `${year}-12-25`;
+        const boxingDay = `${year}-12-26`;
+        const holidays = [{ date: christmas, name: 'Christmas Day' }, { date: boxingDay, name: 'Boxing Day' }];
+
+        if ([0, 6].includes(HolidayCalendars.dayOfWeek(christmas))) {
+            holidays.push({ date: `${year}-12-27`, name: 'Christmas Day (observed)' });
+        }
+        if ([0, 6].includes(HolidayCalendars.dayOfWeek(boxingDay))) {
+            holidays.push({ date: `${year}-12-28`, name: 'Boxing Day (observed)' });
+        }
+        return holidays;
+    }
+
+    static dayOfWeek(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay();
+    }
+
+    static addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return HolidayCalendars.formatDate(result);
+    }
+
+    static formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = HolidayCalendars;
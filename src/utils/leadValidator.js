@@ -0,0 +1,65 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const AU_PHONE_PATTERN = /^0[2-478]\d{8}$/; // Mobiles (04) and landlines (02, 03, 07, 08)
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M}' .,-]*$/u; // Letters plus apostrophes, hyphens, commas and full stops
+
+class LeadValidator {
+    /**
+     * Normalise an Australian phone number to 10 digits (0412345678)
+     * Accepts spaces, dashes, brackets and the +61/61 country code
+     * @param {string} phone - Phone number as the user typed it
+     * @returns {string} - Digits only, with a leading 0
+     */
+    static normalisePhone(phone) {
+        let digits = String(phone || '').replace(/[\s\-().]/g, '');
+        if (digits.startsWith('+61')) {
+            digits = '0' + digits.slice(3);
+        } else if (digits.startsWith('61') && digits.length === 11) {
+            digits = '0' + digits.slice(2);
+        }
+        return digits;
+    }
+
+    static isValidEmail(email) {
+        const value = String(email || '').trim();
+        return value.length <= 254 && EMAIL_PATTERN.test(value);
+    }
+
+    /**
+     * Validate a lead object from the capture_lead tool call
+     * @param {Object} data - { firstName, lastName, email, phone }
+     * @returns {{valid: boolean, lead: Object|null, errors: string[]}} - Normalised lead when valid
+     */
+    static validate(data = {}) {
+        const errors = [];
+
+        const firstName = String(data.firstName || '').trim();
+        const lastName = String(data.lastName || '').trim();
+        const email = String(data.email || '').trim().toLowerCase();
+        const phone = LeadValidator.normalisePhone(data.phone);
+
+        if (!firstName || firstName.length > 100 || !NAME_PATTERN.test(firstName)) {
+            errors.push('firstName is missing or not a valid name');
+        }
+        if (!lastName || lastName.length > 100 || !NAME_PATTERN.test(lastName)) {
+            errors.push('lastName is missing or not a valid name');
+        }
+        if (!LeadValidator.isValidEmail(email)) {
+            errors.push('email is not a valid email address');
+        }
+        if (!AU_PHONE_PATTERN.test(phone)) {
+            errors.push('phone is not a valid Australian phone number (10 digits, e.g. 0412345678)');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, lead: null, errors };
+        }
+
+        return {
+            valid: true,
+            lead: { firstName, lastName, email, phone },
+            errors
+        };
+    }
+}
+
+module.exports = LeadValidator;
@@ -0,0 +1,59 @@
+// Same pattern the widget uses to turn URLs in a reply into links
+const URL_PATTERN = /(https?:\/\/[^\s]+)/g;
+
+class LinkUtils {
+    /**
+     * URLs in a message, exactly as the widget renders them as links
+     * @param {string} text - Message text
+     * @returns {Array<string>} - Unique URLs in order of appearance
+     */
+    static extractUrls(text) {
+        return [...new Set(String(text || '').match(URL_PATTERN) || [])];
+    }
+
+    /**
+     * Drop sentence punctuation and markdown the pattern picks up after a URL
+     */
+    static trim(url) {
+        return String(url || '').replace(/[).,;:!?'"*\]]+$/, '');
+    }
+
+    /**
+     * Compare URLs without trailing punctuation, markdown, a trailing slash or the fragment
+     */
+    static normalise(url) {
+        return LinkUtils.trim(url)
+            .replace(/#.*$/, '')
+            .replace(/\/$/, '')
+            .toLowerCase();
+    }
+
+    /**
+     * The links in a bot reply with the knowledge base documents that supplied each URL
+     * @param {string} text - Bot reply
+     * @param {Array<{url: string, docIds: Array<string>}>} sources - searchResult.sources
+     * @returns {Array<{url: string, docIds: Array<string>}>} - docIds is empty for URLs not from the knowledge base
+     */
+    static linksWithSources(text, sources = []) {
+        const docIdsByUrl = new Map();
+        for (const source of sources || []) {
+            const key = LinkUtils.normalise(source.url);
+            docIdsByUrl.set(key, [...new Set([...(docIdsByUrl.get(key) || []), ...source.docIds])]);
+        }
+
+        return LinkUtils.extractUrls(text).map(url => ({
+            url: LinkUtils.trim(url),
+            docIds: docIdsByUrl.get(LinkUtils.normalise(url)) || []
+        }));
+    }
+
+    /**
+     * Find a clicked URL among a message's links
+     */
+    static findLink(links = [], url) {
+        const key = LinkUtils.normalise(url);
+        return links.find(link => LinkUtils.normalise(link.url) === key) || null;
+    }
+}
+
+module.exports = LinkUtils;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v0';
+const MAX_REQUEST_AGE_SECONDS = 5 * 60; // Slack recommends rejecting requests older than 5 minutes
+
+class SlackSignature {
+    /**
+     * express.json/urlencoded `verify` hook - keeps the raw body of Slack requests for signature checks
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Buffer} buf - Raw request body
+     */
+    static captureRawBody(req, res, buf) {
+        if (req.originalUrl && req.originalUrl.startsWith('/slack')) {
+            req.rawBody = buf;
+        }
+    }
+
+    /**
+     * Check a Slack request signature against the signing secret
+     * @param {Buffer|string} rawBody - Raw request body exactly as Slack sent it
+     * @param {string} timestamp - X-Slack-Request-Timestamp header
+     * @param {string} signature - X-Slack-Signature header
+     * @param {string} signingSecret - Slack app signing secret
+     * @returns {boolean} - True if the signature matches and the request is recent
+     */
+    static isValid(rawBody, timestamp, signature, signingSecret) {
+        if (!rawBody || !timestamp || !signature || !signingSecret) {
+            return false;
+        }
+
+        // Replay protection - reject stale (or far future) timestamps
+        const requestAge = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+        if (isNaN(requestAge) || requestAge > MAX_REQUEST_AGE_SECONDS) {
+            return false;
+        }
+
+        const baseString = `${SIGNATURE_VERSION}:${timestamp}:${rawBody.toString('utf8')}`;
+        const expected = `${SIGNATURE_VERSION}=` + crypto
+            .createHmac('sha256', signingSecret)
+            .update(baseString)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected, 'utf8');
+        const signatureBuffer = Buffer.from(signature, 'utf8');
+
+        return expectedBuffer.length === signatureBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+
+    /**
+     * Express middleware - rejects requests that are not signed by Slack
+     */
+    static verifyRequest(req, res, next) {
+        const signingSecret = process.env.SLACK_SIGNING_SECRET;
+
+        if (!signingSecret) {
+            console.error('❌ SLACK_SIGNING_SECRET not set - rejecting Slack request');
+            return res.status(401).json({ status: 'invalid_signature' });
+        }
+
+        const timestamp = req.headers['x-slack-request-timestamp'];
+        const signature = req.headers['x-slack-signature'];
+
+        if (!SlackSignature.isValid(req.rawBody, timestamp, signature, signingSecret)) {
+            console.warn(`🚫 Rejected Slack request with invalid or expired signature from ${req.ip}`);
+            return res.status(401).json({ status: 'invalid_signature' });
+        }
+
+        next();
+    }
+}
+
+module.exports = SlackSignature;
@@ -0,0 +1,60 @@
+// {{firstName}} or {{firstName|there}} - the text after | is used when the value isn't known
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Variables a snippet can use, with where each value comes from
+const VARIABLES = {
+    firstName: "The user's first name from their captured lead",
+    lastName: "The user's last name from their captured lead",
+    agentName: 'The agent sending the snippet',
+    tenantName: "The provider's name"
+};
+
+class SnippetTemplate {
+    /**
+     * Fill in a snippet's variables
+     * @param {string} text - Snippet text
+     * @param {Object} values - Variable values - empty values count as unknown
+     * @returns {{text: string, missing: Array<string>}} - missing lists variables left out because they had no value or default
+     */
+    static render(text, values = {}) {
+        const missing = new Set();
+
+        const rendered = String(text || '').replace(VARIABLE_PATTERN, (placeholder, name, fallback) => {
+            const value = values[name];
+            if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+            if (fallback !== undefined) return fallback;
+
+            missing.add(name);
+            return '';
+        });
+
+        return {
+            // "Hi {{firstName}}, ..." without a name reads "Hi, ..." rather than "Hi , ..."
+            text: missing.size > 0 ? rendered.replace(/[ \t]+([,.!?;:])/g, '$1').replace(/[ \t]{2,}/g, ' ').trim() : rendered,
+            missing: [...missing]
+        };
+    }
+
+    /**
+     * Variable names used in a snippet, in order of first use
+     */
+    static variablesIn(text) {
+        return [...new Set([...String(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+    }
+
+    /**
+     * Variables in a snippet that render can never fill in
+     */
+    static unknownVariables(text) {
+        return SnippetTemplate.variablesIn(text).filter(name => !VARIABLES[name]);
+    }
+
+    /**
+     * Variables snippets can use - { name: description }
+     */
+    static getVariables() {
+        return { ...VARIABLES };
+    }
+}
+
+module.exports = SnippetTemplate;
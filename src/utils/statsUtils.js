@@ -0,0 +1,26 @@
+class StatsUtils {
+    /**
+     * Nearest-rank percentile
+     * @param {Array<number>} values - Unsorted values
+     * @param {number} p - Percentile (0-100)
+     * @returns {number|null} - null for no values
+     */
+    static percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+    }
+
+    static median(values) {
+        return StatsUtils.percentile(values, 50);
+    }
+
+    /**
+     * count as a percentage of total, to one decimal place - null when total is 0
+     */
+    static rate(count, total) {
+        return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+    }
+}
+
+module.exports = StatsUtils;
@@ -1,5 +1,5 @@
 const { format, parseISO } = require('date-fns');
-const { toZonedTime, formatInTimeZone } = require('date-fns-tz');
+const { toZonedTime, fromZonedTime, formatInTimeZone } = require('date-fns-tz');
 
 const AEST_TIMEZONE = 'Australia/Sydney';
 
@@ -14,6 +14,26 @@ class TimezoneUtils {
         return toZonedTime(new Date(), AEST_TIMEZONE);
     }
 
+    /**
+     * Convert an instant (e.g. a client timestamp) to AEST for storing alongside nowInAEST() values
+     * @param {Date|string} date - Real instant
+     * @returns {Date} - Time in AEST
+     */
+    static toAEST(date) {
+        const dateObj = typeof date === 'string' ? parseISO(date) : date;
+        return toZonedTime(dateObj, AEST_TIMEZONE);
+    }
+
+    /**
+     * Convert a stored AEST timestamp back to the real instant (e.g. to check business hours)
+     * @param {Date|string} timestamp - Database timestamp (AEST)
+     * @returns {Date} - Real instant
+     */
+    static fromAEST(timestamp) {
+        const dateObj = typeof timestamp === 'string' ? parseISO(timestamp) : timestamp;
+        return fromZonedTime(dateObj, AEST_TIMEZONE);
+    }
+
     /**
      * Format a date in AEST timezone
      * @param {Date|string} date - Date to format
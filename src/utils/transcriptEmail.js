@@ -0,0 +1,101 @@
+const { format } = require('date-fns');
+
+const SENDER_LABELS = {
+    user: 'You',
+    bot: 'Assistant',
+    human: 'Support Specialist'
+};
+const BRAND_COLOUR = '#11B3B1';
+
+class TranscriptEmail {
+    /**
+     * Build the transcript email for a chat
+     * Only user, bot and agent messages are included - system entries (handoff events, timeouts) are internal
+     * @param {Object} tenant - Tenant config (name, branding)
+     * @param {Array<Object>} messages - ChatLog rows in conversation order
+     * @returns {{subject: string, html: string, text: string, messageCount: number}}
+     */
+    static build(tenant, messages) {
+        const visible = messages.filter(message => SENDER_LABELS[message.messageType]);
+        const name = tenant.name || 'Achora';
+        const chatDate = visible.length > 0 ? format(new Date(visible[0].timestamp), 'd MMMM yyyy') : format(new Date(), 'd MMMM yyyy');
+
+        return {
+            subject: `Your chat with ${name} - ${chatDate}`,
+            html: TranscriptEmail.renderHtml(tenant, visible, chatDate),
+            text: TranscriptEmail.renderText(tenant, visible, chatDate),
+            messageCount: visible.length
+        };
+    }
+
+    static senderLabel(message) {
+        if (message.messageType === 'human' && message.metadata?.agentName) {
+            return message.metadata.agentName;
+        }
+        return SENDER_LABELS[message.messageType];
+    }
+
+    static renderHtml(tenant, messages, chatDate) {
+        const name = TranscriptEmail.escapeHtml(tenant.name || 'Achora');
+        const logo = tenant.branding?.logoUrl ?
+            `<img src="${TranscriptEmail.escapeHtml(tenant.branding.logoUrl)}" alt="${name}" style="max-height:48px; margin-bottom:12px;">` : '';
+
+        const rows = messages.map(message => {
+            const isUser = message.messageType === 'user';
+            return `
+            <tr><td style="padding:8px 0;">
+                <div style="font-size:12px; color:#6b7280; margin-bottom:4px;">${TranscriptEmail.escapeHtml(TranscriptEmail.senderLabel(message))} · ${format(new Date(message.timestamp), 'h:mm a')}</div>
+                <div style="background:${isUser ? BRAND_COLOUR : '#f3f4f6'}; color:${isUser ? '#ffffff' : '#111827'}; padding:10px 14px; border-radius:12px; font-size:14px; line-height:1.5;">${TranscriptEmail.formatMessage(message.message, isUser)}</div>
+            </td></tr>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<body style="margin:0; padding:0; background:#f9fafb; font-family:Arial, Helvetica, sans-serif;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background:#f9fafb; padding:24px 0;">
+        <tr><td align="center">
+            <table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff; border-radius:12px; padding:24px; max-width:600px;">
+                <tr><td style="border-bottom:3px solid ${BRAND_COLOUR}; padding-bottom:16px;">
+                    ${logo}
+                    <h1 style="margin:0; font-size:20px; color:#111827;">Your chat with ${name}</h1>
+                    <p style="margin:4px 0 0; font-size:13px; color:#6b7280;">${chatDate}</p>
+                </td></tr>
+                ${rows}
+                <tr><td style="padding-top:16px; border-top:1px solid #e5e7eb; font-size:12px; color:#6b7280;">
+                    You asked for a copy of this conversation. If you have more questions, just open the chat on our website again.
+                </td></tr>
+            </table>
+        </td></tr>
+    </table>
+</body>
+</html>`;
+    }
+
+    static renderText(tenant, messages, chatDate) {
+        const lines = messages.map(message =>
+            `[${format(new Date(message.timestamp), 'h:mm a')}] ${TranscriptEmail.senderLabel(message)}: ${message.message}`);
+
+        return `Your chat with ${tenant.name || 'Achora'} - ${chatDate}\n\n${lines.join('\n\n')}\n`;
+    }
+
+    /**
+     * Escape a message and turn URLs and line breaks into HTML
+     */
+    static formatMessage(text, isUser) {
+        return TranscriptEmail.escapeHtml(text)
+            .replace(/(https?:\/\/[^\s<]+)/g, `<a href="$1" style="color:${isUser ? '#ffffff' : BRAND_COLOUR};">$1</a>`)
+            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\n/g, '<br>');
+    }
+
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = TranscriptEmail;
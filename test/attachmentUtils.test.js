@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AttachmentUtils = require('../src/utils/attachmentUtils');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+const PDF = Buffer.from('%PDF-1.7\n...');
+
+/**
+ * Set env vars for one test
+ */
+function useEnv(t, values) {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    Object.assign(process.env, values);
+    t.after(() => {
+        for (const [key, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+}
+
+test('uploads must be an allowed type whose content matches', (t) => {
+    useEnv(t, { ATTACHMENT_MAX_BYTES: '16' });
+
+    const cases = [
+        [PNG, 'image/png', null],
+        [PDF, 'application/pdf', null],
+        [PDF, 'image/png', "The file doesn't look like the type it claims to be"],
+        [Buffer.from('MZ\x90\x00'), 'application/x-msdownload', 'Only images (JPG, PNG, GIF, WebP) and PDFs can be shared'],
+        [Buffer.alloc(0), 'image/png', 'The file is empty'],
+        ['not a buffer', 'image/png', 'The file is empty'],
+        [Buffer.concat([PNG, Buffer.alloc(10)]), 'image/png', 'Files can be up to 16 B']
+    ];
+
+    for (const [buffer, mimetype, error] of cases) {
+        assert.strictEqual(AttachmentUtils.validate(buffer, mimetype), error, `${mimetype} (${buffer.length} bytes)`);
+    }
+});
+
+test('download links only work for their file and session until they expire', (t) => {
+    useEnv(t, { ATTACHMENT_LINK_SECRET: 'link-secret' });
+
+    const link = new URL(AttachmentUtils.createDownloadLink('F0123', 'session-1'), 'https://chat.example');
+    const { sessionId, expires, signature } = Object.fromEntries(link.searchParams);
+    assert.strictEqual(link.pathname, '/chat/attachments/F0123');
+
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0123', sessionId, expires, signature), true);
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0456', sessionId, expires, signature), false, 'another file');
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0123', 'session-2', expires, signature), false, 'another session');
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0123', sessionId, String(Number(expires) + 1), signature), false, 'extended expiry');
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0123', sessionId, expires, signature.slice(1)), false, 'bad signature');
+
+    const old = Date.now() - 8 * 24 * 60 * 60 * 1000;
+    const expired = new URL(AttachmentUtils.createDownloadLink('F0123', 'session-1', old), 'https://chat.example').searchParams;
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0123', 'session-1', expired.get('expires'), expired.get('signature')), false, 'expired');
+});
+
+test('no secret means no download links', (t) => {
+    useEnv(t, { ATTACHMENT_LINK_SECRET: '', SLACK_SIGNING_SECRET: '' });
+    assert.strictEqual(AttachmentUtils.createDownloadLink('F0123', 'session-1'), null);
+    assert.strictEqual(AttachmentUtils.isValidDownloadLink('F0123', 'session-1', String(Date.now() + 1000), 'abc'), false);
+});
+
+test('file names are made safe to show and keep the right extension', () => {
+    const cases = [
+        ['plan.pdf', 'application/pdf', 'plan.pdf'],
+        ['My%20Plan%202026.pdf', 'application/pdf', 'My Plan 2026.pdf'],
+        ['../../etc/passwd', 'application/pdf', 'passwd.pdf'],
+        ['C:\\Users\\jane\\photo.JPEG', 'image/jpeg', 'photo.JPEG'],
+        ['<script>"x".png', 'image/png', 'scriptx.png'],
+        ['invoice.exe', 'application/pdf', 'invoice.exe.pdf'],
+        ['.hidden', 'image/png', 'attachment.hidden.png'],
+        ['', 'image/gif', 'attachment.gif'],
+        ['100%.png', 'image/png', '100%.png'] // Not URI-encoded - used as sent
+    ];
+
+    for (const [name, mimetype, cleaned] of cases) {
+        assert.strictEqual(AttachmentUtils.cleanFileName(name, mimetype), cleaned, name);
+    }
+    assert.strictEqual(AttachmentUtils.cleanFileName(`${'a'.repeat(150)}.pdf`, 'application/pdf').length, 104);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const BusinessHours = require('../src/utils/businessHours');
+
+const SYDNEY = { timezone: 'Australia/Sydney', holidayCalendars: ['NSW'] };
+const BRISBANE = { timezone: 'Australia/Brisbane', holidayCalendars: ['QLD'] };
+
+test('status during and outside business hours', () => {
+    const cases = [
+        // [config, now, open, reason, nextChange]
+        [SYDNEY, '2026-10-20T00:00:00Z', true, 'open', '2026-10-20T06:00:00.000Z'], // Tuesday 11 AM AEDT
+        [SYDNEY, '2026-10-20T07:00:00Z', false, 'outside_hours', '2026-10-20T22:00:00.000Z'], // Tuesday 6 PM
+        [SYDNEY, '2026-10-24T00:00:00Z', false, 'outside_hours', '2026-10-25T22:00:00.000Z'] // Saturday
+    ];
+
+    for (const [config, now, open, reason, nextChange] of cases) {
+        const status = BusinessHours.getStatus(config, new Date(now));
+        assert.deepStrictEqual([status.open, status.reason, status.nextChange], [open, reason, nextChange], now);
+    }
+});
+
+test('holidays and closures keep the team closed', () => {
+    const christmas = BusinessHours.getStatus(SYDNEY, new Date('2026-12-24T23:00:00Z')); // Friday 10 AM AEDT
+    assert.strictEqual(christmas.reason, 'holiday');
+    assert.strictEqual(christmas.closureName, 'Christmas Day');
+    assert.strictEqual(christmas.nextChange, '2026-12-28T22:00:00.000Z'); // Boxing Day is observed on Monday 28th
+
+    const anzac = BusinessHours.getStatus(BRISBANE, new Date('2027-04-26T00:00:00Z')); // Monday 10 AM AEST
+    assert.strictEqual(anzac.reason, 'holiday');
+    assert.strictEqual(anzac.closureName, 'Anzac Day (observed)');
+
+    const shutdown = BusinessHours.getStatus(
+        { ...SYDNEY, closures: [{ from: '2026-12-29', to: '2026-12-31', name: 'Christmas shutdown' }] },
+        new Date('2026-12-29T23:00:00Z'));
+    assert.strictEqual(shutdown.reason, 'closure');
+    assert.strictEqual(shutdown.closureName, 'Christmas shutdown');
+    assert.strictEqual(shutdown.nextChange, '2027-01-03T22:00:00.000Z'); // Past New Year's Day to Monday 4 January
+});
+
+test('next opening across daylight saving changes', () => {
+    const cases = [
+        // DST starts Sunday 4 October 2026 - Friday 6 PM AEST, Monday is Labour Day, opens Tuesday 9 AM AEDT
+        [SYDNEY, '2026-10-02T08:00:00Z', '2026-10-05T22:00:00.000Z'],
+        // DST ends Sunday 5 April 2025 - Friday 6 PM AEDT, opens Monday 9 AM AEST
+        [SYDNEY, '2025-04-04T07:00:00Z', '2025-04-06T23:00:00.000Z'],
+        // Queensland has no daylight saving
+        [BRISBANE, '2026-10-02T08:00:00Z', '2026-10-05T23:00:00.000Z']
+    ];
+
+    for (const [config, now, nextChange] of cases) {
+        assert.strictEqual(BusinessHours.getStatus(config, new Date(now)).nextChange, nextChange, now);
+    }
+});
+
+test('start of day follows the timezone offset on the day', () => {
+    const cases = [
+        [SYDNEY, '2026-10-04T12:00:00Z', '2026-10-03T14:00:00.000Z'], // DST started at 2 AM, midnight was AEST
+        [SYDNEY, '2026-10-05T12:00:00Z', '2026-10-04T13:00:00.000Z'],
+        [SYDNEY, '2026-10-18T13:30:00Z', '2026-10-18T13:00:00.000Z'], // 12:30 AM Monday
+        [BRISBANE, '2026-10-18T13:30:00Z', '2026-10-17T14:00:00.000Z'] // 11:30 PM Sunday
+    ];
+
+    for (const [config, now, midnight] of cases) {
+        assert.strictEqual(BusinessHours.startOfDay(config, new Date(now)), midnight, now);
+    }
+});
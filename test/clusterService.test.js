@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const clusterService = require('../src/services/clusterService');
+const redisService = require('../src/services/redisService');
+
+/**
+ * A Socket.IO server stand-in that records emits, split into cluster-wide and local-only
+ */
+function fakeIo() {
+    const emitted = [];
+    const room = (scope) => ({ to: (sessionId) => ({ emit: (event, payload) => emitted.push({ scope, sessionId, event, payload }) }) });
+    return { emitted, ...room('cluster'), local: room('local') };
+}
+
+test('agent messages are published for every instance to deliver locally', async (t) => {
+    const io = fakeIo();
+    const published = [];
+    t.mock.method(redisService, 'publish', async (channel, message) => {
+        published.push({ channel, message });
+        return true;
+    });
+    Object.assign(clusterService, { subscribed: true, io });
+    t.after(() => Object.assign(clusterService, { subscribed: false, io: null }));
+
+    await clusterService.emitToSession('session-1', 'agent_message', { message: 'Hi there' });
+
+    assert.deepStrictEqual(published, [{
+        channel: 'achora:agent_messages',
+        message: { sessionId: 'session-1', event: 'agent_message', payload: { message: 'Hi there' } }
+    }]);
+    assert.deepStrictEqual(io.emitted, [], 'nothing is emitted until the message comes back from Redis');
+
+    clusterService.emitLocally(published[0].message);
+    assert.deepStrictEqual(io.emitted, [{ scope: 'local', sessionId: 'session-1', event: 'agent_message', payload: { message: 'Hi there' } }]);
+});
+
+test('without Redis routing agent messages are emitted directly', async (t) => {
+    const io = fakeIo();
+    const previousIo = global.io;
+    global.io = io;
+    t.after(() => { global.io = previousIo; });
+    t.mock.method(redisService, 'publish', async () => false);
+
+    await clusterService.emitToSession('session-1', 'agent_message', { message: 'Hi there' });
+
+    assert.strictEqual(redisService.publish.mock.callCount(), 0);
+    assert.deepStrictEqual(io.emitted.map(emit => [emit.scope, emit.sessionId]), [['cluster', 'session-1']]);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CsvUtils = require('../src/utils/csvUtils');
+
+test('values that spreadsheets would run as formulas are escaped', () => {
+    const cases = {
+        '=HYPERLINK("http://evil.example","click")': '"\'=HYPERLINK(""http://evil.example"",""click"")"',
+        '+61412345678': "'+61412345678",
+        '-2+3': "'-2+3",
+        '@SUM(A1:A2)': "'@SUM(A1:A2)",
+        'Jane = carer': 'Jane = carer' // Only a leading character starts a formula
+    };
+
+    for (const [value, escaped] of Object.entries(cases)) {
+        assert.strictEqual(CsvUtils.escape(value), escaped, value);
+    }
+});
+
+test('quotes, commas and line breaks are quoted', () => {
+    assert.strictEqual(CsvUtils.escape('Smith, Jane'), '"Smith, Jane"');
+    assert.strictEqual(CsvUtils.escape('She said "hi"'), '"She said ""hi"""');
+    assert.strictEqual(CsvUtils.escape('line one\nline two'), '"line one\nline two"');
+    assert.strictEqual(CsvUtils.escape(null), '');
+    assert.strictEqual(CsvUtils.escape(new Date('2026-10-19T00:00:00Z')), '2026-10-19T00:00:00.000Z');
+});
+
+test('rows are written in column order with a header', () => {
+    const csv = CsvUtils.toCsv(
+        [{ name: 'Jane', phone: '+61412345678', email: 'jane@example.com' }, { name: 'Sam' }],
+        [{ key: 'name', header: 'Name' }, { key: 'phone', header: 'Phone' }]
+    );
+    assert.strictEqual(csv, "Name,Phone\r\nJane,'+61412345678\r\nSam,\r\n");
+});
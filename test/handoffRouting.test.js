@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HandoffRouting = require('../src/utils/handoffRouting');
+
+const CONFIG = {
+    fallbackMentions: ['S0GENERAL'],
+    rules: [
+        { topic: 'complaints', channelId: 'C0QUALITY', mentions: ['S0QUALITY'] },
+        { topic: 'vacancies', mentions: ['U0INTAKE1'], team: 'intake' },
+        { topic: 'ndia_reviews', label: 'NDIA reviews', keywords: ['review*', 'appeal*'], intents: ['isProcess'] }
+    ]
+};
+
+// Intake works 7 AM to 3 PM, the rest of the business 9 to 5 (Sydney)
+const BUSINESS_HOURS = { timezone: 'Australia/Sydney', holidayCalendars: ['NSW'], teams: { intake: { start: 7, end: 15 } } };
+const TUESDAY_10AM = new Date('2026-10-19T23:00:00Z');
+const TUESDAY_4PM = new Date('2026-10-20T05:00:00Z');
+
+const route = (signals, now = TUESDAY_10AM) =>
+    HandoffRouting.route(CONFIG, signals, { fallbackChannelId: 'C0DEFAULT', businessHours: BUSINESS_HOURS, now });
+
+test('keywords match whole words and prefixes, case-insensitively', () => {
+    const cases = [
+        [['SIL'], 'Do you have SIL homes?', true],
+        [['SIL'], 'I am silly', false],
+        [['vacanc*'], 'Any vacancies in Penrith?', true],
+        [['plan manag*'], 'Who does Plan Management?', true],
+        [['self-manag*'], 'I self-manage my plan', true],
+        [['review*'], '', false]
+    ];
+
+    for (const [keywords, text, matches] of cases) {
+        assert.strictEqual(HandoffRouting.matchesKeywords(keywords, text), matches, text);
+    }
+});
+
+test('the first matching rule picks the channel and mentions', () => {
+    const complaint = route({ userText: "I'm not happy with my support worker and want to complain", intent: { isVacancy: true } });
+    assert.deepStrictEqual(complaint, {
+        topic: 'complaints', label: 'Complaints', channelId: 'C0QUALITY', mentions: ['S0QUALITY'], matchedBy: 'keyword', source: 'conversation'
+    });
+
+    const vacancy = route({ intent: { isVacancy: true } });
+    assert.deepStrictEqual([vacancy.topic, vacancy.channelId, vacancy.matchedBy], ['vacancies', 'C0DEFAULT', 'intent']);
+
+    const review = route({ summary: 'User wants to appeal an NDIA decision' });
+    assert.deepStrictEqual([review.topic, review.label, review.matchedBy, review.source], ['ndia_reviews', 'NDIA reviews', 'keyword', 'summary']);
+});
+
+test('a rule whose team is off shift falls through to the next rule or the fallback', () => {
+    assert.strictEqual(route({ userText: 'SIL vacancies?' }, TUESDAY_10AM).topic, 'vacancies');
+    assert.deepStrictEqual(route({ userText: 'SIL vacancies?' }, TUESDAY_4PM), {
+        topic: null, label: 'General', channelId: 'C0DEFAULT', mentions: ['S0GENERAL'], matchedBy: null, source: null
+    });
+});
+
+test('config problems are reported', () => {
+    const errors = HandoffRouting.validate({
+        rules: [
+            { topic: 'complaints' },
+            { topic: 'ndia_reviews' },
+            { keywords: ['billing'] },
+            { topic: 'vacancies', team: 'night_shift' }
+        ]
+    }, BUSINESS_HOURS);
+
+    assert.deepStrictEqual(errors, [
+        'rule 2 (ndia_reviews): unknown topic - give it keywords or intents',
+        'rule 3 (no topic): topic is required',
+        'rule 4 (vacancies): unknown business hours team "night_shift"'
+    ]);
+    assert.deepStrictEqual(HandoffRouting.validate(CONFIG, BUSINESS_HOURS), []);
+});
+
+test('mentions use Slack user group and user markup', () => {
+    assert.strictEqual(HandoffRouting.formatMentions(['S0QUALITY', 'U0INTAKE1']), '<!subteam^S0QUALITY> <@U0INTAKE1>');
+});
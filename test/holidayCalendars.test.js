@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const HolidayCalendars = require('../src/utils/holidayCalendars');
+
+const holidayName = (calendar, date) => HolidayCalendars.findHoliday([calendar], date)?.name || null;
+
+test('Easter Sunday', () => {
+    const cases = {
+        2024: '2024-03-31',
+        2025: '2025-04-20',
+        2026: '2026-04-05',
+        2027: '2027-03-28',
+        2038: '2038-04-25'
+    };
+
+    for (const [year, date] of Object.entries(cases)) {
+        assert.strictEqual(HolidayCalendars.easterSunday(Number(year)), date, `Easter ${year}`);
+    }
+});
+
+test('Easter weekend holidays', () => {
+    const cases = [
+        ['national', '2026-04-03', 'Good Friday'],
+        ['national', '2026-04-04', null],
+        ['NSW', '2026-04-04', 'Easter Saturday'],
+        ['VIC', '2026-04-05', 'Easter Sunday'],
+        ['QLD', '2026-04-06', 'Easter Monday']
+    ];
+
+    for (const [calendar, date, name] of cases) {
+        assert.strictEqual(holidayName(calendar, date), name, `${calendar} ${date}`);
+    }
+});
+
+test('weekend holidays move to the next weekday', () => {
+    const cases = [
+        ['national', '2022-01-03', "New Year's Day (observed)"], // Saturday 1 January
+        ['national', '2025-01-27', 'Australia Day (observed)'], // Sunday 26 January
+        ['national', '2021-12-27', 'Christmas Day (observed)'], // Christmas on Saturday, Boxing Day on Sunday
+        ['national', '2021-12-28', 'Boxing Day (observed)'],
+        ['national', '2022-12-26', 'Boxing Day'], // Christmas on Sunday
+        ['national', '2022-12-27', 'Christmas Day (observed)'],
+        ['national', '2026-12-28', 'Boxing Day (observed)'] // Boxing Day on Saturday
+    ];
+
+    for (const [calendar, date, name] of cases) {
+        assert.strictEqual(holidayName(calendar, date), name, `${calendar} ${date}`);
+    }
+});
+
+test('Anzac Day on a Sunday is observed on Monday in QLD only', () => {
+    const cases = [
+        ['QLD', '2027-04-26', 'Anzac Day (observed)'], // Sunday 25 April
+        ['NSW', '2027-04-26', null],
+        ['VIC', '2027-04-26', null],
+        ['national', '2027-04-26', null],
+        ['QLD', '2026-04-27', null], // Saturday 25 April - no substitute
+        ['QLD', '2026-04-25', 'Anzac Day']
+    ];
+
+    for (const [calendar, date, name] of cases) {
+        assert.strictEqual(holidayName(calendar, date), name, `${calendar} ${date}`);
+    }
+});
+
+test('state Monday and Tuesday holidays', () => {
+    const cases = [
+        ['NSW', '2026-06-08', "King's Birthday"],
+        ['NSW', '2026-10-05', 'Labour Day'],
+        ['VIC', '2026-03-09', 'Labour Day'],
+        ['VIC', '2026-11-03', 'Melbourne Cup'],
+        ['QLD', '2026-05-04', 'Labour Day'],
+        ['QLD', '2026-10-05', "King's Birthday"]
+    ];
+
+    for (const [calendar, date, name] of cases) {
+        assert.strictEqual(holidayName(calendar, date), name, `${calendar} ${date}`);
+    }
+});
+
+test('unknown calendars are rejected', () => {
+    assert.throws(() => HolidayCalendars.getHolidays('WA', 2026), /Unknown holiday calendar "WA"/);
+});
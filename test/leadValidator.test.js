@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LeadValidator = require('../src/utils/leadValidator');
+
+const LEAD = { firstName: 'Jane', lastName: "O'Brien", email: 'Jane.OBrien@Example.com ', phone: '0412 345 678' };
+
+test('Australian phone numbers are normalised to 10 digits', () => {
+    const cases = {
+        '0412 345 678': '0412345678',
+        '+61 412 345 678': '0412345678',
+        '61412345678': '0412345678',
+        '(02) 9876-5432': '0298765432'
+    };
+
+    for (const [phone, normalised] of Object.entries(cases)) {
+        assert.strictEqual(LeadValidator.normalisePhone(phone), normalised, phone);
+    }
+});
+
+test('a valid lead is normalised', () => {
+    assert.deepStrictEqual(LeadValidator.validate(LEAD), {
+        valid: true,
+        lead: { firstName: 'Jane', lastName: "O'Brien", email: 'jane.obrien@example.com', phone: '0412345678' },
+        errors: []
+    });
+    assert.strictEqual(LeadValidator.validate({ ...LEAD, phone: '+61 3 9123 4567' }).lead.phone, '0391234567');
+});
+
+test('invalid emails are rejected', () => {
+    for (const email of ['jane', 'jane@example', 'jane@@example.com', 'jane doe@example.com', `${'a'.repeat(250)}@example.com`, '']) {
+        assert.strictEqual(LeadValidator.isValidEmail(email), false, email);
+
+        const result = LeadValidator.validate({ ...LEAD, email });
+        assert.strictEqual(result.valid, false, email);
+        assert.deepStrictEqual(result.errors, ['email is not a valid email address'], email);
+    }
+});
+
+test('invalid phone numbers and names are rejected', () => {
+    for (const phone of ['0512345678', '041234567', '+1 415 555 0100', '1300 123 456']) {
+        assert.deepStrictEqual(LeadValidator.validate({ ...LEAD, phone }).errors,
+            ['phone is not a valid Australian phone number (10 digits, e.g. 0412345678)'], phone);
+    }
+
+    const result = LeadValidator.validate({ ...LEAD, firstName: '', lastName: 'Smith123' });
+    assert.deepStrictEqual(result.errors, ['firstName is missing or not a valid name', 'lastName is missing or not a valid name']);
+    assert.strictEqual(result.lead, null);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalVectorStore = require('../src/services/vectorStores/LocalVectorStore');
+const HashEmbedding = require('../src/utils/hashEmbedding');
+
+const DOCUMENTS = [
+    { id: 'sil_vacancies_chunk0', text: 'SIL vacancies in Parramatta and Penrith - shared homes with 24/7 support workers', metadata: { content_type: 'vacancy', priority: 'high' } },
+    { id: 'sil_pricing_chunk0', text: 'SIL pricing follows the NDIS price guide - hourly rates for weekday, evening and weekend support', metadata: { content_type: 'pricing', priority: 'high' } },
+    { id: 'eligibility_chunk0', text: 'To be eligible for the NDIS you must be under 65 and have a permanent disability', metadata: { content_type: 'eligibility', priority: 'medium', categories: ['ndis', 'access'] } },
+    { id: 'benefits_chunk0', text: 'Staff benefits include salary packaging, paid training and flexible rosters', metadata: { content_type: 'benefits', priority: 'low' } }
+];
+
+async function buildIndex(store = new LocalVectorStore()) {
+    const index = store.index('achora-kb');
+    await index.upsert(DOCUMENTS.map(doc => ({ id: doc.id, values: HashEmbedding.embed(doc.text), metadata: doc.metadata })));
+    return index;
+}
+
+const search = async (index, question, options = {}) =>
+    (await index.query({ vector: HashEmbedding.embed(question), topK: 2, includeMetadata: true, ...options })).matches;
+
+test('retrieves the document that answers the question', async () => {
+    const index = await buildIndex();
+    const cases = {
+        'Do you have any SIL vacancies in Penrith?': 'sil_vacancies_chunk0',
+        'What are your weekend rates for SIL support?': 'sil_pricing_chunk0',
+        'Am I eligible for the NDIS with a permanent disability?': 'eligibility_chunk0',
+        'Do staff get salary packaging?': 'benefits_chunk0'
+    };
+
+    for (const [question, id] of Object.entries(cases)) {
+        const matches = await search(index, question);
+        assert.strictEqual(matches[0].id, id, question);
+        assert.ok(matches[0].score > matches[1].score, question);
+    }
+});
+
+test('metadata filters narrow the results', async () => {
+    const index = await buildIndex();
+
+    const pricing = await search(index, 'SIL vacancies in Penrith', { filter: { content_type: 'pricing' } });
+    assert.deepStrictEqual(pricing.map(match => match.id), ['sil_pricing_chunk0']);
+
+    const highPriority = await search(index, 'NDIS eligibility', { filter: { priority: { $in: ['high'] } }, topK: 10 });
+    assert.deepStrictEqual(highPriority.map(match => match.id).sort(), ['sil_pricing_chunk0', 'sil_vacancies_chunk0']);
+
+    const byCategory = await search(index, 'NDIS', { filter: { categories: 'access' } });
+    assert.deepStrictEqual(byCategory.map(match => match.id), ['eligibility_chunk0']);
+});
+
+test('snapshots round-trip and deletes are saved', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-vector-store-'));
+    const snapshotPath = path.join(dir, 'kb.json');
+
+    try {
+        const index = await buildIndex(new LocalVectorStore(snapshotPath));
+        await index.deleteMany({ content_type: 'benefits' });
+
+        const reloaded = new LocalVectorStore(snapshotPath).index('achora-kb');
+        const { records } = await reloaded.fetch(DOCUMENTS.map(doc => doc.id));
+        assert.deepStrictEqual(Object.keys(records).sort(), ['eligibility_chunk0', 'sil_pricing_chunk0', 'sil_vacancies_chunk0']);
+
+        const matches = await search(reloaded, 'Do you have any SIL vacancies in Penrith?');
+        assert.strictEqual(matches[0].id, 'sil_vacancies_chunk0');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('queries with a different embedding size are rejected', async () => {
+    const index = await buildIndex();
+    await assert.rejects(index.query({ vector: HashEmbedding.embed('SIL', 256) }), /Vector dimension mismatch/);
+});
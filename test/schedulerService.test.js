@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const schedulerService = require('../src/services/schedulerService');
+const redisService = require('../src/services/redisService');
+
+// A fresh scheduler per test - without Redis its jobs are kept in memory
+const createScheduler = () => new schedulerService.constructor();
+
+/**
+ * Pin Date.now so due times are exact - returns a function that moves the clock forward
+ */
+function useClock(t) {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    return (ms) => { now += ms; };
+}
+
+test('a due job is claimed once and then completed', async (t) => {
+    assert.strictEqual(redisService.isConnected, false);
+    const advance = useClock(t);
+    const scheduler = createScheduler();
+    const runs = [];
+    scheduler.register('handoff_timeout', async (payload) => { runs.push(payload); });
+
+    await scheduler.schedule('handoff_timeout:user-1', 'handoff_timeout', 600000, { persistentUserId: 'user-1' });
+
+    await scheduler.poll();
+    assert.deepStrictEqual(runs, [], 'not due yet');
+
+    advance(600000);
+    await scheduler.poll();
+    await scheduler.poll();
+    assert.deepStrictEqual(runs, [{ persistentUserId: 'user-1' }]);
+    assert.strictEqual(scheduler.localJobs.size, 0);
+});
+
+test('scheduling the same job id replaces it and cancel removes it', async (t) => {
+    const advance = useClock(t);
+    const scheduler = createScheduler();
+    const runs = [];
+    scheduler.register('user_inactivity_timeout', async (payload) => { runs.push(payload.message); });
+
+    await scheduler.schedule('user_inactivity_timeout:user-1', 'user_inactivity_timeout', 1000, { message: 'first' });
+    await scheduler.schedule('user_inactivity_timeout:user-1', 'user_inactivity_timeout', 2000, { message: 'second' });
+    await scheduler.schedule('user_inactivity_timeout:user-2', 'user_inactivity_timeout', 1000, { message: 'cancelled' });
+    await scheduler.cancel('user_inactivity_timeout:user-2');
+
+    advance(1000);
+    await scheduler.poll();
+    assert.deepStrictEqual(runs, []);
+
+    advance(1000);
+    await scheduler.poll();
+    assert.deepStrictEqual(runs, ['second']);
+});
+
+test('recurring jobs run every interval until the handler returns false', async (t) => {
+    const advance = useClock(t);
+    const scheduler = createScheduler();
+    let runs = 0;
+    scheduler.register('waiting_time_update', async () => ++runs < 3);
+
+    await scheduler.schedule('waiting_time_update:user-1', 'waiting_time_update', 10000, {}, { intervalMs: 10000 });
+
+    for (let i = 0; i < 5; i++) {
+        advance(10000);
+        await scheduler.poll();
+    }
+    assert.strictEqual(runs, 3);
+    assert.strictEqual(scheduler.localJobs.size, 0);
+});
+
+test('a job cancelled or replaced while it runs is not completed over the new state', async (t) => {
+    const advance = useClock(t);
+    const scheduler = createScheduler();
+    const runs = [];
+    scheduler.register('session_duration_update', async (payload) => {
+        runs.push(payload.run);
+        if (payload.run === 1) {
+            await scheduler.schedule('session_duration_update:user-1', 'session_duration_update', 5000, { run: 2 });
+        }
+    });
+    scheduler.register('csat_idle_survey', async () => {
+        await scheduler.cancel('csat_idle_survey:session-1');
+    });
+
+    await scheduler.schedule('session_duration_update:user-1', 'session_duration_update', 0, { run: 1 }, { intervalMs: 30000 });
+    await scheduler.schedule('csat_idle_survey:session-1', 'csat_idle_survey', 0, {}, { intervalMs: 30000 });
+
+    await scheduler.poll();
+    assert.deepStrictEqual([...scheduler.localJobs.keys()], ['session_duration_update:user-1']);
+    assert.strictEqual(scheduler.localJobs.get('session_duration_update:user-1').payload.run, 2);
+
+    advance(5000);
+    await scheduler.poll();
+    assert.deepStrictEqual(runs, [1, 2]);
+});
+
+test('a handler that throws stops a recurring job', async (t) => {
+    useClock(t);
+    const scheduler = createScheduler();
+    t.mock.method(console, 'error', () => {});
+    scheduler.register('waiting_time_update', async () => { throw new Error('Slack is down'); });
+
+    await scheduler.schedule('waiting_time_update:user-1', 'waiting_time_update', 0, {}, { intervalMs: 10000 });
+    await scheduler.poll();
+
+    assert.strictEqual(scheduler.localJobs.size, 0);
+    assert.strictEqual(console.error.mock.callCount(), 1);
+});
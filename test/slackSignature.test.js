@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const SlackSignature = require('../src/utils/slackSignature');
+
+const SECRET = 'test-signing-secret';
+const BODY = 'payload=%7B%22type%22%3A%22block_actions%22%7D';
+
+const now = () => String(Math.floor(Date.now() / 1000));
+const sign = (body, timestamp, secret = SECRET) =>
+    'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+
+test('a request signed with the signing secret is accepted', () => {
+    const timestamp = now();
+    assert.strictEqual(SlackSignature.isValid(BODY, timestamp, sign(BODY, timestamp), SECRET), true);
+    assert.strictEqual(SlackSignature.isValid(Buffer.from(BODY), timestamp, sign(BODY, timestamp), SECRET), true);
+});
+
+test('bad signatures are rejected', () => {
+    const timestamp = now();
+    const cases = {
+        'wrong secret': sign(BODY, timestamp, 'another-secret'),
+        'tampered body': sign(`${BODY}&extra=1`, timestamp),
+        'different length': 'v0=abc',
+        'missing': undefined
+    };
+
+    for (const [name, signature] of Object.entries(cases)) {
+        assert.strictEqual(SlackSignature.isValid(BODY, timestamp, signature, SECRET), false, name);
+    }
+    assert.strictEqual(SlackSignature.isValid(BODY, timestamp, sign(BODY, timestamp), undefined), false, 'no secret');
+});
+
+test('requests outside the 5 minute replay window are rejected', () => {
+    const seconds = Math.floor(Date.now() / 1000);
+    const cases = [
+        [seconds - 4 * 60, true],
+        [seconds - 6 * 60, false],
+        [seconds + 6 * 60, false] // Far future
+    ];
+
+    for (const [time, valid] of cases) {
+        const timestamp = String(time);
+        assert.strictEqual(SlackSignature.isValid(BODY, timestamp, sign(BODY, timestamp), SECRET), valid, timestamp);
+    }
+    assert.strictEqual(SlackSignature.isValid(BODY, 'not-a-time', sign(BODY, 'not-a-time'), SECRET), false);
+});
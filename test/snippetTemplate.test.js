@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SnippetTemplate = require('../src/utils/snippetTemplate');
+
+const INTAKE = 'Hi {{firstName}}, I\'m {{ agentName }} from {{tenantName}}. Our intake team will call you within 2 business days.';
+
+test('variables are filled in from the values', () => {
+    assert.deepStrictEqual(SnippetTemplate.render(INTAKE, { firstName: ' Jane ', agentName: 'Sam', tenantName: 'Achora' }), {
+        text: "Hi Jane, I'm Sam from Achora. Our intake team will call you within 2 business days.",
+        missing: []
+    });
+});
+
+test('fallbacks are used when a value is missing or empty', () => {
+    const cases = [
+        [{}, 'Hi there, thanks for waiting.'],
+        [{ firstName: '' }, 'Hi there, thanks for waiting.'],
+        [{ firstName: null }, 'Hi there, thanks for waiting.'],
+        [{ firstName: 'Jane' }, 'Hi Jane, thanks for waiting.']
+    ];
+
+    for (const [values, text] of cases) {
+        assert.deepStrictEqual(SnippetTemplate.render('Hi {{firstName|there}}, thanks for waiting.', values), { text, missing: [] }, JSON.stringify(values));
+    }
+    assert.strictEqual(SnippetTemplate.render('Hi{{firstName|}}!', {}).text, 'Hi!', 'an empty fallback');
+});
+
+test('missing variables are reported and the text is tidied', () => {
+    assert.deepStrictEqual(SnippetTemplate.render(INTAKE, { agentName: 'Sam' }), {
+        text: "Hi, I'm Sam from. Our intake team will call you within 2 business days.",
+        missing: ['firstName', 'tenantName']
+    });
+    assert.deepStrictEqual(SnippetTemplate.render('Thanks {{firstName}} {{lastName}} !', {}), { text: 'Thanks!', missing: ['firstName', 'lastName'] });
+    assert.deepStrictEqual(SnippetTemplate.render(undefined), { text: '', missing: [] });
+});
+
+test('variables in a snippet and the ones render can never fill in', () => {
+    const text = '{{firstName}} - your plan {{planNumber}} is with {{firstName}} {{ coordinator|your coordinator }}';
+    assert.deepStrictEqual(SnippetTemplate.variablesIn(text), ['firstName', 'planNumber', 'coordinator']);
+    assert.deepStrictEqual(SnippetTemplate.unknownVariables(text), ['planNumber', 'coordinator']);
+});
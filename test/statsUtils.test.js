@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const StatsUtils = require('../src/utils/statsUtils');
+
+test('nearest-rank percentiles', () => {
+    const waits = [120, 15, 45, 300, 60, 30, 90, 20, 600, 75]; // Unsorted, in seconds
+    const cases = [
+        [0, 15],
+        [10, 15],
+        [50, 60],
+        [90, 300],
+        [95, 600],
+        [100, 600]
+    ];
+
+    for (const [p, value] of cases) {
+        assert.strictEqual(StatsUtils.percentile(waits, p), value, `p${p}`);
+    }
+    assert.deepStrictEqual(waits.slice(0, 3), [120, 15, 45], 'the input is not sorted in place');
+});
+
+test('percentiles of one value or none', () => {
+    assert.strictEqual(StatsUtils.percentile([42], 90), 42);
+    assert.strictEqual(StatsUtils.percentile([], 50), null);
+    assert.strictEqual(StatsUtils.median([3, 1, 2, 4]), 2);
+});
+
+test('rates are percentages to one decimal place', () => {
+    assert.strictEqual(StatsUtils.rate(1, 3), 33.3);
+    assert.strictEqual(StatsUtils.rate(2, 3), 66.7);
+    assert.strictEqual(StatsUtils.rate(0, 0), null);
+});